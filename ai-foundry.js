@@ -2,24 +2,517 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
-import ModelClient from "@azure-rest/ai-inference";
-import { AzureKeyCredential } from "@azure/core-auth";
-  const client = new ModelClient(
-  process.env.AZURE_INFERENCE_SDK_ENDPOINT ?? "https://aistudioaiservices742846984659.services.ai.azure.com/models", new AzureKeyCredential(process.env.AZURE_INFERENCE_SDK_KEY ?? "YOUR_KEY_HERE"));
-
-var messages = [
-  { role: "system", content: "You are an helpful assistant" },
-  { role: "user", content: "What are 3 things to see in Seattle?" },
-];
-
-var response = await client.path("chat/completions").post({
-  body: {
-    messages: messages,
-    max_tokens: 4096,
-      temperature: 1,
-      top_p: 1,
-      model: "gpt-4o",
-  },
-});
+import fs from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+import {
+  createResilientChatModel,
+  describeProvider,
+  ERROR_CODES,
+  loadProviderConfig,
+  loadResilienceOptions,
+  toModelCallError,
+} from "./infra/packages/webapi/providers/index.js";
+
+// Runs every prompt of a JSONL dataset through a model and writes one result per line, e.g. to draft FAQ answers
+// or to compare two models on the same prompts.
+//
+//   node ai-foundry.js ai-foundry.example.jsonl
+//   node ai-foundry.js prompts.jsonl --out results.jsonl --concurrency 8 --rpm 120
+//   node ai-foundry.js prompts.jsonl --out results.jsonl --resume          # finish an interrupted run
+//   node ai-foundry.js prompts.jsonl --model gpt-4o --model github:gpt-4o-mini   # compare two models
+//
+// Each dataset line is { "id": "...", "messages": [{ "role": "system" | "user" | "assistant", "content": "..." }],
+// "parameters": { "temperature": 0.2, "maxTokens": 500, "topP": 1 } }, where `id` (default: the line number) and
+// `parameters` are optional. Blank lines and lines starting with // are skipped.
+//
+// Each result line is { id, model, content, usage: { input_tokens, output_tokens, total_tokens }, latencyMs,
+// attempts, error: null | { code, message }, finishedAt }. Results are written as soon as each prompt is done,
+// so an interrupted run (Ctrl+C, crash) keeps what it finished; --resume skips the prompts that already succeeded
+// and runs the rest, including those that failed. The last line for an id wins.
+//
+// With two --model options the dataset runs against both, into <out>.<model>.jsonl, and <out>.comparison.md
+// puts the answers side by side with their token usage and latency.
+//
+// Run `node ai-foundry.js --help` for the options.
+//
+// Azure AI Inference by default; MODEL_PROVIDER (and friends, see providers/index.js) switch to another provider.
+// MODEL_TIMEOUT_MS limits each attempt, and MODEL_RETRY_BASE_DELAY_MS sets the first backoff delay.
+
+const USAGE = `Usage: node ai-foundry.js <dataset.jsonl> [options]
+
+Options:
+  --out <file>          results file (default: <dataset>.results.jsonl)
+  --model <[provider:]name>  model to run, overriding MODEL_NAME/MODEL_DEPLOYMENT (and MODEL_PROVIDER); twice to compare
+  --concurrency <n>     prompts in flight at once (default: 4)
+  --rpm <n>             most requests started per minute, per model; 0 for no limit (default: 0)
+  --max-retries <n>     retries of a prompt after a timeout, rate limit or unavailable model (default: 3)
+  --resume              keep the results already in the output file and run only what is missing or failed
+  --overwrite           replace an existing output file
+  --help, -h            show this help`;
+
+/** A command line that cannot be run; reported with the usage text. */
+class UsageError extends Error {}
+
+/**
+ * Parses the command line.
+ * @param {string[]} args
+ * @returns {{options: object, positionals: string[]}}
+ * @throws {UsageError} On an unknown option, a missing value, a count that is not a positive integer or a
+ *   negative --rpm.
+ */
+function parseCommandLine(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        out: { type: "string" },
+        model: { type: "string", multiple: true, default: [] },
+        concurrency: { type: "string", default: "4" },
+        rpm: { type: "string", default: "0" },
+        "max-retries": { type: "string", default: "3" },
+        resume: { type: "boolean", default: false },
+        overwrite: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values: options, positionals } = parsed;
+  for (const name of ["concurrency", "max-retries"]) {
+    if (!/^[1-9]\d*$/.test(options[name])) throw new UsageError(`--${name} must be a positive integer, not "${options[name]}".`);
+  }
+  if (!/^\d+$/.test(options.rpm)) throw new UsageError(`--rpm must be 0 or a positive integer, not "${options.rpm}".`);
+  return { options, positionals };
+}
+
+// Set from the command line by main()
+let options;
+let positionals;
+
+// The defaults this script has always used; the environment overrides them
+const DEFAULTS = {
+  provider: "azure-inference",
+  endpoint: "https://aistudioaiservices742846984659.services.ai.azure.com/models",
+  model: "gpt-4o",
+  parameters: { maxTokens: 4096, temperature: 1, topP: 1 },
+};
+
+// Parameters a dataset line may set for its own prompt
+const ITEM_PARAMETERS = ["temperature", "maxTokens", "topP"];
+
+const ROLES = new Set(["system", "user", "assistant"]);
+
+/**
+ * Reads the dataset.
+ * @param {string} datasetPath
+ * @returns {Promise<{id: string, messages: object[], parameters: object}[]>}
+ * @throws {Error} On invalid JSON, a missing or malformed `messages` list, unknown parameters or a repeated id.
+ */
+async function loadPrompts(datasetPath) {
+  const lines = (await fs.readFile(datasetPath, "utf8")).split(/\r?\n/);
+  const prompts = [];
+  const ids = new Set();
+
+  lines.forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith("//")) return;
+    const where = `${datasetPath}:${i + 1}`;
+    let item;
+    try {
+      item = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${where}: invalid JSON (${error.message})`);
+    }
+    const id = String(item.id ?? i + 1);
+    if (ids.has(id)) throw new Error(`${where}: duplicate id "${id}"`);
+    ids.add(id);
+    if (!Array.isArray(item.messages) || item.messages.length === 0) {
+      throw new Error(`${where}: "messages" must be a non-empty list of { role, content }`);
+    }
+    for (const message of item.messages) {
+      if (!ROLES.has(message?.role) || (typeof message.content !== "string" && !Array.isArray(message.content))) {
+        throw new Error(`${where}: every message needs a role (system, user or assistant) and a content`);
+      }
+    }
+    const unknown = Object.keys(item.parameters || {}).filter(name => !ITEM_PARAMETERS.includes(name));
+    if (unknown.length) throw new Error(`${where}: unknown parameters ${unknown.join(", ")} (use ${ITEM_PARAMETERS.join(", ")})`);
+    prompts.push({ id, messages: item.messages, parameters: item.parameters || {} });
+  });
+
+  return prompts;
+}
+
+/**
+ * Reads the results of an earlier run; the last line for an id wins.
+ * @param {string} resultsPath
+ * @returns {Promise<Map<string, object>>} Results by prompt id; empty if the file does not exist.
+ */
+async function loadResults(resultsPath) {
+  const results = new Map();
+  let text;
+  try {
+    text = await fs.readFile(resultsPath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return results;
+    throw error;
+  }
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const result = JSON.parse(line);
+      results.set(String(result.id), result);
+    } catch {
+      // A line cut short when the previous run was killed; its prompt runs again
+    }
+  }
+  return results;
+}
+
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal.aborted) return resolve();
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener("abort", () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Spaces out the requests to one model: at most `rpm` starts per minute, and none at all while the
+ * provider has asked us to back off after a rate limit.
+ */
+class Pacer {
+  /**
+   * @param {number} rpm - Requests per minute; 0 for no limit.
+   */
+  constructor(rpm) {
+    this.intervalMs = rpm > 0 ? 60000 / rpm : 0;
+    this.nextStart = 0;
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Waits for this request's turn.
+   * @param {AbortSignal} signal - Stops waiting when the run is interrupted.
+   */
+  async wait(signal) {
+    const start = Math.max(Date.now(), this.nextStart);
+    this.nextStart = start + this.intervalMs;
+    await sleep(start - Date.now(), signal);
+    // A rate limit hit by another request while we waited holds everyone back
+    while (!signal.aborted && Date.now() < this.pausedUntil) {
+      await sleep(this.pausedUntil - Date.now(), signal);
+    }
+  }
+
+  /**
+   * Holds back every request to this model for a while.
+   * @param {number} ms
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+}
+
+/**
+ * Resolves a --model option to a provider configuration.
+ * @param {string} [spec] - "name" or "provider:name"; the environment's model when omitted.
+ * @returns {object}
+ */
+function modelConfig(spec) {
+  const env = { ...process.env };
+  if (spec) {
+    const [provider, name] = spec.includes(":") ? spec.split(/:(.*)/s) : [undefined, spec];
+    if (provider) env.MODEL_PROVIDER = provider;
+    env.MODEL_NAME = name;
+    env.MODEL_DEPLOYMENT = name;
+  }
+  // Fallbacks would mix answers from another model into the results
+  return { ...loadProviderConfig(env, DEFAULTS), fallbacks: [] };
+}
+
+/**
+ * Creates a runner for one model. Models are created per parameter set, since parameters are fixed per model.
+ * Retries are done here rather than in the provider layer, so that a rate limit pauses every request in flight.
+ * @param {object} config - A provider configuration.
+ * @param {{maxRetries: number, rpm: number}} settings
+ * @returns {(prompt: object, signal: AbortSignal) => Promise<object | null>} Resolves with the result line,
+ *   or null when the run was interrupted before the prompt finished.
+ */
+function createRunner(config, { maxRetries, rpm }) {
+  const resilience = { ...loadResilienceOptions(), maxRetries: 0, failureThreshold: Infinity, logger: { warn() {} } };
+  const pacer = new Pacer(rpm);
+  const models = new Map();
+  const modelFor = parameters => {
+    const key = JSON.stringify(parameters);
+    if (!models.has(key)) {
+      models.set(key, createResilientChatModel({ ...config, parameters: { ...config.parameters, ...parameters } }, resilience));
+    }
+    return models.get(key);
+  };
+  const name = config.deployment || config.model;
+
+  return async (prompt, signal) => {
+    const model = modelFor(prompt.parameters);
+    let error;
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+      await pacer.wait(signal);
+      if (signal.aborted) return null;
+      const startedAt = performance.now();
+      try {
+        const response = await model.invoke(prompt.messages, { signal });
+        return {
+          id: prompt.id,
+          model: name,
+          content: contentText(response.content),
+          usage: response.usage_metadata
+            ? {
+              input_tokens: response.usage_metadata.input_tokens,
+              output_tokens: response.usage_metadata.output_tokens,
+              total_tokens: response.usage_metadata.total_tokens,
+            }
+            : null,
+          latencyMs: Math.round(performance.now() - startedAt),
+          attempts: attempt,
+          error: null,
+          finishedAt: new Date().toISOString(),
+        };
+      } catch (err) {
+        error = toModelCallError(err);
+        if (error.code === ERROR_CODES.ABORTED || signal.aborted) return null;
+        if (!error.retryable || attempt > maxRetries) {
+          return {
+            id: prompt.id,
+            model: name,
+            content: null,
+            usage: null,
+            latencyMs: Math.round(performance.now() - startedAt),
+            attempts: attempt,
+            error: { code: error.code, message: error.message },
+            finishedAt: new Date().toISOString(),
+          };
+        }
+        const delay = error.retryAfterMs ?? resilience.baseDelayMs * 2 ** (attempt - 1) * (1 + Math.random() * 0.2);
+        if (error.code === ERROR_CODES.RATE_LIMITED) {
+          pacer.pause(delay);
+        } else {
+          await sleep(delay, signal);
+        }
+      }
+    }
+    return null;
+  };
+}
 
-console.log(JSON.stringify(response));
+function contentText(content) {
+  if (typeof content === "string") return content;
+  return (content || []).map(part => (typeof part === "string" ? part : part.text || "")).join("");
+}
+
+/**
+ * Runs the prompts that have no successful result yet, `concurrency` at a time, appending each result to the file.
+ * @param {object[]} prompts
+ * @param {object} config - The model's provider configuration.
+ * @param {string} resultsPath
+ * @param {AbortSignal} signal - Aborted on Ctrl+C; prompts in flight are dropped and run again on --resume.
+ * @returns {Promise<Map<string, object>>} Every result in the file, by prompt id.
+ */
+async function runDataset(prompts, config, resultsPath, signal) {
+  const previous = options.resume ? await loadResults(resultsPath) : new Map();
+  const pending = prompts.filter(prompt => previous.get(prompt.id)?.error !== null);
+  console.log(`${describeProvider(config)}: ${pending.length} of ${prompts.length} prompts to run -> ${resultsPath}`);
+
+  const run = createRunner(config, { maxRetries: Number(options["max-retries"]), rpm: Number(options.rpm) });
+  const results = new Map(previous);
+  const file = await fs.open(resultsPath, options.resume ? "a+" : "w");
+  // Start on a new line if the previous run was killed halfway through writing one
+  const { size } = await file.stat();
+  if (size > 0) {
+    const { buffer } = await file.read(Buffer.alloc(1), 0, 1, size - 1);
+    if (buffer[0] !== 0x0a) await file.appendFile("\n");
+  }
+  let done = 0;
+  let failed = 0;
+
+  try {
+    const queue = [...pending];
+    const worker = async () => {
+      while (queue.length && !signal.aborted) {
+        const prompt = queue.shift();
+        const result = await run(prompt, signal);
+        if (!result) continue;
+        await file.appendFile(JSON.stringify(result) + "\n");
+        results.set(prompt.id, result);
+        done++;
+        if (result.error) failed++;
+        const status = result.error ? `failed (${result.error.code}: ${result.error.message})` : `${result.latencyMs} ms`;
+        console.log(`  [${done}/${pending.length}] ${prompt.id}: ${status}`);
+      }
+    };
+    await Promise.all(Array.from({ length: Number(options.concurrency) }, worker));
+  } finally {
+    await file.close();
+  }
+
+  if (signal.aborted) {
+    console.log(`Interrupted after ${done} prompts. Run again with --resume to finish.`);
+  } else if (failed) {
+    console.log(`${failed} prompts failed; run again with --resume to retry them.`);
+  }
+  return results;
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Totals for one model's results.
+ * @param {object[]} prompts
+ * @param {Map<string, object>} results
+ */
+function summarize(prompts, results) {
+  const finished = prompts.map(prompt => results.get(prompt.id)).filter(Boolean);
+  const succeeded = finished.filter(result => !result.error);
+  const latencies = succeeded.map(result => result.latencyMs);
+  const sum = key => succeeded.reduce((total, result) => total + (result.usage?.[key] || 0), 0);
+  return {
+    prompts: prompts.length,
+    succeeded: succeeded.length,
+    failed: finished.length - succeeded.length,
+    missing: prompts.length - finished.length,
+    meanLatencyMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+    p95LatencyMs: percentile(latencies, 95),
+    inputTokens: sum("input_tokens"),
+    outputTokens: sum("output_tokens"),
+  };
+}
+
+// Table cells are one line, without the pipes that would end them
+function cell(text, maxLength = 300) {
+  const flat = String(text ?? "").replace(/\s+/g, " ").trim().replace(/\|/g, "\\|");
+  return flat.length > maxLength ? `${flat.slice(0, maxLength - 1)}…` : flat;
+}
+
+function answerCell(result) {
+  if (!result) return "_not run_";
+  if (result.error) return `**${result.error.code}**: ${cell(result.error.message, 120)}`;
+  return cell(result.content);
+}
+
+function statsCell(result) {
+  if (!result || result.error) return "";
+  return `${result.usage ? `${result.usage.input_tokens}/${result.usage.output_tokens} tok, ` : ""}${result.latencyMs} ms`;
+}
+
+/**
+ * The side-by-side comparison of two models as Markdown.
+ * @param {object[]} prompts
+ * @param {{label: string, description: string, results: Map<string, object>}[]} runs - Exactly two.
+ * @returns {string}
+ */
+function comparisonMarkdown(prompts, runs) {
+  const [a, b] = runs;
+  const summaries = runs.map(run => summarize(prompts, run.results));
+  const row = (label, format) => `| ${label} | ${summaries.map(format).join(" | ")} |`;
+  const promptText = prompt => contentText([...prompt.messages].reverse().find(m => m.role === "user")?.content);
+
+  return [
+    `# ${a.label} vs ${b.label}`,
+    "",
+    `- **${a.label}**: ${a.description}`,
+    `- **${b.label}**: ${b.description}`,
+    "",
+    `| | ${a.label} | ${b.label} |`,
+    "| --- | --- | --- |",
+    row("Succeeded", s => `${s.succeeded} / ${s.prompts}`),
+    row("Failed", s => s.failed),
+    row("Not run", s => s.missing),
+    row("Mean latency", s => (s.meanLatencyMs === null ? "n/a" : `${s.meanLatencyMs} ms`)),
+    row("p95 latency", s => (s.p95LatencyMs === null ? "n/a" : `${s.p95LatencyMs} ms`)),
+    row("Input tokens", s => s.inputTokens),
+    row("Output tokens", s => s.outputTokens),
+    "",
+    "## Answers",
+    "",
+    `| Id | Prompt | ${a.label} | ${b.label} |`,
+    "| --- | --- | --- | --- |",
+    ...prompts.map(prompt => {
+      const [resultA, resultB] = runs.map(run => run.results.get(prompt.id));
+      const stats = [resultA, resultB].map(statsCell);
+      return `| ${cell(prompt.id)} | ${cell(promptText(prompt), 120)} | ${answerCell(resultA)}${stats[0] ? ` _(${stats[0]})_` : ""} | ${answerCell(resultB)}${stats[1] ? ` _(${stats[1]})_` : ""} |`;
+    }),
+    "",
+  ].join("\n");
+}
+
+async function exists(file) {
+  return fs.access(file).then(() => true, () => false);
+}
+
+async function main() {
+  ({ options, positionals } = parseCommandLine(process.argv.slice(2)));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  const datasetPath = positionals[0];
+  if (!datasetPath) throw new UsageError("Give the path of a dataset.");
+  if (options.model.length > 2) throw new UsageError("Give at most two --model options.");
+  if (options.resume && options.overwrite) throw new UsageError("--resume and --overwrite cannot be combined.");
+
+  const prompts = await loadPrompts(datasetPath);
+  const out = options.out || datasetPath.replace(/\.jsonl?$/i, "") + ".results.jsonl";
+  const comparing = options.model.length === 2;
+  const configs = (options.model.length ? options.model : [undefined]).map(modelConfig);
+  // Labels only need to tell the two models apart in file names and headings
+  const labels = options.model.map(spec => spec.replace(/[^\w.-]+/g, "_"));
+  if (comparing && labels[0] === labels[1]) labels.splice(0, 2, `${labels[0]}-a`, `${labels[1]}-b`);
+  const resultPaths = comparing ? labels.map(label => out.replace(/\.jsonl?$/i, "") + `.${label}.jsonl`) : [out];
+
+  if (!options.resume && !options.overwrite) {
+    const existing = [];
+    for (const file of resultPaths) if (await exists(file)) existing.push(file);
+    if (existing.length) throw new Error(`${existing.join(", ")} already exists. Use --resume to finish that run, or --overwrite to start over.`);
+  }
+
+  // Ctrl+C stops the run; a second one exits at once
+  const controller = new AbortController();
+  process.once("SIGINT", () => {
+    console.log("\nStopping; the prompts in flight are dropped.");
+    controller.abort();
+    process.once("SIGINT", () => process.exit(130));
+  });
+
+  const runs = [];
+  for (const [i, config] of configs.entries()) {
+    if (controller.signal.aborted) break;
+    const results = await runDataset(prompts, config, resultPaths[i], controller.signal);
+    runs.push({ label: labels[i] || config.model, description: describeProvider(config), results });
+  }
+
+  if (comparing && runs.length === 2) {
+    const reportPath = out.replace(/\.jsonl?$/i, "") + ".comparison.md";
+    await fs.writeFile(reportPath, comparisonMarkdown(prompts, runs));
+    console.log(`Comparison written to ${path.resolve(reportPath)}`);
+  }
+  for (const run of runs) {
+    const summary = summarize(prompts, run.results);
+    console.log(`${run.label || run.description}: ${summary.succeeded} succeeded, ${summary.failed} failed, ${summary.missing} not run; `
+      + `${summary.inputTokens} input / ${summary.outputTokens} output tokens; mean latency ${summary.meanLatencyMs ?? "n/a"} ms`);
+  }
+  if (controller.signal.aborted) process.exitCode = 130;
+  else if (runs.some(run => summarize(prompts, run.results).failed > 0)) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error(error instanceof UsageError ? `${error.message}\n\n${USAGE}` : error.message);
+  process.exit(1);
+});
@@ -0,0 +1,131 @@
+import { escapeHtml, formatPrice } from "./catalog.js";
+
+// A chat widget that answers product questions from the catalog, through the webapi's POST /shop/chat.
+//
+//   <shop-assistant api-url="http://localhost:3001" api-key="..."></shop-assistant>
+//
+// The page's origin must be listed in the webapi's CORS_ALLOWED_ORIGINS. An API key in the page is visible to
+// every visitor: give the storefront its own key with a small daily token quota (see api-keys.example.json).
+
+const GREETING = "Hi! I can answer questions about our tents, backpacks and hiking clothes, and help you pick the right gear.";
+
+/**
+ * <shop-assistant> adds a floating "Ask our assistant" button that opens the chat panel.
+ * Products cited in an answer are linked to their card in the catalog and listed under the answer.
+ */
+export class ShopAssistant extends HTMLElement {
+  constructor() {
+    super();
+    this.busy = false;
+    // One conversation per browser tab
+    this.sessionId = sessionStorage.getItem("shop-assistant-session") || crypto.randomUUID();
+    sessionStorage.setItem("shop-assistant-session", this.sessionId);
+  }
+
+  connectedCallback() {
+    if (this.querySelector(".assistant-panel")) return;
+    this.innerHTML = `<button type="button" class="assistant-toggle" aria-expanded="false">💬 Ask our assistant</button>
+<section class="assistant-panel" hidden aria-label="Shopping assistant">
+  <header class="assistant-header">
+    <span>Contoso Outdoor assistant</span>
+    <button type="button" class="assistant-close" aria-label="Close">×</button>
+  </header>
+  <div class="assistant-messages" aria-live="polite"></div>
+  <form class="assistant-form">
+    <input type="text" name="message" placeholder="Ask about a product…" aria-label="Your question" autocomplete="off" required>
+    <button type="submit">Send</button>
+  </form>
+</section>`;
+
+    this.panel = this.querySelector(".assistant-panel");
+    this.toggleButton = this.querySelector(".assistant-toggle");
+    this.messages = this.querySelector(".assistant-messages");
+    this.form = this.querySelector(".assistant-form");
+
+    this.toggleButton.addEventListener("click", () => this.setOpen(this.panel.hidden));
+    this.querySelector(".assistant-close").addEventListener("click", () => this.setOpen(false));
+    this.form.addEventListener("submit", event => {
+      event.preventDefault();
+      this.ask(this.form.elements.message.value.trim());
+    });
+    this.addMessage("assistant", escapeHtml(GREETING));
+  }
+
+  get apiUrl() {
+    return (this.getAttribute("api-url") || "http://localhost:3001").replace(/\/+$/, "");
+  }
+
+  setOpen(open) {
+    this.panel.hidden = !open;
+    this.toggleButton.setAttribute("aria-expanded", String(open));
+    if (open) this.form.elements.message.focus();
+  }
+
+  addMessage(role, html) {
+    const message = document.createElement("div");
+    message.className = `assistant-message ${role}`;
+    message.innerHTML = html;
+    this.messages.append(message);
+    this.messages.scrollTop = this.messages.scrollHeight;
+    return message;
+  }
+
+  async ask(question) {
+    if (!question || this.busy) return;
+    this.busy = true;
+    this.form.elements.message.value = "";
+    this.addMessage("user", escapeHtml(question));
+    const pending = this.addMessage("assistant pending", "Thinking…");
+
+    try {
+      const headers = { "Content-Type": "application/json" };
+      const apiKey = this.getAttribute("api-key");
+      if (apiKey) headers["X-API-Key"] = apiKey;
+      const response = await fetch(`${this.apiUrl}/shop/chat`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ message: question, sessionId: this.sessionId }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.message || `The assistant is unavailable (HTTP ${response.status}).`);
+      }
+      pending.className = "assistant-message assistant";
+      pending.innerHTML = this.renderAnswer(data.reply || "", data.products || [], data.currency);
+    } catch (error) {
+      console.error("Shopping assistant request failed:", error);
+      pending.className = "assistant-message assistant error";
+      pending.textContent = error instanceof TypeError
+        ? "The assistant could not be reached. Please try again later."
+        : error.message;
+    } finally {
+      this.busy = false;
+      this.messages.scrollTop = this.messages.scrollHeight;
+    }
+  }
+
+  // The answer as text, with [n] citations turned into links to the product cards, then the cited products
+  // with their prices in the catalog's currency
+  renderAnswer(reply, products, currency = "USD") {
+    const byCitation = new Map(products.map(product => [product.citation, product]));
+    const text = escapeHtml(reply)
+      .replace(/\[(\d+)\]/g, (marker, n) => {
+        const product = byCitation.get(Number(n));
+        return product ? `<a href="#product-${escapeHtml(product.id)}" class="assistant-citation">${escapeHtml(product.name)}</a>` : marker;
+      })
+      .replace(/\n/g, "<br>");
+    if (products.length === 0) return text;
+
+    const cards = products
+      .map(product => `<li><a href="#product-${escapeHtml(product.id)}">
+  <span class="emoji">${escapeHtml(product.emoji || "🛒")}</span>
+  <span class="name">${escapeHtml(product.name)}</span>
+  <span class="price">${escapeHtml(formatPrice(product.price, currency))}</span>
+  ${product.stock <= 0 ? `<span class="stock out-of-stock">Out of stock</span>` : ""}
+</a></li>`)
+      .join("");
+    return `${text}<ul class="assistant-products">${cards}</ul>`;
+  }
+}
+
+customElements.define("shop-assistant", ShopAssistant);
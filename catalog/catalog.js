@@ -0,0 +1,211 @@
+// The Contoso Outdoor product catalog, rendered from products.json into the .category / .items / .item
+// layout of style.css, with search, category and price filters and sorting.
+//
+//   <product-catalog src="catalog/products.json"></product-catalog>
+//
+// The page must be served over HTTP (e.g. `npx http-server .`), since browsers don't fetch files from file:// URLs.
+
+export const SORT_OPTIONS = {
+  featured: "Featured",
+  "price-asc": "Price: low to high",
+  "price-desc": "Price: high to low",
+  name: "Name",
+};
+
+// Products with this many units or fewer are shown as running out
+const LOW_STOCK = 3;
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[char]);
+}
+
+/**
+ * Formats a price, e.g. "$250".
+ * @param {number} price
+ * @param {string} [currency="USD"]
+ * @returns {string}
+ */
+export function formatPrice(price, currency = "USD") {
+  return new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency,
+    minimumFractionDigits: Number.isInteger(price) ? 0 : 2,
+  }).format(price);
+}
+
+/**
+ * Keeps the products matching every filter.
+ * @param {object[]} products
+ * @param {object} filters
+ * @param {string} [filters.query] - Words that must all appear in the name, description, category or attributes.
+ * @param {string} [filters.category] - A category id; empty for all categories.
+ * @param {number} [filters.minPrice]
+ * @param {number} [filters.maxPrice]
+ * @param {boolean} [filters.inStock] - Only products that are not sold out.
+ * @param {object[]} [categories] - Lets the search match category names.
+ * @returns {object[]}
+ */
+export function filterProducts(products, { query = "", category = "", minPrice, maxPrice, inStock = false }, categories = []) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return products.filter(product => {
+    if (category && product.category !== category) return false;
+    if (Number.isFinite(minPrice) && product.price < minPrice) return false;
+    if (Number.isFinite(maxPrice) && product.price > maxPrice) return false;
+    if (inStock && product.stock <= 0) return false;
+    if (words.length === 0) return true;
+    const text = [
+      product.name,
+      product.description,
+      categories.find(c => c.id === product.category)?.name,
+      ...Object.entries(product.attributes || {}).flat(2),
+    ].join(" ").toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+}
+
+/**
+ * Sorts products without changing the array passed in.
+ * @param {object[]} products
+ * @param {keyof SORT_OPTIONS} sort - "featured" keeps the order of products.json.
+ * @returns {object[]}
+ */
+export function sortProducts(products, sort) {
+  const sorted = [...products];
+  if (sort === "price-asc") sorted.sort((a, b) => a.price - b.price);
+  if (sort === "price-desc") sorted.sort((a, b) => b.price - a.price);
+  if (sort === "name") sorted.sort((a, b) => a.name.localeCompare(b.name));
+  return sorted;
+}
+
+// "waterproofRating" -> "Waterproof rating"
+function attributeLabel(key) {
+  const words = key.replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function attributeValue(value) {
+  if (Array.isArray(value)) return value.join(", ");
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  return value;
+}
+
+function renderStock(stock) {
+  if (stock <= 0) return `<p class="stock out-of-stock">Out of stock</p>`;
+  if (stock <= LOW_STOCK) return `<p class="stock low-stock">Only ${stock} left</p>`;
+  return `<p class="stock in-stock">In stock</p>`;
+}
+
+/**
+ * The HTML of a product card. Its element id, product-<id>, lets other parts of the page link to it.
+ * @param {object} product
+ * @param {string} currency
+ * @returns {string}
+ */
+export function renderProduct(product, currency) {
+  const attributes = Object.entries(product.attributes || {})
+    .map(([key, value]) => `<li><span>${escapeHtml(attributeLabel(key))}</span> ${escapeHtml(attributeValue(value))}</li>`)
+    .join("");
+  return `<div class="item${product.stock <= 0 ? " sold-out" : ""}" id="product-${escapeHtml(product.id)}">
+  <div class="emoji">${escapeHtml(product.emoji || "🛒")}</div>
+  <h3>${escapeHtml(product.name)}</h3>
+  <p class="price">${escapeHtml(formatPrice(product.price, currency))}</p>
+  <p class="description">${escapeHtml(product.description || "")}</p>
+  ${attributes ? `<ul class="attributes">${attributes}</ul>` : ""}
+  ${renderStock(product.stock)}
+</div>`;
+}
+
+/**
+ * <product-catalog src="..."> loads a product dataset ({ currency, categories, products }) and shows it by category.
+ * Renders into the light DOM so style.css applies.
+ */
+export class ProductCatalog extends HTMLElement {
+  constructor() {
+    super();
+    this.data = null;
+    this.filters = { query: "", category: "", minPrice: undefined, maxPrice: undefined, inStock: false, sort: "featured" };
+  }
+
+  async connectedCallback() {
+    if (this.data) return;
+    this.innerHTML = `<p class="catalog-status">Loading products…</p>`;
+    try {
+      const response = await fetch(this.getAttribute("src") || "catalog/products.json");
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      this.data = await response.json();
+    } catch (error) {
+      console.error("Failed to load the product catalog:", error);
+      this.innerHTML = `<p class="catalog-status">The products could not be loaded. Please try again later.</p>`;
+      return;
+    }
+    this.renderToolbar();
+    this.renderProducts();
+  }
+
+  renderToolbar() {
+    const categories = this.data.categories
+      .map(category => `<option value="${escapeHtml(category.id)}">${escapeHtml(category.name)}</option>`)
+      .join("");
+    const sorts = Object.entries(SORT_OPTIONS)
+      .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`)
+      .join("");
+    this.innerHTML = `<form class="catalog-toolbar" role="search">
+  <input type="search" name="query" placeholder="Search products" aria-label="Search products">
+  <select name="category" aria-label="Category"><option value="">All categories</option>${categories}</select>
+  <input type="number" name="minPrice" min="0" step="1" placeholder="Min $" aria-label="Minimum price">
+  <input type="number" name="maxPrice" min="0" step="1" placeholder="Max $" aria-label="Maximum price">
+  <select name="sort" aria-label="Sort by">${sorts}</select>
+  <label class="in-stock-filter"><input type="checkbox" name="inStock"> In stock only</label>
+</form>
+<p class="catalog-summary" aria-live="polite"></p>
+<div class="catalog-results"></div>`;
+
+    const form = this.querySelector(".catalog-toolbar");
+    form.addEventListener("submit", event => event.preventDefault());
+    form.addEventListener("input", () => {
+      const fields = form.elements;
+      const price = field => (field.value === "" ? undefined : Number(field.value));
+      this.filters = {
+        query: fields.query.value.trim(),
+        category: fields.category.value,
+        minPrice: price(fields.minPrice),
+        maxPrice: price(fields.maxPrice),
+        inStock: fields.inStock.checked,
+        sort: fields.sort.value,
+      };
+      this.renderProducts();
+    });
+  }
+
+  renderProducts() {
+    const { categories, products, currency = "USD" } = this.data;
+    const matches = sortProducts(filterProducts(products, this.filters, categories), this.filters.sort);
+
+    this.querySelector(".catalog-summary").textContent = matches.length === products.length
+      ? `${products.length} products`
+      : `${matches.length} of ${products.length} products`;
+
+    const results = this.querySelector(".catalog-results");
+    if (matches.length === 0) {
+      results.innerHTML = `<p class="catalog-status">No products match your search.</p>`;
+      return;
+    }
+    // One section per category, in the order of products.json, as on the original page
+    results.innerHTML = categories
+      .map(category => ({ category, items: matches.filter(product => product.category === category.id) }))
+      .filter(({ items }) => items.length > 0)
+      .map(({ category, items }) => `<div class="category">
+  <h2>${escapeHtml(category.name)}</h2>
+  ${category.description ? `<p>${escapeHtml(category.description)}</p>` : ""}
+  <div class="items">${items.map(product => renderProduct(product, currency)).join("")}</div>
+</div>`)
+      .join("");
+  }
+}
+
+customElements.define("product-catalog", ProductCatalog);
@@ -1,13 +1,306 @@
-const changes = await git.diff({ staged: true });
+// Reviews a set of changes against the team conventions in code-review.rules.yaml and reports structured
+// findings as Markdown, JSON and SARIF (for inline annotations, e.g. with github/codeql-action/upload-sarif).
+// Uses GitHub Models with the GITHUB_TOKEN in .env by default.
+//
+//   npx genaiscript run code-review                                   # staged changes
+//   npx genaiscript run code-review --vars target=working             # everything not committed yet
+//   npx genaiscript run code-review --vars target=HEAD~3..HEAD        # a commit range
+//   npx genaiscript run code-review --vars target=branch base=main    # this branch since it left main
+//   npx genaiscript run code-review --vars failOn=warning             # fail on warnings too (CI gate)
+//
+// The run fails when a finding is at or above the failOn severity, after the reports are written.
+script({
+  title: "Code review",
+  description: "Review changes against the team's rules and report findings as Markdown, JSON and SARIF.",
+  model: "github:openai/gpt-4.1",
+  parameters: {
+    target: { type: "string", default: "staged", description: "staged, working, a commit range (a..b or a...b) or branch" },
+    base: { type: "string", default: "", description: "With target=branch: the branch to compare with (default: the repository's default branch)" },
+    rules: { type: "string", default: "code-review.rules.yaml", description: "Rules file" },
+    failOn: { type: "string", default: "", description: "error, warning, note or none (default: the rules file's failOn, else error)" },
+    out: { type: "string", default: "code-review-report", description: "Directory for code-review.md, .json and .sarif" },
+  },
+});
 
-defDiff("CODE_CHANGES", changes);
+// Most to least severe; the names are SARIF result levels
+const SEVERITIES = ["error", "warning", "note"];
 
-$`## Role
-You are a senior developer whose job is to review code changes and provide meaningful feedback.
+const DEFAULT_CONFIG = {
+  failOn: "error",
+  maxChunkChars: 12000,
+  exclude: ["**/package-lock.json"],
+  rules: [
+    { id: "bug", severity: "error", description: "Code that is wrong: crashes, wrong results, unhandled errors, race conditions." },
+    { id: "security", severity: "error", description: "Secrets in code, injection, missing authorization, unsafe input handling." },
+    { id: "maintainability", severity: "warning", description: "Code that is hard to read or change, or that duplicates existing helpers." },
+  ],
+};
+
+const FINDINGS_SCHEMA = {
+  type: "object",
+  properties: {
+    findings: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          file: { type: "string", description: "Path of the changed file, as in the diff header" },
+          startLine: { type: "integer", description: "First line of the problem in the new version of the file" },
+          endLine: { type: "integer", description: "Last line of the problem in the new version of the file" },
+          severity: { type: "string", enum: SEVERITIES },
+          rule: { type: "string", description: "Id of the rule that is broken" },
+          message: { type: "string", description: "What is wrong and why, in one or two sentences" },
+          suggestion: { type: "string", description: "The fix, as replacement code or a short instruction" },
+        },
+        required: ["file", "startLine", "endLine", "severity", "rule", "message", "suggestion"],
+      },
+    },
+  },
+  required: ["findings"],
+};
+
+const vars = env.vars;
+
+/**
+ * Reads the rules file, falling back to the defaults for anything it does not set.
+ * @returns {Promise<{failOn: string, maxChunkChars: number, exclude: string[], rules: object[]}>}
+ */
+async function loadConfig() {
+  const file = await workspace.readText(vars.rules);
+  if (!file?.content) {
+    console.warn(`${vars.rules} not found: using the default rules.`);
+    return DEFAULT_CONFIG;
+  }
+  const config = { ...DEFAULT_CONFIG, ...YAML.parse(file.content) };
+  for (const rule of config.rules) {
+    if (!rule.id || !SEVERITIES.includes(rule.severity)) {
+      throw new Error(`${vars.rules}: every rule needs an id and a severity (${SEVERITIES.join(", ")}).`);
+    }
+  }
+  return config;
+}
+
+/**
+ * Gets the diff to review for the target.
+ * @param {string} target - staged, working, a commit range or branch.
+ * @param {string[]} exclude - Glob patterns of files to leave out.
+ * @returns {Promise<{diff: string, description: string}>}
+ */
+async function diffForTarget(target, exclude) {
+  const pathspec = ["--", ".", ...exclude.map(pattern => `:(exclude,glob)${pattern}`)];
+  switch (target) {
+    case "staged":
+      return { diff: await git.exec(["diff", "--cached", ...pathspec]), description: "staged changes" };
+    case "working":
+      return { diff: await git.exec(["diff", "HEAD", ...pathspec]), description: "uncommitted changes" };
+    case "branch": {
+      const base = vars.base || (await git.defaultBranch());
+      const mergeBase = (await git.exec(["merge-base", base, "HEAD"])).trim();
+      if (!mergeBase) throw new Error(`HEAD has no common ancestor with ${base}.`);
+      return { diff: await git.exec(["diff", mergeBase, "HEAD", ...pathspec]), description: `changes since the merge base with ${base}` };
+    }
+    default:
+      if (!/^[^\s-][^\s]*\.\.\.?[^\s]+$/.test(target)) {
+        throw new Error(`Unknown target "${target}": use staged, working, branch or a commit range such as HEAD~3..HEAD.`);
+      }
+      return { diff: await git.exec(["diff", target, ...pathspec]), description: `commits ${target}` };
+  }
+}
+
+/**
+ * Splits a unified diff into one entry per file.
+ * @param {string} diff
+ * @returns {{file: string, text: string}[]}
+ */
+function splitByFile(diff) {
+  return diff
+    .split(/^(?=diff --git )/m)
+    .filter(part => part.startsWith("diff --git "))
+    .map(text => {
+      const header = /^\+\+\+ b\/(.+)$/m.exec(text) || /^diff --git a\/.+ b\/(.+)$/m.exec(text);
+      return { file: header[1].trim(), text };
+    });
+}
+
+/**
+ * Groups file diffs into chunks that fit in one prompt. A file larger than a chunk is split between hunks,
+ * each piece keeping the file header so the model knows which file it reads.
+ * @param {{file: string, text: string}[]} files
+ * @param {number} maxChars
+ * @returns {{files: string[], text: string}[]}
+ */
+function chunkDiff(files, maxChars) {
+  const pieces = [];
+  for (const { file, text } of files) {
+    if (text.length <= maxChars) {
+      pieces.push({ file, text });
+      continue;
+    }
+    const [header, ...hunks] = text.split(/^(?=@@ )/m);
+    let current = header;
+    for (const hunk of hunks) {
+      if (current.length + hunk.length > maxChars && current !== header) {
+        pieces.push({ file, text: current });
+        current = header;
+      }
+      // A single hunk larger than a chunk is cut short and marked as truncated
+      const marker = "\n[hunk truncated]\n";
+      current += hunk.length > maxChars - header.length ? hunk.slice(0, maxChars - header.length - marker.length) + marker : hunk;
+    }
+    pieces.push({ file, text: current });
+  }
+
+  const chunks = [];
+  for (const piece of pieces) {
+    const last = chunks[chunks.length - 1];
+    if (last && last.text.length + piece.text.length <= maxChars) {
+      last.text += piece.text;
+      if (!last.files.includes(piece.file)) last.files.push(piece.file);
+    } else {
+      chunks.push({ files: [piece.file], text: piece.text });
+    }
+  }
+  return chunks;
+}
+
+// Glob patterns of rule `paths`: ** matches across directories, * within one
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*\*\/?/g, "\u0000")
+    .replace(/\*/g, "[^/]*")
+    .replace(/\?/g, "[^/]")
+    .replace(/\u0000/g, ".*");
+  return new RegExp(`^${source}$`);
+}
+
+function rulesForFiles(rules, files) {
+  return rules.filter(rule => !rule.paths || files.some(file => rule.paths.some(pattern => globToRegExp(pattern).test(file))));
+}
+
+/**
+ * Reviews one chunk of the diff.
+ * @returns {Promise<object[]>} The findings the model reported, checked against the chunk's files and the rules.
+ */
+async function reviewChunk(chunk, rules, index, total) {
+  const applicable = rulesForFiles(rules, chunk.files);
+  const res = await runPrompt(
+    _ => {
+      _.def("RULES", YAML.stringify(applicable.map(({ id, severity, description }) => ({ id, severity, description }))), { language: "yaml" });
+      _.def("CODE_CHANGES", chunk.text, { language: "diff" });
+      _.$`## Role
+You are a senior developer reviewing code changes for a team with the conventions in <RULES>.
 
 ## Task
-Review <CODE_CHANGES>, point out possible mistakes or bad practices, and provide suggestions for improvement.
-- Be specific about what's wrong and why it's wrong
-- Reference proper coding standards and best practices
-- Be brief to get your point across
-`;
\ No newline at end of file
+Review the added and changed lines in <CODE_CHANGES> (part ${index + 1} of ${total} of the change) and report each real problem as a finding.
+- Only report problems in lines this change adds or modifies, with line numbers in the new version of the file.
+- Use the id and the severity of the rule a problem breaks; use "general" with your own severity for important problems no rule covers.
+- Be specific about what is wrong and why, and give a concrete fix.
+- Report nothing rather than guesses or style nits; an empty list is a fine answer.
+
+Reply with JSON only: {"findings": [...]}`;
+    },
+    { label: `review ${chunk.files.join(", ")}`, responseType: "json_object", responseSchema: FINDINGS_SCHEMA },
+  );
+  if (res.error) throw new Error(`The review of ${chunk.files.join(", ")} failed: ${res.error.message || res.error}`);
+
+  const data = res.json ?? JSON.parse(/\{[\s\S]*\}/.exec(res.text)?.[0] || "{}");
+  const known = new Map(applicable.map(rule => [rule.id, rule]));
+  return (data.findings || [])
+    .filter(finding => chunk.files.includes(finding.file))
+    .map(finding => {
+      const startLine = Math.max(1, Number.parseInt(finding.startLine, 10) || 1);
+      const rule = known.has(finding.rule) ? finding.rule : "general";
+      return {
+        file: finding.file,
+        startLine,
+        endLine: Math.max(startLine, Number.parseInt(finding.endLine, 10) || startLine),
+        // Findings under a rule take the rule's severity, so the rules file decides what fails the build
+        severity: known.get(rule)?.severity || (SEVERITIES.includes(finding.severity) ? finding.severity : "warning"),
+        rule,
+        message: String(finding.message || "").trim(),
+        suggestion: String(finding.suggestion || "").trim(),
+      };
+    });
+}
+
+function atOrAbove(severity, threshold) {
+  return threshold !== "none" && SEVERITIES.indexOf(severity) <= SEVERITIES.indexOf(threshold);
+}
+
+function toMarkdown(report) {
+  const lines = [`# Code review: ${report.target}`, ""];
+  const counts = SEVERITIES.map(severity => `${report.findings.filter(f => f.severity === severity).length} ${severity}`);
+  lines.push(`${report.files} files reviewed in ${report.chunks} chunks: ${counts.join(", ")}. Fails on: ${report.failOn}.`, "");
+  if (report.findings.length === 0) lines.push("No findings.");
+  for (const finding of report.findings) {
+    const range = finding.endLine > finding.startLine ? `${finding.startLine}-${finding.endLine}` : finding.startLine;
+    lines.push(`### ${finding.severity.toUpperCase()} \`${finding.file}:${range}\` (${finding.rule})`, "", finding.message, "");
+    if (finding.suggestion) lines.push("Suggested fix:", "", "```", finding.suggestion, "```", "");
+  }
+  return lines.join("\n");
+}
+
+// SARIF 2.1.0, as read by GitHub code scanning and editor SARIF viewers
+function toSarif(report, rules) {
+  const usedRules = [...new Set(report.findings.map(finding => finding.rule))];
+  const descriptions = new Map(rules.map(rule => [rule.id, rule]));
+  return {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [{
+      tool: {
+        driver: {
+          name: "code-review.genai.js",
+          rules: usedRules.map(id => ({
+            id,
+            shortDescription: { text: descriptions.get(id)?.description || "Problem outside the team rules" },
+            defaultConfiguration: { level: descriptions.get(id)?.severity || "warning" },
+          })),
+        },
+      },
+      results: report.findings.map(finding => ({
+        ruleId: finding.rule,
+        level: finding.severity,
+        message: { text: finding.suggestion ? `${finding.message}\n\nSuggested fix: ${finding.suggestion}` : finding.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: finding.file },
+            region: { startLine: finding.startLine, endLine: finding.endLine },
+          },
+        }],
+        properties: { suggestion: finding.suggestion },
+      })),
+    }],
+  };
+}
+
+const config = await loadConfig();
+const failOn = vars.failOn || config.failOn;
+if (failOn !== "none" && !SEVERITIES.includes(failOn)) {
+  throw new Error(`failOn must be ${SEVERITIES.join(", ")} or none.`);
+}
+
+const { diff, description } = await diffForTarget(vars.target, config.exclude || []);
+const files = splitByFile(diff);
+const chunks = chunkDiff(files, config.maxChunkChars);
+console.log(`Reviewing ${description}: ${files.length} files in ${chunks.length} chunks.`);
+
+const findings = [];
+for (const [index, chunk] of chunks.entries()) {
+  findings.push(...(await reviewChunk(chunk, config.rules, index, chunks.length)));
+}
+findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)
+  || a.file.localeCompare(b.file) || a.startLine - b.startLine);
+
+const report = { target: description, failOn, files: files.length, chunks: chunks.length, findings };
+const markdown = toMarkdown(report);
+await workspace.writeText(path.join(vars.out, "code-review.md"), markdown);
+await workspace.writeText(path.join(vars.out, "code-review.json"), JSON.stringify(report, null, 2));
+await workspace.writeText(path.join(vars.out, "code-review.sarif"), JSON.stringify(toSarif(report, config.rules), null, 2));
+env.output.appendContent(markdown);
+
+const blocking = findings.filter(finding => atOrAbove(finding.severity, failOn));
+if (blocking.length > 0) {
+  throw new Error(`${blocking.length} finding(s) at or above "${failOn}"; see ${path.join(vars.out, "code-review.md")}.`);
+}
@@ -0,0 +1,348 @@
+import * as os from "os";
+import { promises as fs } from "fs";
+import { execFile } from "child_process";
+import { promisify } from "util";
+
+// Collectors for the host diagnostics exposed by the MCP server.
+// Everything here is read-only and returns plain JSON-serializable objects.
+
+const execFileAsync = promisify(execFile);
+const COMMAND_TIMEOUT_MS = 5000;
+
+// Environment variable names whose values are never returned
+const SENSITIVE_NAME = /KEY|SECRET|TOKEN|PASSWORD|PASSWD|CREDENTIAL|CONNECTION_?STRING|AUTH/i;
+
+async function run(command: string, args: string[]): Promise<string> {
+  const { stdout } = await execFileAsync(command, args, {
+    timeout: COMMAND_TIMEOUT_MS,
+    maxBuffer: 10 * 1024 * 1024,
+    windowsHide: true,
+  });
+  return stdout;
+}
+
+function round(value: number, digits = 2): number {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function percent(part: number, total: number): number {
+  return total > 0 ? round((part / total) * 100) : 0;
+}
+
+// CPU
+
+function cpuTimes() {
+  return os.cpus().map(cpu => {
+    const times = cpu.times;
+    return { idle: times.idle, total: times.user + times.nice + times.sys + times.idle + times.irq };
+  });
+}
+
+/**
+ * Samples CPU usage over a window, overall and per core.
+ * @param sampleMs - How long to measure for.
+ */
+export async function sampleCpu(sampleMs: number) {
+  const start = cpuTimes();
+  await new Promise(resolve => setTimeout(resolve, sampleMs));
+  const end = cpuTimes();
+  const cpus = os.cpus();
+
+  let idle = 0;
+  let total = 0;
+  const cores = end.map((times, core) => {
+    const idleDiff = times.idle - (start[core]?.idle ?? 0);
+    const totalDiff = times.total - (start[core]?.total ?? 0);
+    idle += idleDiff;
+    total += totalDiff;
+    return {
+      core,
+      model: cpus[core]?.model ?? "unknown",
+      speedMHz: cpus[core]?.speed ?? 0,
+      usagePercent: totalDiff > 0 ? round((1 - idleDiff / totalDiff) * 100) : 0,
+    };
+  });
+
+  return {
+    sampleMs,
+    averagePercent: total > 0 ? round((1 - idle / total) * 100) : 0,
+    cores,
+  };
+}
+
+/**
+ * One-, five- and fifteen-minute load averages. Windows has no load average, so `supported` is false there.
+ */
+export function loadAverage() {
+  const [oneMinute, fiveMinutes, fifteenMinutes] = os.loadavg().map(value => round(value));
+  return {
+    supported: process.platform !== "win32",
+    oneMinute,
+    fiveMinutes,
+    fifteenMinutes,
+    cpuCount: os.cpus().length,
+  };
+}
+
+// Memory
+
+async function swapUsage(): Promise<{ totalBytes: number; freeBytes: number } | null> {
+  try {
+    if (process.platform === "linux") {
+      const meminfo = await fs.readFile("/proc/meminfo", "utf8");
+      const read = (key: string) => Number(new RegExp(`^${key}:\\s+(\\d+) kB`, "m").exec(meminfo)?.[1] ?? 0) * 1024;
+      return { totalBytes: read("SwapTotal"), freeBytes: read("SwapFree") };
+    }
+    if (process.platform === "darwin") {
+      // "total = 2048.00M  used = 1021.50M  free = 1026.50M  (encrypted)"
+      const output = await run("sysctl", ["-n", "vm.swapusage"]);
+      const read = (key: string) => Number(new RegExp(`${key} = ([\\d.]+)M`).exec(output)?.[1] ?? 0) * 1024 * 1024;
+      return { totalBytes: read("total"), freeBytes: read("free") };
+    }
+  } catch {
+    // Swap details are best effort
+  }
+  return null;
+}
+
+/**
+ * Physical memory usage and, on Linux and macOS, swap usage.
+ */
+export async function memoryUsage() {
+  const totalBytes = os.totalmem();
+  const freeBytes = os.freemem();
+  const swap = await swapUsage();
+
+  return {
+    totalBytes,
+    freeBytes,
+    usedBytes: totalBytes - freeBytes,
+    usedPercent: percent(totalBytes - freeBytes, totalBytes),
+    swap: swap && {
+      totalBytes: swap.totalBytes,
+      freeBytes: swap.freeBytes,
+      usedBytes: swap.totalBytes - swap.freeBytes,
+      usedPercent: percent(swap.totalBytes - swap.freeBytes, swap.totalBytes),
+    },
+  };
+}
+
+// Disks
+
+export interface DiskUsage {
+  filesystem: string;
+  mount: string;
+  totalBytes: number;
+  usedBytes: number;
+  availableBytes: number;
+  usedPercent: number;
+}
+
+async function posixDisks(): Promise<DiskUsage[]> {
+  // POSIX output format: Filesystem 1024-blocks Used Available Capacity Mounted-on
+  const output = await run("df", ["-kP"]);
+  const disks: DiskUsage[] = [];
+  for (const line of output.split("\n").slice(1)) {
+    const match = /^(\S+)\s+(\d+)\s+(\d+)\s+(\d+)\s+\d+%\s+(.+)$/.exec(line.trim());
+    if (!match || Number(match[2]) === 0) continue; // skip pseudo file systems
+    const [, filesystem, total, used, available, mount] = match;
+    disks.push({
+      filesystem,
+      mount,
+      totalBytes: Number(total) * 1024,
+      usedBytes: Number(used) * 1024,
+      availableBytes: Number(available) * 1024,
+      usedPercent: percent(Number(used), Number(used) + Number(available)),
+    });
+  }
+  return disks;
+}
+
+async function windowsDisks(): Promise<DiskUsage[]> {
+  const disks: DiskUsage[] = [];
+  for (const letter of "CDEFGHIJKLMNOPQRSTUVWXYZ") {
+    const mount = `${letter}:\\`;
+    try {
+      const stats = await fs.statfs(mount);
+      const totalBytes = stats.blocks * stats.bsize;
+      const freeBytes = stats.bfree * stats.bsize;
+      disks.push({
+        filesystem: mount,
+        mount,
+        totalBytes,
+        usedBytes: totalBytes - freeBytes,
+        availableBytes: stats.bavail * stats.bsize,
+        usedPercent: percent(totalBytes - freeBytes, totalBytes),
+      });
+    } catch {
+      // No such drive
+    }
+  }
+  return disks;
+}
+
+/**
+ * Usage of every mounted file system.
+ * @param mount - Only return the file system mounted at this path.
+ */
+export async function diskUsage(mount?: string) {
+  const disks = process.platform === "win32" ? await windowsDisks() : await posixDisks();
+  return { disks: mount ? disks.filter(disk => disk.mount === mount) : disks };
+}
+
+// Network
+
+/**
+ * Network interfaces and their addresses.
+ * @param includeInternal - Include loopback and other internal interfaces.
+ */
+export function networkInterfaces(includeInternal: boolean) {
+  const interfaces = Object.entries(os.networkInterfaces())
+    .map(([name, addresses = []]) => ({
+      name,
+      addresses: addresses
+        .filter(address => includeInternal || !address.internal)
+        .map(address => ({
+          address: address.address,
+          family: String(address.family),
+          netmask: address.netmask,
+          cidr: address.cidr,
+          mac: address.mac,
+          internal: address.internal,
+        })),
+    }))
+    .filter(networkInterface => networkInterface.addresses.length > 0);
+  return { interfaces };
+}
+
+// Processes
+
+export interface ProcessUsage {
+  pid: number;
+  name: string;
+  cpuPercent: number | null;
+  memoryPercent: number;
+  memoryBytes: number;
+}
+
+async function posixProcesses(): Promise<{ process: ProcessUsage; cpu: number }[]> {
+  const output = await run("ps", ["-Ao", "pid=,pcpu=,pmem=,rss=,comm="]);
+  const processes = [];
+  for (const line of output.split("\n")) {
+    const match = /^(\d+)\s+([\d.]+)\s+([\d.]+)\s+(\d+)\s+(.+)$/.exec(line.trim());
+    if (!match) continue;
+    const [, pid, cpu, memory, rss, name] = match;
+    processes.push({
+      process: {
+        pid: Number(pid),
+        name,
+        cpuPercent: Number(cpu),
+        memoryPercent: Number(memory),
+        memoryBytes: Number(rss) * 1024,
+      },
+      cpu: Number(cpu),
+    });
+  }
+  return processes;
+}
+
+async function windowsProcesses(): Promise<{ process: ProcessUsage; cpu: number }[]> {
+  const output = await run("powershell.exe", [
+    "-NoProfile",
+    "-Command",
+    "Get-Process | Select-Object Id,ProcessName,CPU,WorkingSet64 | ConvertTo-Json -Compress",
+  ]);
+  const totalBytes = os.totalmem();
+  const parsed = JSON.parse(output);
+  const list: { Id: number; ProcessName: string; CPU: number | null; WorkingSet64: number }[] = Array.isArray(parsed) ? parsed : [parsed];
+  // Windows only reports total CPU time, so processes are ranked by it and no percentage is given
+  return list.map(item => ({
+    process: {
+      pid: item.Id,
+      name: item.ProcessName,
+      cpuPercent: null,
+      memoryPercent: percent(item.WorkingSet64, totalBytes),
+      memoryBytes: item.WorkingSet64,
+    },
+    cpu: item.CPU ?? 0,
+  }));
+}
+
+/**
+ * The processes using the most CPU or memory.
+ * @param sortBy - Rank by "cpu" or "memory".
+ * @param limit - How many processes to return.
+ */
+export async function topProcesses(sortBy: "cpu" | "memory", limit: number) {
+  const processes = process.platform === "win32" ? await windowsProcesses() : await posixProcesses();
+  processes.sort((a, b) => (sortBy === "cpu" ? b.cpu - a.cpu : b.process.memoryBytes - a.process.memoryBytes));
+  return {
+    sortBy,
+    processCount: processes.length,
+    processes: processes.slice(0, limit).map(entry => entry.process),
+  };
+}
+
+// Runtime and environment
+
+/**
+ * The operating system and the Node.js runtime the server runs in.
+ */
+export function runtimeInfo() {
+  const memory = process.memoryUsage();
+  return {
+    node: process.version,
+    v8: process.versions.v8,
+    platform: process.platform,
+    osType: os.type(),
+    osRelease: os.release(),
+    architecture: os.arch(),
+    pid: process.pid,
+    execPath: process.execPath,
+    processUptimeSeconds: round(process.uptime()),
+    memory: {
+      rssBytes: memory.rss,
+      heapTotalBytes: memory.heapTotal,
+      heapUsedBytes: memory.heapUsed,
+      externalBytes: memory.external,
+    },
+  };
+}
+
+/**
+ * The server's environment variables. Values of variables that look like secrets are redacted.
+ * @param prefix - Only return variables whose name starts with this (case-insensitive).
+ */
+export function environmentVariables(prefix?: string) {
+  const variables: Record<string, string> = {};
+  const names = Object.keys(process.env)
+    .filter(name => !prefix || name.toLowerCase().startsWith(prefix.toLowerCase()))
+    .sort();
+  for (const name of names) {
+    variables[name] = SENSITIVE_NAME.test(name) ? "[redacted]" : process.env[name] ?? "";
+  }
+  return { variables };
+}
+
+/**
+ * A point-in-time overview of the host, published as the `system://snapshot` resource.
+ */
+export async function systemSnapshot() {
+  const [cpu, memory, disks] = await Promise.all([
+    sampleCpu(100),
+    memoryUsage(),
+    diskUsage().catch(() => ({ disks: [] })),
+  ]);
+  return {
+    takenAt: new Date().toISOString(),
+    hostname: os.hostname(),
+    platform: process.platform,
+    architecture: os.arch(),
+    uptimeSeconds: os.uptime(),
+    cpu: { count: cpu.cores.length, model: cpu.cores[0]?.model ?? "unknown", averagePercent: cpu.averagePercent },
+    load: loadAverage(),
+    memory,
+    disks: disks.disks,
+  };
+}
@@ -1,31 +1,126 @@
-
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
 import express from "express";
-import { server } from "./server";
+import { randomUUID } from "crypto";
+import { createServer } from "./server";
+
+// Default port for the sse and http transports. Deliberately not 3001, which the webapi uses.
+const DEFAULT_PORT = 3002;
+
+// Usage: index.ts [stdio|sse|http] [--port <port>]
+// The port can also be set with MCP_PORT.
+function parseArgs(args: string[]) {
+  let type = "stdio";
+  let port = Number(process.env.MCP_PORT) || DEFAULT_PORT;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--port") {
+      port = Number(args[++i]);
+      if (!Number.isInteger(port) || port <= 0) {
+        throw new Error(`Invalid --port value: ${args[i]}`);
+      }
+    } else {
+      type = args[i];
+    }
+  }
+  return { type, port };
+}
+
+// Legacy HTTP+SSE transport: GET /sse opens a stream, POST /messages?sessionId=... sends to it.
+// Every connection gets its own transport and server, so clients never see each other's messages.
+function mountSse(app: express.Express) {
+  const transports = new Map<string, SSEServerTransport>();
+
+  app.get("/sse", async (req, res) => {
+    const transport = new SSEServerTransport("/messages", res);
+    const server = createServer();
+    transports.set(transport.sessionId, transport);
+    res.on("close", () => {
+      transports.delete(transport.sessionId);
+      server.close().catch(() => {});
+    });
+    await server.connect(transport);
+  });
+
+  app.post("/messages", async (req, res) => {
+    const sessionId = req.query.sessionId as string | undefined;
+    const transport = sessionId ? transports.get(sessionId) : undefined;
+    if (!transport) {
+      res.status(400).send(`No SSE session found for sessionId "${sessionId ?? ""}"`);
+      return;
+    }
+    await transport.handlePostMessage(req, res);
+  });
+}
+
+// Streamable HTTP transport: everything goes through /mcp, sessions are tracked
+// with the Mcp-Session-Id header and closed with DELETE /mcp.
+function mountStreamableHttp(app: express.Express) {
+  const transports = new Map<string, StreamableHTTPServerTransport>();
+
+  app.post("/mcp", express.json(), async (req, res) => {
+    const sessionId = req.headers["mcp-session-id"] as string | undefined;
+    let transport = sessionId ? transports.get(sessionId) : undefined;
+
+    if (!transport) {
+      if (sessionId || !isInitializeRequest(req.body)) {
+        res.status(400).json({
+          jsonrpc: "2.0",
+          error: { code: -32000, message: "Bad Request: no valid session ID provided" },
+          id: null,
+        });
+        return;
+      }
+
+      const server = createServer();
+      const newTransport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          transports.set(id, newTransport);
+        },
+      });
+      newTransport.onclose = () => {
+        if (newTransport.sessionId) transports.delete(newTransport.sessionId);
+        server.close().catch(() => {});
+      };
+      await server.connect(newTransport);
+      transport = newTransport;
+    }
+
+    await transport.handleRequest(req, res, req.body);
+  });
+
+  // GET opens the server-to-client notification stream, DELETE ends the session
+  const handleSessionRequest = async (req: express.Request, res: express.Response) => {
+    const sessionId = req.headers["mcp-session-id"] as string | undefined;
+    const transport = sessionId ? transports.get(sessionId) : undefined;
+    if (!transport) {
+      res.status(400).send("Invalid or missing session ID");
+      return;
+    }
+    await transport.handleRequest(req, res);
+  };
+  app.get("/mcp", handleSessionRequest);
+  app.delete("/mcp", handleSessionRequest);
+}
 
 // Start the server
 async function main() {
-  const args = process.argv.slice(2);
-  const type = args.at(0) || "stdio";
-  if (type === "sse") {
+  const { type, port } = parseArgs(process.argv.slice(2));
+  if (type === "sse" || type === "http") {
     const app = express();
-    let transport: SSEServerTransport;
-    app.get("/sse", async (req, res) => {
-      transport = new SSEServerTransport("/messages", res);
-      await server.connect(transport);
+    if (type === "sse") {
+      mountSse(app);
+    } else {
+      mountStreamableHttp(app);
+    }
+    app.listen(port, () => {
+      console.error(`MCP Server running on ${type} at http://localhost:${port}${type === "sse" ? "/sse" : "/mcp"}`);
     });
-    app.post("/messages", async (req, res) => {
-      // Note: to support multiple simultaneous connections, these messages will
-      // need to be routed to a specific matching transport. (This logic isn't
-      // implemented here, for simplicity.)
-      await transport.handlePostMessage(req, res);
-    });
-    app.listen(process.env.PORT || 3001);
-    console.error("MCP Server running on sse");
   } else if (type === "stdio") {
     const transport = new StdioServerTransport();
-    await server.connect(transport);
+    await createServer().connect(transport);
     console.error("MCP Server running on stdio");
   } else {
     throw new Error(`Unknown transport type: ${type}`);
@@ -35,4 +130,4 @@ async function main() {
 main().catch((error) => {
   console.error("Fatal error in main():", error);
   process.exit(1);
-});
\ No newline at end of file
+});
@@ -1,87 +1,310 @@
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import * as os from "os";
+import { z } from "zod";
+import {
+  diskUsage,
+  environmentVariables,
+  loadAverage,
+  memoryUsage,
+  networkInterfaces,
+  runtimeInfo,
+  sampleCpu,
+  systemSnapshot,
+  topProcesses,
+} from "./diagnostics";
 
-// Create server instance
-const server = new McpServer({
+// Tool results carry the data twice: as structured content for clients that
+// understand output schemas, and as text for those that don't.
+function toolResult<T extends Record<string, unknown>>(data: T, text = JSON.stringify(data, null, 2)) {
+  return {
+    content: [{ type: "text" as const, text }],
+    structuredContent: data,
+  };
+}
+
+const sampleMs = z.number().int().min(10).max(10000);
+
+const cpuCore = z.object({
+  core: z.number(),
+  model: z.string(),
+  speedMHz: z.number(),
+  usagePercent: z.number(),
+});
+
+const usage = {
+  totalBytes: z.number(),
+  freeBytes: z.number(),
+  usedBytes: z.number(),
+  usedPercent: z.number(),
+};
+
+const disk = z.object({
+  filesystem: z.string(),
+  mount: z.string(),
+  totalBytes: z.number(),
+  usedBytes: z.number(),
+  availableBytes: z.number(),
+  usedPercent: z.number(),
+});
+
+// Create a server instance. Each MCP session needs its own instance,
+// because a server can only be connected to one transport at a time.
+function createServer(): McpServer {
+  const server = new McpServer({
     name: "node-os-mcp",
-    description: "A server that provides tools to get information about the operating system.",
+    description: "A server that provides diagnostics about the operating system and the host it runs on.",
     version: "0.0.1",
-});
+  });
 
-server.tool(
-"cpu_average_usage",
-"Get the average CPU usage percentage on the local machine",
-{},
-async () => {
-    // Calculate average CPU usage over 100ms
-    function cpuAverage() {
-    const cpus = os.cpus();
-    let totalIdle = 0, totalTick = 0;
-
-    for (const cpu of cpus) {
-        for (const type in cpu.times) {
-        totalTick += cpu.times[type as keyof typeof cpu.times];
-        }
-        totalIdle += cpu.times.idle;
-    }
-    return { idle: totalIdle / cpus.length, total: totalTick / cpus.length };
+  registerTools(server);
+  registerResources(server);
+  registerPrompts(server);
+
+  return server;
+}
+
+function registerTools(server: McpServer) {
+  server.registerTool(
+    "cpu_average_usage",
+    {
+      description: "Get the average CPU usage percentage on the local machine, measured over a sampling window",
+      inputSchema: { sampleMs: sampleMs.default(100).describe("Sampling window in milliseconds") },
+      outputSchema: { sampleMs: z.number(), averagePercent: z.number() },
+    },
+    async ({ sampleMs }) => {
+      const { averagePercent } = await sampleCpu(sampleMs);
+      return toolResult({ sampleMs, averagePercent }, `Average CPU usage: ${averagePercent.toFixed(2)}%`);
     }
+  );
+
+  server.registerTool(
+    "cpu_core_usage",
+    {
+      description: "Get the CPU usage percentage of each core on the local machine, measured over a sampling window",
+      inputSchema: { sampleMs: sampleMs.default(500).describe("Sampling window in milliseconds") },
+      outputSchema: { sampleMs: z.number(), averagePercent: z.number(), cores: z.array(cpuCore) },
+    },
+    async ({ sampleMs }) => toolResult(await sampleCpu(sampleMs))
+  );
+
+  server.registerTool(
+    "get_hostname",
+    {
+      description: "Get the hostname of the local machine",
+      outputSchema: { hostname: z.string() },
+    },
+    async () => toolResult({ hostname: os.hostname() }, `Hostname: ${os.hostname()}`)
+  );
 
-    const start = cpuAverage();
-    await new Promise(res => setTimeout(res, 100));
-    const end = cpuAverage();
-
-    const idleDiff = end.idle - start.idle;
-    const totalDiff = end.total - start.total;
-    const usage = totalDiff > 0 ? (1 - idleDiff / totalDiff) * 100 : 0;
-
-    return {
-    content: [{
-        type: "text",
-        text: `Average CPU usage: ${usage.toFixed(2)}%`
-    }],
-    isError: false
-    };
+  server.registerTool(
+    "get_architecture",
+    {
+      description: "Get the architecture of the local machine",
+      outputSchema: { architecture: z.string() },
+    },
+    async () => toolResult({ architecture: os.arch() }, `Architecture: ${os.arch()}`)
+  );
+
+  server.registerTool(
+    "get_uptime",
+    {
+      description: "Get the uptime of the local machine in seconds",
+      outputSchema: { uptimeSeconds: z.number() },
+    },
+    async () => toolResult({ uptimeSeconds: os.uptime() }, `Uptime: ${os.uptime()} seconds`)
+  );
+
+  server.registerTool(
+    "memory_usage",
+    {
+      description: "Get physical memory and swap usage of the local machine. Swap is null where it cannot be read (Windows)",
+      outputSchema: { ...usage, swap: z.object(usage).nullable() },
+    },
+    async () => toolResult(await memoryUsage())
+  );
+
+  server.registerTool(
+    "load_average",
+    {
+      description: "Get the 1, 5 and 15 minute load averages and the number of CPUs. Not supported on Windows",
+      outputSchema: {
+        supported: z.boolean(),
+        oneMinute: z.number(),
+        fiveMinutes: z.number(),
+        fifteenMinutes: z.number(),
+        cpuCount: z.number(),
+      },
+    },
+    async () => toolResult(loadAverage())
+  );
+
+  server.registerTool(
+    "disk_usage",
+    {
+      description: "Get the size, used and available space of each mounted file system",
+      inputSchema: { mount: z.string().optional().describe("Only report the file system mounted at this path, e.g. / or C:\\") },
+      outputSchema: { disks: z.array(disk) },
+    },
+    async ({ mount }) => toolResult(await diskUsage(mount))
+  );
+
+  server.registerTool(
+    "network_interfaces",
+    {
+      description: "List the network interfaces of the local machine with their addresses",
+      inputSchema: { includeInternal: z.boolean().default(false).describe("Include loopback and other internal interfaces") },
+      outputSchema: {
+        interfaces: z.array(z.object({
+          name: z.string(),
+          addresses: z.array(z.object({
+            address: z.string(),
+            family: z.string(),
+            netmask: z.string(),
+            cidr: z.string().nullable(),
+            mac: z.string(),
+            internal: z.boolean(),
+          })),
+        })),
+      },
+    },
+    async ({ includeInternal }) => toolResult(networkInterfaces(includeInternal))
+  );
+
+  server.registerTool(
+    "top_processes",
+    {
+      description: "List the processes using the most CPU or memory. CPU percentages are averaged over each process's lifetime; on Windows they are not available and processes are ranked by total CPU time",
+      inputSchema: {
+        sortBy: z.enum(["cpu", "memory"]).default("cpu").describe("Rank processes by CPU or memory usage"),
+        limit: z.number().int().min(1).max(50).default(10).describe("Number of processes to return"),
+      },
+      outputSchema: {
+        sortBy: z.enum(["cpu", "memory"]),
+        processCount: z.number(),
+        processes: z.array(z.object({
+          pid: z.number(),
+          name: z.string(),
+          cpuPercent: z.number().nullable(),
+          memoryPercent: z.number(),
+          memoryBytes: z.number(),
+        })),
+      },
+    },
+    async ({ sortBy, limit }) => toolResult(await topProcesses(sortBy, limit))
+  );
+
+  server.registerTool(
+    "runtime_info",
+    {
+      description: "Get operating system release and Node.js runtime information for the MCP server process",
+      outputSchema: {
+        node: z.string(),
+        v8: z.string(),
+        platform: z.string(),
+        osType: z.string(),
+        osRelease: z.string(),
+        architecture: z.string(),
+        pid: z.number(),
+        execPath: z.string(),
+        processUptimeSeconds: z.number(),
+        memory: z.object({
+          rssBytes: z.number(),
+          heapTotalBytes: z.number(),
+          heapUsedBytes: z.number(),
+          externalBytes: z.number(),
+        }),
+      },
+    },
+    async () => toolResult(runtimeInfo())
+  );
+
+  server.registerTool(
+    "environment_variables",
+    {
+      description: "List the MCP server's environment variables. Values of variables that look like secrets are redacted",
+      inputSchema: { prefix: z.string().optional().describe("Only list variables whose name starts with this (case-insensitive)") },
+      outputSchema: { variables: z.record(z.string()) },
+    },
+    async ({ prefix }) => toolResult(environmentVariables(prefix))
+  );
 }
-);
-
-server.tool(
-"get_hostname",
-"Get the hostname of the local machine",
-{},
-async () => ({
-    content: [{
-    type: "text",
-    text: `Hostname: ${os.hostname()}`
-    }],
-    isError: false
+
+function registerResources(server: McpServer) {
+  server.registerResource(
+    "system-snapshot",
+    "system://snapshot",
+    {
+      title: "System snapshot",
+      description: "Hostname, platform, CPU, load, memory and disk usage of the host at the time it is read",
+      mimeType: "application/json",
+    },
+    async (uri) => ({
+      contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(await systemSnapshot(), null, 2) }],
     })
-);
-
-server.tool(
-"get_architecture",
-"Get the architecture of the local machine",
-{},
-async () => ({
-    content: [{
-    type: "text",
-    text: `Architecture: ${os.arch()}`
-    }],
-    isError: false
+  );
+
+  server.registerResource(
+    "runtime",
+    "system://runtime",
+    {
+      title: "Runtime information",
+      description: "Operating system release and Node.js runtime of the MCP server process",
+      mimeType: "application/json",
+    },
+    async (uri) => ({
+      contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(runtimeInfo(), null, 2) }],
     })
-);
-
-server.tool(
-"get_uptime",
-"Get the uptime of the local machine in seconds",
-{},
-async () => ({
-    content: [{
-    type: "text",
-    text: `Uptime: ${os.uptime()} seconds`
-    }],
-    isError: false
+  );
+}
+
+function registerPrompts(server: McpServer) {
+  server.registerPrompt(
+    "diagnose_high_load",
+    {
+      title: "Diagnose high load",
+      description: "Investigate why the host is slow or its load is high, and suggest remediations",
+      argsSchema: { symptom: z.string().optional().describe("What was observed, e.g. 'API latency doubled since 10:00'") },
+    },
+    ({ symptom }) => ({
+      messages: [{
+        role: "user",
+        content: {
+          type: "text",
+          text: [
+            "The host this MCP server runs on appears to be under high load." + (symptom ? ` Observed: ${symptom}` : ""),
+            "Diagnose the cause:",
+            "1. Use load_average and cpu_core_usage to tell whether CPU is saturated, and whether on all cores or a few.",
+            "2. Use memory_usage to check for memory pressure or heavy swapping.",
+            "3. Use top_processes, sorted by cpu and then by memory, to find the processes responsible.",
+            "4. Use disk_usage to rule out full file systems.",
+            "Summarize the findings with the figures you measured, name the most likely cause, and suggest concrete next steps.",
+          ].join("\n"),
+        },
+      }],
     })
-);
+  );
+
+  server.registerPrompt(
+    "investigate_disk_space",
+    {
+      title: "Investigate disk space",
+      description: "Check which file systems are running out of space",
+      argsSchema: { mount: z.string().optional().describe("The mount point to focus on") },
+    },
+    ({ mount }) => ({
+      messages: [{
+        role: "user",
+        content: {
+          type: "text",
+          text: [
+            mount ? `Check the disk space of the file system mounted at ${mount}.` : "Check the disk space of every mounted file system.",
+            "Use disk_usage and report each file system's size, usage and free space.",
+            "Flag anything above 85% used, and suggest what could be cleaned up or resized.",
+          ].join("\n"),
+        },
+      }],
+    })
+  );
+}
 
-export { server };
\ No newline at end of file
+export { createServer };
@@ -0,0 +1,212 @@
+import multer from "multer";
+import { detectFormat, extractPages } from "../documents/loaders.js";
+
+// Images forwarded to the model, and the bytes each format starts with
+const IMAGE_SIGNATURES = {
+  "image/png": buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  "image/jpeg": buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  "image/gif": buffer => buffer.subarray(0, 4).toString("latin1") === "GIF8",
+  "image/webp": buffer => buffer.subarray(0, 4).toString("latin1") === "RIFF" && buffer.subarray(8, 12).toString("latin1") === "WEBP",
+};
+
+export const IMAGE_TYPES = Object.keys(IMAGE_SIGNATURES);
+
+/**
+ * @typedef {object} Attachment
+ * @property {"image" | "document"} kind
+ * @property {string} name - The file name given by the client.
+ * @property {string} type - MIME type (detected for images).
+ * @property {number} size - Bytes.
+ * @property {string} [dataUrl] - Images: the file as a base64 data: URL.
+ * @property {string} [text] - Documents: the extracted text.
+ * @property {boolean} [truncated] - Documents: whether the text was cut at CHAT_ATTACHMENT_MAX_TEXT_CHARS.
+ */
+
+/**
+ * A chat attachment that was refused; reported to the client as { error: "attachment_rejected", message }.
+ */
+export class AttachmentError extends Error {
+  /**
+   * @param {number} status - 400 for a malformed or unsupported attachment, 413 when a limit is exceeded.
+   * @param {string} message
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = "AttachmentError";
+    this.status = status;
+    this.code = "attachment_rejected";
+  }
+}
+
+/**
+ * Reads the attachment limits from the environment:
+ *   CHAT_ATTACHMENT_MAX_FILES       - files per message (default 4; 0 disables attachments)
+ *   CHAT_ATTACHMENT_MAX_BYTES       - size of each file (default 5 MB)
+ *   CHAT_ATTACHMENT_MAX_TEXT_CHARS  - text kept from each document; the rest is cut off (default 20000)
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @returns {{maxFiles: number, maxBytes: number, maxTextChars: number}}
+ */
+export function loadAttachmentLimits(env = process.env) {
+  return {
+    maxFiles: Number(env.CHAT_ATTACHMENT_MAX_FILES ?? 4),
+    maxBytes: Number(env.CHAT_ATTACHMENT_MAX_BYTES) || 5 * 1024 * 1024,
+    maxTextChars: Number(env.CHAT_ATTACHMENT_MAX_TEXT_CHARS) || 20000,
+  };
+}
+
+/**
+ * Middleware accepting a multipart/form-data chat message, with its files in the field "attachments".
+ * Other content types pass through untouched. Upload limit violations become an AttachmentError.
+ * @param {{maxFiles: number, maxBytes: number}} limits
+ * @returns {import('express').RequestHandler}
+ */
+export function attachmentUpload(limits) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: limits.maxBytes, files: limits.maxFiles },
+  }).array("attachments");
+
+  return (req, res, next) => {
+    upload(req, res, err => {
+      if (!(err instanceof multer.MulterError)) return next(err);
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return next(new AttachmentError(413, `Each attachment must be smaller than ${formatBytes(limits.maxBytes)}.`));
+      }
+      if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE") {
+        return next(tooManyFiles(limits));
+      }
+      next(new AttachmentError(400, err.message));
+    });
+  };
+}
+
+/**
+ * Converts attachments sent in a JSON body as [{ name, type, data }] (data in base64, or a data: URL)
+ * to the file shape multer produces.
+ * @param {unknown} list - The `attachments` field of the request body.
+ * @param {{maxFiles: number, maxBytes: number}} limits
+ * @returns {{originalname: string, mimetype: string, buffer: Buffer, size: number}[]}
+ */
+export function filesFromJson(list, limits) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) throw new AttachmentError(400, "`attachments` must be an array of { name, type, data }.");
+  if (list.length > limits.maxFiles) throw tooManyFiles(limits);
+
+  return list.map((item, i) => {
+    if (!item || typeof item.data !== "string") {
+      throw new AttachmentError(400, `Attachment ${i + 1} has no base64 \`data\`.`);
+    }
+    const dataUrl = /^data:([^;,]+)?(?:;[^,]*)?,/.exec(item.data);
+    const buffer = Buffer.from(dataUrl ? item.data.slice(dataUrl[0].length) : item.data, "base64");
+    const name = String(item.name || `attachment-${i + 1}`);
+    if (buffer.length > limits.maxBytes) {
+      throw new AttachmentError(413, `${name} is larger than ${formatBytes(limits.maxBytes)}.`);
+    }
+    return { originalname: name, mimetype: String(item.type || dataUrl?.[1] || ""), buffer, size: buffer.length };
+  });
+}
+
+/**
+ * Sorts uploaded files into images, forwarded to the model as they are, and documents, whose text is extracted.
+ * Images must be PNG, JPEG, GIF or WebP (checked against the file contents); documents any format
+ * POST /documents accepts.
+ * @param {{originalname: string, mimetype: string, buffer: Buffer, size: number}[]} files
+ * @param {{maxTextChars: number}} limits
+ * @returns {Promise<Attachment[]>}
+ * @throws {AttachmentError} When a file is of an unsupported type or its text cannot be read.
+ */
+export async function readAttachments(files, limits) {
+  const attachments = [];
+  for (const file of files) {
+    const name = file.originalname;
+    const imageType = IMAGE_TYPES.find(type => IMAGE_SIGNATURES[type](file.buffer));
+    if (imageType) {
+      attachments.push({
+        kind: "image",
+        name,
+        type: imageType,
+        size: file.size,
+        dataUrl: `data:${imageType};base64,${file.buffer.toString("base64")}`,
+      });
+      continue;
+    }
+    if (file.mimetype.startsWith("image/")) {
+      throw new AttachmentError(400, `${name} is not a supported image. Attach PNG, JPEG, GIF or WebP images.`);
+    }
+
+    const format = detectFormat(name, file.mimetype);
+    if (!format) {
+      throw new AttachmentError(400, `${name} is not a supported file type. Attach images, PDF, Markdown, text, HTML or DOCX files.`);
+    }
+    let text;
+    try {
+      text = (await extractPages(file.buffer, format)).map(page => page.text).join("\n\n").trim();
+    } catch (err) {
+      throw new AttachmentError(400, `The text of ${name} could not be read: ${err.message}`);
+    }
+    const truncated = text.length > limits.maxTextChars;
+    attachments.push({
+      kind: "document",
+      name,
+      type: file.mimetype || format,
+      size: file.size,
+      text: truncated ? text.slice(0, limits.maxTextChars) : text,
+      truncated,
+    });
+  }
+  return attachments;
+}
+
+/**
+ * Builds the content of the user message for this turn: the question followed by the text of the attached
+ * documents, and one image_url part per image (the multimodal format used by sample.js).
+ * @param {string} message - The user's question.
+ * @param {Attachment[]} attachments - Document texts should already be fenced as untrusted content.
+ * @returns {string | object[]} Plain text when there are no images.
+ */
+export function buildUserContent(message, attachments) {
+  const documents = attachments.filter(attachment => attachment.kind === "document");
+  const images = attachments.filter(attachment => attachment.kind === "image");
+
+  let text = message;
+  if (documents.length) {
+    text += "\n\nAttached documents:\n\n" + documents
+      .map(doc => `--- ${doc.name}${doc.truncated ? " (truncated)" : ""} ---\n${doc.text}`)
+      .join("\n\n");
+  }
+  if (images.length === 0) return text;
+  return [
+    { type: "text", text },
+    ...images.map(image => ({ type: "image_url", image_url: { url: image.dataUrl } })),
+  ];
+}
+
+/**
+ * A note naming the attachments, saved with the question in place of their contents.
+ * @param {Attachment[]} attachments
+ * @returns {string} Empty without attachments.
+ */
+export function describeAttachments(attachments) {
+  if (attachments.length === 0) return "";
+  return `(Attached: ${attachments.map(attachment => attachment.name).join(", ")})`;
+}
+
+/**
+ * The text of a message's content, whether it is a string or a list of content parts.
+ * @param {string | object[]} content
+ * @returns {string}
+ */
+export function contentText(content) {
+  if (typeof content === "string") return content;
+  return (content || []).map(part => (typeof part === "string" ? part : part.text || "")).join("");
+}
+
+function tooManyFiles(limits) {
+  return new AttachmentError(413, limits.maxFiles > 0
+    ? `Attach at most ${limits.maxFiles} files to a message.`
+    : "Attachments are disabled on this server.");
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1).replace(/\.0$/, "")} MB` : `${Math.round(bytes / 1024)} KB`;
+}
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { attachmentUpload, AttachmentError, buildUserContent, filesFromJson, loadAttachmentLimits, readAttachments } from "./index.js";
+
+const LIMITS = { maxFiles: 2, maxBytes: 1024, maxTextChars: 20 };
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+function refusal(status, pattern) {
+  return error => error instanceof AttachmentError && error.status === status && pattern.test(error.message);
+}
+
+function upload(name, text, mimetype = "") {
+  const buffer = Buffer.from(text);
+  return { originalname: name, mimetype, buffer, size: buffer.length };
+}
+
+test("limits are read from the environment, with defaults", () => {
+  assert.deepEqual(loadAttachmentLimits({}), { maxFiles: 4, maxBytes: 5 * 1024 * 1024, maxTextChars: 20000 });
+  assert.deepEqual(loadAttachmentLimits({ CHAT_ATTACHMENT_MAX_FILES: "0", CHAT_ATTACHMENT_MAX_BYTES: "1000", CHAT_ATTACHMENT_MAX_TEXT_CHARS: "50" }),
+    { maxFiles: 0, maxBytes: 1000, maxTextChars: 50 });
+});
+
+test("JSON attachments are decoded from base64 or data: URLs", () => {
+  const [plain, dataUrl] = filesFromJson([
+    { name: "notes.txt", type: "text/plain", data: Buffer.from("hello").toString("base64") },
+    { data: `data:image/png;base64,${PNG.toString("base64")}` },
+  ], LIMITS);
+  assert.equal(plain.buffer.toString(), "hello");
+  assert.equal(plain.originalname, "notes.txt");
+  assert.deepEqual([dataUrl.originalname, dataUrl.mimetype, dataUrl.size], ["attachment-2", "image/png", PNG.length]);
+  assert.deepEqual(filesFromJson(undefined, LIMITS), []);
+});
+
+test("JSON attachments over the count or size limit, or without data, are refused", () => {
+  const item = { name: "a.txt", data: "aGk=" };
+  assert.throws(() => filesFromJson([item, item, item], LIMITS), refusal(413, /at most 2 files/));
+  assert.throws(() => filesFromJson([item], { ...LIMITS, maxFiles: 0 }), refusal(413, /disabled/));
+  assert.throws(() => filesFromJson([{ name: "big.txt", data: Buffer.alloc(1025).toString("base64") }], LIMITS), refusal(413, /big\.txt is larger than 1 KB/));
+  assert.throws(() => filesFromJson([{ name: "empty.txt" }], LIMITS), refusal(400, /no base64/));
+  assert.throws(() => filesFromJson("a.txt", LIMITS), refusal(400, /must be an array/));
+});
+
+test("images are recognized by their contents and documents by their type", async () => {
+  const [image, document] = await readAttachments([upload("sketch", PNG), upload("notes.md", "# Notes\nBring a laptop.")], LIMITS);
+  assert.deepEqual([image.kind, image.type], ["image", "image/png"]);
+  assert.ok(image.dataUrl.startsWith("data:image/png;base64,"));
+  assert.deepEqual([document.kind, document.truncated], ["document", true]);
+  assert.equal(document.text.length, LIMITS.maxTextChars);
+});
+
+test("unsupported files are refused", async () => {
+  await assert.rejects(readAttachments([upload("photo.bmp", "BM....", "image/bmp")], LIMITS), refusal(400, /not a supported image/));
+  await assert.rejects(readAttachments([upload("data.xlsx", "PK")], LIMITS), refusal(400, /not a supported file type/));
+});
+
+test("the user content lists documents in the text and adds images as parts", () => {
+  const document = { kind: "document", name: "notes.md", text: "Bring a laptop.", truncated: false };
+  assert.equal(buildUserContent("Summarize", [document]), "Summarize\n\nAttached documents:\n\n--- notes.md ---\nBring a laptop.");
+  const content = buildUserContent("Describe", [{ kind: "image", dataUrl: "data:image/png;base64,AA==" }]);
+  assert.deepEqual(content, [{ type: "text", text: "Describe" }, { type: "image_url", image_url: { url: "data:image/png;base64,AA==" } }]);
+});
+
+test("multipart uploads over the limits are refused with 413", async () => {
+  const app = express();
+  app.post("/chat", attachmentUpload(LIMITS), (req, res) => res.json({ files: req.files.length }));
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.code, message: err.message }));
+  const server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}/chat`;
+  const send = async (...sizes) => {
+    const form = new FormData();
+    sizes.forEach((size, i) => form.append("attachments", new Blob([Buffer.alloc(size)]), `file-${i}.txt`));
+    const res = await fetch(url, { method: "POST", body: form });
+    return { status: res.status, body: await res.json() };
+  };
+
+  try {
+    assert.deepEqual(await send(10, 10), { status: 200, body: { files: 2 } });
+    const tooMany = await send(10, 10, 10);
+    assert.equal(tooMany.status, 413);
+    assert.equal(tooMany.body.error, "attachment_rejected");
+    const tooLarge = await send(2048);
+    assert.equal(tooLarge.status, 413);
+    assert.match(tooLarge.body.message, /smaller than 1 KB/);
+  } finally {
+    server.close();
+  }
+});
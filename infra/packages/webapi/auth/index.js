@@ -0,0 +1,257 @@
+import fs from "fs/promises";
+import crypto from "crypto";
+import { createLocalJWKSet, jwtVerify, errors as joseErrors } from "jose";
+
+export { RateLimiter, TokenQuota } from "./limits.js";
+
+/**
+ * A request that was refused by authentication, authorization or a limit.
+ * `code` is sent to clients as the `error` field, next to a readable `message`.
+ */
+export class AuthError extends Error {
+  /**
+   * @param {number} status - HTTP status: 401, 403 or 429.
+   * @param {string} code - unauthorized, forbidden, rate_limited or quota_exceeded.
+   * @param {string} message
+   * @param {object} [options]
+   * @param {number} [options.retryAfterSeconds] - When the client may try again (429 only).
+   */
+  constructor(status, code, message, { retryAfterSeconds } = {}) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+    this.code = code;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * The user a request is made on behalf of.
+ * @typedef {object} AuthUser
+ * @property {string} id - Stable user id: the API key's `user`, or the token's `sub`.
+ * @property {string[]} roles - Roles from the API key entry, or the token's `roles` claim (or `scope`).
+ * @property {"api-key"|"jwt"|"anonymous"} method - How the user was identified.
+ * @property {number} [dailyTokenQuota] - Per-user override of the daily token quota.
+ */
+
+/**
+ * Reads the authentication settings:
+ *   AUTH_API_KEYS_PATH - JSON file of API keys (see api-keys.example.json)
+ *   AUTH_JWKS_PATH     - JSON Web Key Set used to verify bearer tokens
+ *   AUTH_JWT_ISSUER    - required `iss` of bearer tokens (optional)
+ *   AUTH_JWT_AUDIENCE  - required `aud` of bearer tokens (optional)
+ *   AUTH_DISABLED      - "true" accepts every request as an anonymous user, for local development
+ * @param {NodeJS.ProcessEnv} env
+ * @param {object} defaults
+ * @param {string} defaults.apiKeysPath - API key file used when AUTH_API_KEYS_PATH is not set.
+ * @returns {{apiKeysPath: string, jwksPath: string|null, issuer?: string, audience?: string, disabled: boolean}}
+ */
+export function loadAuthConfig(env, { apiKeysPath }) {
+  return {
+    apiKeysPath: env.AUTH_API_KEYS_PATH || apiKeysPath,
+    jwksPath: env.AUTH_JWKS_PATH || null,
+    issuer: env.AUTH_JWT_ISSUER || undefined,
+    audience: env.AUTH_JWT_AUDIENCE || undefined,
+    disabled: env.AUTH_DISABLED === "true",
+  };
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest();
+}
+
+// A SHA-256 digest in hex, as stored in the API key file
+const SHA256_HEX = /^[0-9a-f]{64}$/i;
+
+// Tokens from the Authorization header that look like a JWT (header.payload.signature)
+function isJwt(token) {
+  return token.split(".").length === 3;
+}
+
+/**
+ * Identifies callers by API key (`X-API-Key` header, or `Authorization: Bearer <key>`) or by a JWT bearer token
+ * signed by a key in the local JWKS file. Keys are compared by SHA-256 hash, so the key file may store hashes only.
+ */
+export class Authenticator {
+  /**
+   * @param {ReturnType<typeof loadAuthConfig>} config
+   */
+  constructor(config) {
+    this.config = config;
+    this.apiKeys = []; // [{ hash, user, roles, dailyTokenQuota }]
+    this.jwks = null;
+  }
+
+  /**
+   * Loads the API key file and the JWKS. A missing API key file just means no API keys.
+   * @returns {Promise<Authenticator>} This authenticator, once loaded.
+   */
+  async init() {
+    let entries = [];
+    try {
+      entries = JSON.parse(await fs.readFile(this.config.apiKeysPath, "utf8")).keys || [];
+    } catch (error) {
+      if (error.code !== "ENOENT") throw new Error(`Could not read API keys from ${this.config.apiKeysPath}: ${error.message}`);
+    }
+    this.apiKeys = entries.map(entry => {
+      if (!entry.user || !(entry.key || entry.sha256)) {
+        throw new Error(`Every API key entry in ${this.config.apiKeysPath} needs a "user" and a "key" or "sha256".`);
+      }
+      if (entry.sha256 && !SHA256_HEX.test(entry.sha256)) {
+        throw new Error(`The "sha256" of user "${entry.user}" in ${this.config.apiKeysPath} must be 64 hexadecimal characters.`);
+      }
+      return {
+        hash: entry.sha256 ? Buffer.from(entry.sha256, "hex") : hashKey(entry.key),
+        user: String(entry.user),
+        roles: entry.roles || [],
+        dailyTokenQuota: entry.dailyTokenQuota,
+      };
+    });
+
+    if (this.config.jwksPath) {
+      this.jwks = createLocalJWKSet(JSON.parse(await fs.readFile(this.config.jwksPath, "utf8")));
+    }
+    return this;
+  }
+
+  /**
+   * True when requests must carry credentials, i.e. auth is not disabled.
+   * With no API keys and no JWKS configured every request is then refused.
+   */
+  get enabled() {
+    return !this.config.disabled;
+  }
+
+  /**
+   * Describes the configured methods, for the startup log.
+   * @returns {string}
+   */
+  describe() {
+    if (!this.enabled) return "disabled (AUTH_DISABLED=true): every request is anonymous";
+    const methods = [];
+    if (this.apiKeys.length) methods.push(`${this.apiKeys.length} API key(s)`);
+    if (this.jwks) methods.push(`JWT (${this.config.jwksPath})`);
+    return methods.length ? methods.join(", ") : "no API keys or JWKS configured: every request will be refused";
+  }
+
+  /**
+   * Identifies the caller of a request.
+   * @param {import('express').Request} req
+   * @returns {Promise<AuthUser>}
+   * @throws {AuthError} 401 if the credentials are missing or invalid.
+   */
+  async authenticate(req) {
+    if (!this.enabled) return { id: "anonymous", roles: [], method: "anonymous" };
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "")?.[1]?.trim();
+    const apiKey = req.get("x-api-key") || (bearer && !isJwt(bearer) ? bearer : null);
+
+    if (apiKey) return this._verifyApiKey(apiKey);
+    if (bearer) return this._verifyJwt(bearer);
+    throw new AuthError(401, "unauthorized", "Missing credentials. Send an X-API-Key header or an Authorization: Bearer token.");
+  }
+
+  _verifyApiKey(key) {
+    const hash = hashKey(key);
+    // timingSafeEqual throws on buffers of different lengths
+    const entry = this.apiKeys.find(candidate => candidate.hash.length === hash.length && crypto.timingSafeEqual(candidate.hash, hash));
+    if (!entry) throw new AuthError(401, "unauthorized", "Invalid API key.");
+    return { id: entry.user, roles: entry.roles, method: "api-key", dailyTokenQuota: entry.dailyTokenQuota };
+  }
+
+  async _verifyJwt(token) {
+    if (!this.jwks) throw new AuthError(401, "unauthorized", "Bearer tokens are not accepted by this server.");
+    try {
+      const { payload } = await jwtVerify(token, this.jwks, {
+        issuer: this.config.issuer,
+        audience: this.config.audience,
+      });
+      if (!payload.sub) throw new AuthError(401, "unauthorized", "The token has no subject (sub) claim.");
+      const roles = Array.isArray(payload.roles) ? payload.roles : String(payload.scope || "").split(" ").filter(Boolean);
+      return { id: payload.sub, roles, method: "jwt" };
+    } catch (error) {
+      if (error instanceof AuthError) throw error;
+      const expired = error instanceof joseErrors.JWTExpired;
+      throw new AuthError(401, "unauthorized", expired ? "The token has expired." : `Invalid token: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Express middleware that authenticates every request and sets `req.user`.
+ * @param {Authenticator} authenticator
+ * @returns {import('express').RequestHandler}
+ */
+export function requireAuth(authenticator) {
+  return async (req, res, next) => {
+    try {
+      req.user = await authenticator.authenticate(req);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Express middleware that only lets users with the role through. Every user passes when auth is disabled.
+ * @param {Authenticator} authenticator
+ * @param {string} role
+ * @returns {import('express').RequestHandler}
+ */
+export function requireRole(authenticator, role) {
+  return (req, res, next) => {
+    if (!authenticator.enabled || req.user?.roles.includes(role)) return next();
+    next(new AuthError(403, "forbidden", `This action requires the "${role}" role.`));
+  };
+}
+
+/**
+ * Express middleware that counts each request against a rate limiter and answers 429 once the limit is reached.
+ * Sets the RateLimit-Limit/Remaining/Reset headers on every counted response.
+ * @param {import('./limits.js').RateLimiter} limiter
+ * @param {(req: import('express').Request) => string} keyOf - What requests are counted by, e.g. the user id.
+ * @returns {import('express').RequestHandler}
+ */
+export function rateLimit(limiter, keyOf) {
+  return (req, res, next) => {
+    const { allowed, limit, remaining, resetSeconds } = limiter.hit(keyOf(req));
+    if (limit > 0) {
+      res.set({ "RateLimit-Limit": String(limit), "RateLimit-Remaining": String(remaining), "RateLimit-Reset": String(resetSeconds) });
+    }
+    if (allowed) return next();
+    next(new AuthError(429, "rate_limited", `Too many requests. Try again in ${resetSeconds} seconds.`, { retryAfterSeconds: resetSeconds }));
+  };
+}
+
+/**
+ * Options for the `cors` middleware that only allow the listed origins.
+ * Requests without an Origin header (curl, server-to-server) are not affected; other origins get a 403.
+ * @param {string[]} origins - Allowed origins, e.g. ["http://localhost:5173"]; "*" allows any origin.
+ * @returns {import('cors').CorsOptions}
+ */
+export function createCorsOptions(origins) {
+  const allowAll = origins.includes("*");
+  return {
+    origin(origin, callback) {
+      if (!origin || allowAll || origins.includes(origin)) return callback(null, true);
+      callback(new AuthError(403, "forbidden", `Origin ${origin} is not allowed.`));
+    },
+    exposedHeaders: ["Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset"],
+  };
+}
+
+/**
+ * Turns an AuthError into its JSON response.
+ * @param {AuthError} error
+ * @param {import('express').Response} res
+ */
+export function sendAuthError(error, res) {
+  if (error.status === 401) res.set("WWW-Authenticate", 'Bearer, ApiKey realm="webapi"');
+  if (error.retryAfterSeconds) res.set("Retry-After", String(error.retryAfterSeconds));
+  res.status(error.status).json({
+    error: error.code,
+    message: error.message,
+    ...(error.retryAfterSeconds ? { retryAfterSeconds: error.retryAfterSeconds } : {}),
+  });
+}
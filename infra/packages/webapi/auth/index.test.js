@@ -0,0 +1,110 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { exportJWK, generateKeyPair, SignJWT } from "jose";
+import { AuthError, Authenticator } from "./index.js";
+
+const temporaryDirs = [];
+after(() => Promise.all(temporaryDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+async function temporaryDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "auth-test-"));
+  temporaryDirs.push(dir);
+  return dir;
+}
+
+function request(headers) {
+  return { get: name => headers[name.toLowerCase()] };
+}
+
+async function createAuthenticator({ keys = [], jwks, issuer, audience, disabled = false } = {}) {
+  const dir = await temporaryDir();
+  const apiKeysPath = path.join(dir, "api-keys.json");
+  await fs.writeFile(apiKeysPath, JSON.stringify({ keys }));
+  let jwksPath = null;
+  if (jwks) {
+    jwksPath = path.join(dir, "jwks.json");
+    await fs.writeFile(jwksPath, JSON.stringify(jwks));
+  }
+  return new Authenticator({ apiKeysPath, jwksPath, issuer, audience, disabled }).init();
+}
+
+async function signingKey() {
+  const { publicKey, privateKey } = await generateKeyPair("RS256");
+  const jwk = { ...(await exportJWK(publicKey)), kid: "test", alg: "RS256" };
+  const sign = (claims, { expiresIn = "5m", issuer = "https://issuer.test" } = {}) => new SignJWT(claims)
+    .setProtectedHeader({ alg: "RS256", kid: "test" })
+    .setIssuer(issuer)
+    .setAudience("webapi")
+    .setIssuedAt()
+    .setExpirationTime(expiresIn)
+    .sign(privateKey);
+  return { jwks: { keys: [jwk] }, sign };
+}
+
+async function rejection(promise) {
+  const error = await promise.then(() => assert.fail("expected the request to be refused"), error => error);
+  assert.ok(error instanceof AuthError);
+  assert.equal(error.status, 401);
+  return error;
+}
+
+test("API keys are accepted by value or by SHA-256 hash, from either header", async () => {
+  const sha256 = crypto.createHash("sha256").update("hashed-key").digest("hex");
+  const auth = await createAuthenticator({
+    keys: [{ key: "plain-key", user: "alice", roles: ["admin"] }, { sha256, user: "bob", dailyTokenQuota: 10 }],
+  });
+
+  assert.deepEqual(await auth.authenticate(request({ "x-api-key": "plain-key" })),
+    { id: "alice", roles: ["admin"], method: "api-key", dailyTokenQuota: undefined });
+  const bob = await auth.authenticate(request({ authorization: "Bearer hashed-key" }));
+  assert.equal(bob.id, "bob");
+  assert.equal(bob.dailyTokenQuota, 10);
+});
+
+test("unknown or missing API keys are refused", async () => {
+  const auth = await createAuthenticator({ keys: [{ key: "plain-key", user: "alice" }] });
+  assert.match((await rejection(auth.authenticate(request({ "x-api-key": "other-key" })))).message, /Invalid API key/);
+  assert.match((await rejection(auth.authenticate(request({})))).message, /Missing credentials/);
+});
+
+test("a malformed key file is reported on load", async () => {
+  await assert.rejects(createAuthenticator({ keys: [{ key: "no-user" }] }), /needs a "user"/);
+  await assert.rejects(createAuthenticator({ keys: [{ sha256: "abc", user: "x" }] }), /64 hexadecimal characters/);
+});
+
+test("signed tokens are accepted, with roles from `roles` or `scope`", async () => {
+  const { jwks, sign } = await signingKey();
+  const auth = await createAuthenticator({ jwks, issuer: "https://issuer.test", audience: "webapi" });
+
+  const withRoles = await auth.authenticate(request({ authorization: `Bearer ${await sign({ sub: "carol", roles: ["admin"] })}` }));
+  assert.deepEqual(withRoles, { id: "carol", roles: ["admin"], method: "jwt" });
+  const withScope = await auth.authenticate(request({ authorization: `Bearer ${await sign({ sub: "dave", scope: "read write" })}` }));
+  assert.deepEqual(withScope.roles, ["read", "write"]);
+});
+
+test("expired, foreign, misissued and subject-less tokens are refused", async () => {
+  const { jwks, sign } = await signingKey();
+  const other = await signingKey();
+  const auth = await createAuthenticator({ jwks, issuer: "https://issuer.test", audience: "webapi" });
+  const refuse = async token => (await rejection(auth.authenticate(request({ authorization: `Bearer ${token}` })))).message;
+
+  assert.match(await refuse(await sign({ sub: "carol" }, { expiresIn: Math.floor(Date.now() / 1000) - 60 })), /expired/);
+  assert.match(await refuse(await other.sign({ sub: "carol" })), /Invalid token/);
+  assert.match(await refuse(await sign({ sub: "carol" }, { issuer: "https://elsewhere.test" })), /Invalid token/);
+  assert.match(await refuse(await sign({})), /no subject/);
+});
+
+test("tokens are refused without a JWKS, and everyone is anonymous when auth is disabled", async () => {
+  const { sign } = await signingKey();
+  const auth = await createAuthenticator();
+  const message = (await rejection(auth.authenticate(request({ authorization: `Bearer ${await sign({ sub: "carol" })}` })))).message;
+  assert.match(message, /not accepted/);
+
+  const disabled = await createAuthenticator({ disabled: true });
+  assert.equal(disabled.enabled, false);
+  assert.deepEqual(await disabled.authenticate(request({})), { id: "anonymous", roles: [], method: "anonymous" });
+});
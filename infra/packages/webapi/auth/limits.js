@@ -0,0 +1,112 @@
+/**
+ * Counts requests per key (user id or IP address) in fixed windows, in process memory.
+ */
+export class RateLimiter {
+  /**
+   * @param {object} options
+   * @param {number} options.max - Requests allowed per window; 0 disables the limit.
+   * @param {number} [options.windowMs=60000] - Window length.
+   */
+  constructor({ max, windowMs = 60_000 }) {
+    this.max = max;
+    this.windowMs = windowMs;
+    this.windows = new Map(); // key -> { start, count }
+  }
+
+  /**
+   * Counts a request.
+   * @param {string} key
+   * @param {number} [now=Date.now()]
+   * @returns {{allowed: boolean, limit: number, remaining: number, resetSeconds: number}}
+   */
+  hit(key, now = Date.now()) {
+    if (this.max <= 0) return { allowed: true, limit: 0, remaining: Infinity, resetSeconds: 0 };
+
+    let window = this.windows.get(key);
+    if (!window || now - window.start >= this.windowMs) {
+      this._prune(now);
+      window = { start: now, count: 0 };
+      this.windows.set(key, window);
+    }
+    window.count++;
+
+    return {
+      allowed: window.count <= this.max,
+      limit: this.max,
+      remaining: Math.max(0, this.max - window.count),
+      resetSeconds: Math.ceil((window.start + this.windowMs - now) / 1000),
+    };
+  }
+
+  // Forget windows that have ended so idle keys don't accumulate
+  _prune(now) {
+    for (const [key, window] of this.windows) {
+      if (now - window.start >= this.windowMs) this.windows.delete(key);
+    }
+  }
+}
+
+// Days are counted in UTC so every instance of the server agrees on when a quota resets
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Tracks the model tokens each user spent today, in process memory.
+ */
+export class TokenQuota {
+  /**
+   * @param {object} options
+   * @param {number} options.dailyTokens - Tokens each user may spend per UTC day; 0 disables the quota.
+   */
+  constructor({ dailyTokens }) {
+    this.dailyTokens = dailyTokens;
+    this.usage = new Map(); // user id -> { day, tokens }
+  }
+
+  /**
+   * Tokens the user has spent today.
+   * @param {string} userId
+   * @param {number} [now=Date.now()]
+   * @returns {number}
+   */
+  used(userId, now = Date.now()) {
+    const entry = this.usage.get(userId);
+    return entry && entry.day === utcDay(now) ? entry.tokens : 0;
+  }
+
+  /**
+   * Checks whether the user still has tokens left today.
+   * @param {string} userId
+   * @param {number} [limit=this.dailyTokens] - The user's own quota, if it differs from the default.
+   * @param {number} [now=Date.now()]
+   * @returns {{allowed: boolean, limit: number, used: number, resetSeconds: number}}
+   */
+  check(userId, limit = this.dailyTokens, now = Date.now()) {
+    const used = this.used(userId, now);
+    const midnight = Date.parse(`${utcDay(now)}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+    return {
+      allowed: limit <= 0 || used < limit,
+      limit,
+      used,
+      resetSeconds: Math.ceil((midnight - now) / 1000),
+    };
+  }
+
+  /**
+   * Adds the tokens of a completed request to the user's total for today.
+   * @param {string} userId
+   * @param {number} tokens
+   * @param {number} [now=Date.now()]
+   */
+  record(userId, tokens, now = Date.now()) {
+    const day = utcDay(now);
+    const entry = this.usage.get(userId);
+    const previous = entry && entry.day === day ? entry.tokens : 0;
+    this.usage.set(userId, { day, tokens: previous + tokens });
+    // Drop yesterday's totals
+    for (const [id, other] of this.usage) {
+      if (other.day !== day) this.usage.delete(id);
+    }
+  }
+}
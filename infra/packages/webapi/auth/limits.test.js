@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RateLimiter, TokenQuota } from "./limits.js";
+
+test("the rate limiter allows `max` requests per window and key", () => {
+  const limiter = new RateLimiter({ max: 2, windowMs: 10_000 });
+  assert.deepEqual(limiter.hit("alice", 0), { allowed: true, limit: 2, remaining: 1, resetSeconds: 10 });
+  assert.equal(limiter.hit("alice", 1000).remaining, 0);
+  assert.deepEqual(limiter.hit("alice", 4000), { allowed: false, limit: 2, remaining: 0, resetSeconds: 6 });
+  // Keys are counted separately
+  assert.equal(limiter.hit("bob", 4000).allowed, true);
+});
+
+test("a new window starts once the previous one has ended", () => {
+  const limiter = new RateLimiter({ max: 1, windowMs: 10_000 });
+  assert.equal(limiter.hit("alice", 0).allowed, true);
+  assert.equal(limiter.hit("alice", 9999).allowed, false);
+  assert.deepEqual(limiter.hit("alice", 10_000), { allowed: true, limit: 1, remaining: 0, resetSeconds: 10 });
+});
+
+test("ended windows of idle keys are forgotten", () => {
+  const limiter = new RateLimiter({ max: 5, windowMs: 1000 });
+  limiter.hit("alice", 0);
+  limiter.hit("bob", 500);
+  limiter.hit("carol", 1200);
+  assert.deepEqual([...limiter.windows.keys()], ["bob", "carol"]);
+});
+
+test("a rate limit of 0 allows everything", () => {
+  const limiter = new RateLimiter({ max: 0 });
+  for (let i = 0; i < 10; i++) assert.equal(limiter.hit("alice").allowed, true);
+  assert.equal(limiter.windows.size, 0);
+});
+
+const NOON = Date.parse("2026-03-01T12:00:00Z");
+
+test("the token quota refuses a user once today's tokens are spent", () => {
+  const quota = new TokenQuota({ dailyTokens: 100 });
+  assert.deepEqual(quota.check("alice", undefined, NOON), { allowed: true, limit: 100, used: 0, resetSeconds: 12 * 60 * 60 });
+  quota.record("alice", 60, NOON);
+  quota.record("alice", 40, NOON + 1000);
+  assert.equal(quota.used("alice", NOON), 100);
+  assert.equal(quota.check("alice", undefined, NOON).allowed, false);
+  assert.equal(quota.check("bob", undefined, NOON).allowed, true);
+});
+
+test("a user's own quota overrides the default, and 0 disables it", () => {
+  const quota = new TokenQuota({ dailyTokens: 100 });
+  quota.record("alice", 150, NOON);
+  assert.equal(quota.check("alice", 200, NOON).allowed, true);
+  assert.equal(quota.check("alice", 0, NOON).allowed, true);
+  assert.equal(new TokenQuota({ dailyTokens: 0 }).check("alice", undefined, NOON).allowed, true);
+});
+
+test("the token quota resets at midnight UTC", () => {
+  const quota = new TokenQuota({ dailyTokens: 100 });
+  quota.record("alice", 100, NOON);
+  const tomorrow = NOON + 12 * 60 * 60 * 1000;
+  assert.equal(quota.used("alice", tomorrow), 0);
+  assert.equal(quota.check("alice", undefined, tomorrow).allowed, true);
+  // Yesterday's totals are dropped on the next record
+  quota.record("bob", 1, tomorrow);
+  assert.deepEqual([...quota.usage.keys()], ["bob"]);
+});
@@ -0,0 +1,197 @@
+import fs from "fs/promises";
+import { Bm25Index, tokenize } from "../retrieval/index.js";
+
+/**
+ * @typedef {object} Product
+ * @property {string} id - Stable identifier, also used in the storefront's URLs.
+ * @property {string} category - The id of one of the catalog's categories.
+ * @property {string} name
+ * @property {number} price - In the catalog's currency.
+ * @property {string} description
+ * @property {Object<string, string|number|boolean|string[]>} attributes - Specifications such as capacity or weight.
+ * @property {number} stock - Units available; 0 when sold out.
+ * @property {string} [emoji] - Shown in place of a product photo.
+ */
+
+/**
+ * A product dataset that could not be loaded; `problems` lists what is wrong with it.
+ */
+export class CatalogError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} [problems]
+   */
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}: ${problems.join("; ")}` : message);
+    this.name = "CatalogError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * Checks a product dataset ({ currency, categories: [{ id, name, description }], products: Product[] }).
+ * @param {unknown} data - The parsed JSON file.
+ * @returns {string[]} The problems found; empty when the dataset is valid.
+ */
+export function validateCatalog(data) {
+  if (!data || typeof data !== "object") return ["the catalog must be a JSON object"];
+  const problems = [];
+  const categories = Array.isArray(data.categories) ? data.categories : [];
+  const products = Array.isArray(data.products) ? data.products : [];
+  if (!Array.isArray(data.categories)) problems.push("`categories` must be an array");
+  if (!Array.isArray(data.products)) problems.push("`products` must be an array");
+
+  const categoryIds = new Set(categories.map(category => category?.id));
+  categories.forEach((category, i) => {
+    if (!category?.id || !category.name) problems.push(`category ${i + 1} needs an id and a name`);
+  });
+
+  const productIds = new Set();
+  products.forEach((product, i) => {
+    const label = product?.id ? `product "${product.id}"` : `product ${i + 1}`;
+    if (!product?.id) problems.push(`${label} has no id`);
+    else if (productIds.has(product.id)) problems.push(`${label} is listed twice`);
+    else productIds.add(product.id);
+    if (!product?.name) problems.push(`${label} has no name`);
+    if (!categoryIds.has(product?.category)) problems.push(`${label} has an unknown category "${product?.category}"`);
+    if (typeof product?.price !== "number" || product.price < 0) problems.push(`${label} needs a price of 0 or more`);
+    if (!Number.isInteger(product?.stock) || product.stock < 0) problems.push(`${label} needs a whole stock count of 0 or more`);
+    if (product?.attributes !== undefined && (typeof product.attributes !== "object" || Array.isArray(product.attributes))) {
+      problems.push(`${label} has attributes that are not an object`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * The product dataset behind the storefront and the shopping assistant, with a BM25 index over the products
+ * so the assistant can pick the relevant ones when the catalog is too large for a single prompt.
+ */
+export class Catalog {
+  /**
+   * @param {{currency?: string, categories: {id: string, name: string, description?: string}[], products: Product[]}} data
+   * @throws {CatalogError} When the dataset is invalid.
+   */
+  constructor(data) {
+    const problems = validateCatalog(data);
+    if (problems.length) throw new CatalogError("Invalid product catalog", problems);
+
+    this.currency = data.currency || "USD";
+    this.categories = data.categories;
+    this.products = data.products.map(product => ({ ...product, description: product.description || "", attributes: product.attributes || {} }));
+    this.index = new Bm25Index();
+    for (const product of this.products) {
+      this.index.add(product.id, tokenize(this.describe(product)));
+    }
+  }
+
+  /**
+   * Reads a catalog from a JSON file.
+   * @param {string} filePath
+   * @returns {Promise<Catalog>}
+   * @throws {CatalogError} When the file is missing, is not JSON or is not a valid catalog.
+   */
+  static async load(filePath) {
+    let text;
+    try {
+      text = await fs.readFile(filePath, "utf8");
+    } catch (err) {
+      throw new CatalogError(`Cannot read the product catalog at ${filePath}: ${err.message}`);
+    }
+    try {
+      return new Catalog(JSON.parse(text));
+    } catch (err) {
+      if (err instanceof CatalogError) throw err;
+      throw new CatalogError(`The product catalog at ${filePath} is not valid JSON: ${err.message}`);
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Product | undefined}
+   */
+  get(id) {
+    return this.products.find(product => product.id === id);
+  }
+
+  /**
+   * Formats a price in the catalog's currency, e.g. "$250.00".
+   * @param {number} price
+   * @returns {string}
+   */
+  formatPrice(price) {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency: this.currency }).format(price);
+  }
+
+  /**
+   * Everything the catalog says about a product, as one line of plain text.
+   * @param {Product} product
+   * @returns {string}
+   */
+  describe(product) {
+    const category = this.categories.find(c => c.id === product.category);
+    const attributes = Object.entries(product.attributes)
+      .map(([key, value]) => `${humanize(key)}: ${Array.isArray(value) ? value.join(", ") : value === true ? "yes" : value === false ? "no" : value}`)
+      .join("; ");
+    const stock = product.stock > 0 ? `${product.stock} in stock` : "out of stock";
+    return [
+      `${product.name} (${category?.name ?? product.category}), ${this.formatPrice(product.price)}, ${stock}.`,
+      product.description,
+      attributes && `${attributes}.`,
+    ].filter(Boolean).join(" ");
+  }
+
+  /**
+   * Picks the products to show the model for a question. Small catalogs are included whole; larger ones
+   * are cut to the best BM25 matches, followed by the remaining products in catalog order.
+   * @param {string} query - The customer's question.
+   * @param {object} [options]
+   * @param {number} [options.limit=20] - Most products to return.
+   * @returns {Product[]}
+   */
+  select(query, { limit = 20 } = {}) {
+    if (this.products.length <= limit) return this.products;
+    const matches = this.index.search(tokenize(query)).map(match => this.get(match.id));
+    const rest = this.products.filter(product => !matches.includes(product));
+    return [...matches, ...rest].slice(0, limit);
+  }
+}
+
+/**
+ * The system message of the shopping assistant. Products are numbered so the answer can cite them as [n],
+ * the way /chat cites excerpts.
+ * @param {Catalog} catalog
+ * @param {Product[]} products - The products to offer, from `Catalog.select`.
+ * @returns {{role: "system", content: string}}
+ */
+export function buildShopSystemMessage(catalog, products) {
+  const list = products.map((product, i) => `[${i + 1}] ${catalog.describe(product)}`).join("\n");
+  return {
+    role: "system",
+    content: `You are the shopping assistant of Contoso Outdoor Company. Answer questions about our products and recommend products using ONLY the catalog below: names, prices, descriptions, specifications and stock levels.
+Cite each product you mention with its number in brackets, e.g. [2]. Never invent products, prices, features, discounts or availability. Say when a product is out of stock and suggest an alternative from the catalog if there is one.
+If the catalog does not answer the question, or the question is not about our products, say so briefly instead of guessing. Prices are in ${catalog.currency}.
+
+--- CATALOG ---
+${list}
+--- END OF CATALOG ---`,
+  };
+}
+
+/**
+ * The products an answer cites, in the order they are first cited.
+ * @param {string} reply - The model's answer.
+ * @param {Product[]} products - The products given to the model, numbered from 1.
+ * @returns {(Product & {citation: number})[]}
+ */
+export function citedProducts(reply, products) {
+  const numbers = [...new Set([...reply.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])))];
+  return numbers
+    .filter(n => n >= 1 && n <= products.length)
+    .map(n => ({ citation: n, ...products[n - 1] }));
+}
+
+// "waterproofRating" -> "waterproof rating"
+function humanize(key) {
+  return key.replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase();
+}
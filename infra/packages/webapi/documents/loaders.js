@@ -0,0 +1,91 @@
+import path from "path";
+import mammoth from "mammoth";
+import { extractPdfPages } from "../retrieval/pdf.js";
+
+// Supported formats, keyed by file extension
+const FORMATS_BY_EXTENSION = {
+  ".pdf": "pdf",
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".txt": "text",
+  ".html": "html",
+  ".htm": "html",
+  ".docx": "docx",
+};
+
+const FORMATS_BY_MIME_TYPE = {
+  "application/pdf": "pdf",
+  "text/markdown": "markdown",
+  "text/plain": "text",
+  "text/html": "html",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "docx",
+};
+
+export const SUPPORTED_EXTENSIONS = Object.keys(FORMATS_BY_EXTENSION);
+
+/**
+ * Works out a document's format from its file name, falling back to its MIME type.
+ * @param {string} filename - The original file name.
+ * @param {string} [mimetype] - The MIME type reported by the client.
+ * @returns {string|null} One of "pdf", "markdown", "text", "html" or "docx", or null if unsupported.
+ */
+export function detectFormat(filename, mimetype) {
+  const extension = path.extname(filename || "").toLowerCase();
+  return FORMATS_BY_EXTENSION[extension] || FORMATS_BY_MIME_TYPE[mimetype] || null;
+}
+
+/**
+ * Extracts the text of a document, split into pages where the format has them.
+ * Formats without pages (Markdown, text, HTML, DOCX) return a single page numbered null.
+ * HTML and DOCX headings are turned into Markdown headings so the chunker can detect sections.
+ * @param {Buffer} buffer - The file contents.
+ * @param {string} format - The format returned by `detectFormat`.
+ * @returns {Promise<{page: number|null, text: string}[]>}
+ */
+export async function extractPages(buffer, format) {
+  switch (format) {
+    case "pdf":
+      return extractPdfPages(buffer);
+    case "markdown":
+    case "text":
+      return [{ page: null, text: buffer.toString("utf8") }];
+    case "html":
+      return [{ page: null, text: htmlToText(buffer.toString("utf8")) }];
+    case "docx": {
+      const { value } = await mammoth.convertToHtml({ buffer });
+      return [{ page: null, text: htmlToText(value) }];
+    }
+    default:
+      throw new Error(`Unsupported document format: ${format}`);
+  }
+}
+
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+/**
+ * Converts HTML to plain text, keeping headings (as Markdown), paragraphs and list items on their own lines.
+ * @param {string} html - The HTML source.
+ * @returns {string} The readable text.
+ */
+export function htmlToText(html) {
+  return html
+    .replace(/<(script|style|head|noscript)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, text) => `\n\n${"#".repeat(Number(level))} ${text.replace(/\s+/g, " ").trim()}\n\n`)
+    .replace(/<li[^>]*>/gi, "\n- ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|section|article|tr|ul|ol|table|blockquote|pre)>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, code) => {
+      if (code[0] === "#") {
+        const value = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        if (Number.isNaN(value)) return entity;
+        // Beyond the last code point: the replacement character, as browsers do
+        return value > 0x10ffff ? "\ufffd" : String.fromCodePoint(value);
+      }
+      return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    })
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
@@ -0,0 +1,254 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { RetrievalIndex } from "../retrieval/index.js";
+import { chunkPages } from "../retrieval/chunker.js";
+import { detectFormat, extractPages } from "./loaders.js";
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * The knowledge base: uploaded documents, their files on disk and the retrieval index over their chunks.
+ *
+ * Layout of `dir`:
+ *   manifest.json  - document metadata and the chunk ids each document owns
+ *   index.json     - the persisted RetrievalIndex
+ *   files/         - the original uploads, named by document id
+ *
+ * Adding or removing a document only touches that document's chunks, so ingestion is incremental.
+ * Mutations are serialized so concurrent uploads cannot corrupt the manifest.
+ */
+export class DocumentStore {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Directory holding the manifest, index and uploaded files.
+   * @param {number} [options.chunkSize=2000] - Maximum characters per chunk.
+   * @param {number} [options.chunkOverlap=200] - Characters shared by consecutive chunks.
+   * @param {import('@langchain/core/embeddings').Embeddings | null} [options.embeddings] - Optional vector backend.
+   * @param {{warn: Function}} [options.logger=console] - Where documents that can no longer be read are reported.
+   */
+  constructor({ dir, chunkSize = 2000, chunkOverlap = 200, embeddings = null, logger = console }) {
+    this.dir = dir;
+    this.logger = logger;
+    this.chunkSize = chunkSize;
+    this.chunkOverlap = chunkOverlap;
+    this.embeddings = embeddings;
+    this.index = new RetrievalIndex({ embeddings });
+    this.manifest = { version: MANIFEST_VERSION, nextChunkId: 1, seeded: [], documents: [] };
+    this.queue = Promise.resolve();
+  }
+
+  get manifestPath() {
+    return path.join(this.dir, "manifest.json");
+  }
+
+  get indexPath() {
+    return path.join(this.dir, "index.json");
+  }
+
+  get filesDir() {
+    return path.join(this.dir, "files");
+  }
+
+  // Identifies the chunking settings; the index is rebuilt when they change
+  get fingerprint() {
+    return `chunk-size:${this.chunkSize};overlap:${this.chunkOverlap}`;
+  }
+
+  get size() {
+    return this.index.size;
+  }
+
+  /**
+   * Loads the manifest and the persisted index, re-ingesting every document if the index is missing or stale.
+   */
+  async init() {
+    await fs.mkdir(this.filesDir, { recursive: true });
+
+    try {
+      this.manifest = JSON.parse(await fs.readFile(this.manifestPath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    const cachedIndex = await RetrievalIndex.load(this.indexPath, this.fingerprint, { embeddings: this.embeddings });
+    if (cachedIndex) {
+      this.index = cachedIndex;
+      return;
+    }
+
+    // Rebuild from the stored files
+    this.index = new RetrievalIndex({ embeddings: this.embeddings });
+    for (const doc of [...this.manifest.documents]) {
+      try {
+        const buffer = await fs.readFile(path.join(this.filesDir, doc.storedName));
+        doc.chunkIds = await this._indexDocument(doc, buffer);
+      } catch (error) {
+        this.logger.warn(`Dropping document "${doc.name}" (${doc.id}) from the knowledge base: ${error.message}`);
+        this.manifest.documents = this.manifest.documents.filter(d => d.id !== doc.id);
+      }
+    }
+    await this._persist();
+  }
+
+  /**
+   * Adds a file that ships with the server (such as the employee handbook) the first time the store is initialized.
+   * A seed document that is later deleted is not added back.
+   * @param {string} filePath - Path of the file to ingest.
+   * @returns {Promise<object|null>} The new document, or null if it was already seeded.
+   */
+  async seed(filePath) {
+    const key = path.basename(filePath);
+    if (this.manifest.seeded.includes(key)) return null;
+
+    const buffer = await fs.readFile(filePath);
+    const doc = await this.add({ buffer, originalname: key });
+    await this._enqueue(async () => {
+      this.manifest.seeded.push(key);
+      await this._persist();
+    });
+    return doc;
+  }
+
+  /**
+   * Ingests a document into the knowledge base.
+   * @param {{buffer: Buffer, originalname: string, mimetype?: string}} file - An uploaded file, as provided by multer.
+   * @returns {Promise<object>} The document's public metadata.
+   */
+  async add(file) {
+    const format = detectFormat(file.originalname, file.mimetype);
+    if (!format) {
+      throw new UnsupportedDocumentError(file.originalname);
+    }
+
+    return this._enqueue(async () => {
+      const id = crypto.randomUUID();
+      const doc = {
+        id,
+        name: file.originalname,
+        format,
+        size: file.buffer.length,
+        sha256: crypto.createHash("sha256").update(file.buffer).digest("hex"),
+        storedName: id + path.extname(file.originalname).toLowerCase(),
+        createdAt: new Date().toISOString(),
+        chunkIds: [],
+      };
+
+      doc.chunkIds = await this._indexDocument(doc, file.buffer);
+      const filePath = path.join(this.filesDir, doc.storedName);
+      try {
+        await fs.writeFile(filePath, file.buffer);
+        this.manifest.documents.push(doc);
+        await this._persist();
+      } catch (error) {
+        // Chunks of a document missing from the manifest could be cited but never deleted: take them back
+        this.index.removeChunks(doc.chunkIds);
+        this.manifest.documents = this.manifest.documents.filter(d => d.id !== doc.id);
+        await fs.rm(filePath, { force: true });
+        throw error;
+      }
+      return toPublicDocument(doc);
+    });
+  }
+
+  /**
+   * Lists the documents in the knowledge base.
+   * @returns {object[]} Public metadata of every document.
+   */
+  list() {
+    return this.manifest.documents.map(toPublicDocument);
+  }
+
+  /**
+   * Looks up a document.
+   * @param {string} id - The document id.
+   * @returns {object|null} The document's public metadata, or null if there is no such document.
+   */
+  get(id) {
+    const doc = this.manifest.documents.find(d => d.id === id);
+    return doc ? toPublicDocument(doc) : null;
+  }
+
+  /**
+   * Removes a document and its chunks from the knowledge base.
+   * @param {string} id - The document id.
+   * @returns {Promise<boolean>} True if the document existed.
+   */
+  async remove(id) {
+    return this._enqueue(async () => {
+      const doc = this.manifest.documents.find(d => d.id === id);
+      if (!doc) return false;
+
+      this.index.removeChunks(doc.chunkIds);
+      this.manifest.documents = this.manifest.documents.filter(d => d.id !== id);
+      await fs.rm(path.join(this.filesDir, doc.storedName), { force: true });
+      await this._persist();
+      return true;
+    });
+  }
+
+  /**
+   * Searches the chunks of all documents, or only of the given ones.
+   * @param {string} query - The user's query string.
+   * @param {object} [options]
+   * @param {number} [options.topK] - Maximum number of chunks to return.
+   * @param {number} [options.minScore] - Only chunks scoring above this are returned.
+   * @param {string[]} [options.documentIds] - Restrict the search to these documents.
+   * @returns {Promise<{chunk: object, score: number}[]>}
+   */
+  async search(query, { topK, minScore, documentIds } = {}) {
+    const allowed = documentIds && documentIds.length ? new Set(documentIds) : null;
+    return this.index.search(query, {
+      topK,
+      minScore,
+      filter: allowed ? chunk => allowed.has(chunk.documentId) : null,
+    });
+  }
+
+  // Adds a document's chunks to the index; nothing is added and no chunk id is used up if reading or embedding fails
+  async _indexDocument(doc, buffer) {
+    const pages = await extractPages(buffer, doc.format);
+    const chunks = chunkPages(pages, {
+      chunkSize: this.chunkSize,
+      overlap: this.chunkOverlap,
+      firstId: this.manifest.nextChunkId,
+    }).map(chunk => ({ ...chunk, documentId: doc.id, documentName: doc.name }));
+
+    await this.index.addChunks(chunks);
+    this.manifest.nextChunkId += chunks.length;
+    return chunks.map(chunk => chunk.id);
+  }
+
+  async _persist() {
+    await this.index.save(this.indexPath, this.fingerprint);
+    await fs.writeFile(this.manifestPath, JSON.stringify(this.manifest, null, 2));
+  }
+
+  _enqueue(task) {
+    const run = this.queue.then(task);
+    // Keep the queue going even if this task fails
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+/**
+ * Thrown when a file's format is not one the knowledge base can ingest.
+ */
+export class UnsupportedDocumentError extends Error {
+  constructor(filename) {
+    super(`Unsupported document type: ${filename}. Supported formats are PDF, Markdown, plain text, HTML and DOCX.`);
+    this.name = "UnsupportedDocumentError";
+  }
+}
+
+function toPublicDocument(doc) {
+  return {
+    id: doc.id,
+    name: doc.name,
+    format: doc.format,
+    size: doc.size,
+    chunks: doc.chunkIds.length,
+    createdAt: doc.createdAt,
+  };
+}
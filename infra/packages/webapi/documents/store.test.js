@@ -0,0 +1,124 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { DocumentStore, UnsupportedDocumentError } from "./store.js";
+
+const temporaryDirs = [];
+after(() => Promise.all(temporaryDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+async function createStore(options = {}) {
+  const dir = options.dir || await fs.mkdtemp(path.join(os.tmpdir(), "documents-test-"));
+  temporaryDirs.push(dir);
+  const warnings = [];
+  const store = new DocumentStore({ dir, chunkSize: 200, chunkOverlap: 20, logger: { warn: message => warnings.push(message) }, ...options });
+  await store.init();
+  return Object.assign(store, { warnings });
+}
+
+function file(name, text) {
+  return { buffer: Buffer.from(text), originalname: name };
+}
+
+const VACATION = "# Vacation\nEmployees get 15 vacation days per year.";
+const HEALTH = "# Health\nThe health plan covers dental and vision care.";
+
+test("added documents are listed and searchable", async () => {
+  const store = await createStore();
+  const vacation = await store.add(file("vacation.md", VACATION));
+  const health = await store.add(file("health.txt", HEALTH));
+
+  assert.deepEqual(store.list().map(doc => [doc.name, doc.format, doc.chunks]), [["vacation.md", "markdown", 1], ["health.txt", "text", 1]]);
+  assert.equal(store.get(vacation.id).size, Buffer.byteLength(VACATION));
+  assert.equal((await store.search("dental"))[0].chunk.documentId, health.id);
+  assert.deepEqual(await store.search("dental", { documentIds: [vacation.id] }), []);
+  assert.ok(await fs.stat(path.join(store.filesDir, `${vacation.id}.md`)));
+});
+
+test("unsupported files are refused", async () => {
+  const store = await createStore();
+  await assert.rejects(store.add(file("payroll.xlsx", "binary")), UnsupportedDocumentError);
+  assert.equal(store.list().length, 0);
+});
+
+test("removing a document drops its chunks and file", async () => {
+  const store = await createStore();
+  const vacation = await store.add(file("vacation.md", VACATION));
+  await store.add(file("health.md", HEALTH));
+
+  assert.equal(await store.remove(vacation.id), true);
+  assert.equal(await store.remove(vacation.id), false);
+  assert.equal(store.get(vacation.id), null);
+  assert.deepEqual(await store.search("vacation"), []);
+  assert.equal(store.size, 1);
+  assert.deepEqual(await fs.readdir(store.filesDir), [store.list()[0].id + ".md"]);
+});
+
+test("a restarted store reuses the saved index, and rebuilds it when the chunking changes", async () => {
+  const first = await createStore();
+  const vacation = await first.add(file("vacation.md", VACATION));
+  await first.add(file("health.md", HEALTH));
+
+  const restarted = await createStore({ dir: first.dir });
+  assert.equal(restarted.size, 2);
+  assert.equal((await restarted.search("vacation days"))[0].chunk.documentId, vacation.id);
+
+  const rechunked = await createStore({ dir: first.dir, chunkSize: 20, chunkOverlap: 0 });
+  assert.ok(rechunked.size > 2);
+  assert.equal(rechunked.list().length, 2);
+  const chunkIds = JSON.parse(await fs.readFile(rechunked.manifestPath, "utf8")).documents.flatMap(doc => doc.chunkIds);
+  assert.equal(new Set(chunkIds).size, chunkIds.length);
+});
+
+test("a rebuild drops documents whose file is gone", async () => {
+  const first = await createStore();
+  const vacation = await first.add(file("vacation.md", VACATION));
+  await first.add(file("health.md", HEALTH));
+  await fs.rm(path.join(first.filesDir, `${vacation.id}.md`));
+  await fs.rm(first.indexPath);
+
+  const rebuilt = await createStore({ dir: first.dir });
+  assert.deepEqual(rebuilt.list().map(doc => doc.name), ["health.md"]);
+  assert.match(rebuilt.warnings[0], /Dropping document "vacation.md"/);
+  assert.deepEqual(await rebuilt.search("vacation"), []);
+});
+
+test("a failed upload leaves no chunks, file or manifest entry behind", async () => {
+  const store = await createStore();
+  await store.add(file("vacation.md", VACATION));
+  // Saving the manifest fails once it is a directory
+  await fs.rm(store.manifestPath);
+  await fs.mkdir(store.manifestPath);
+
+  await assert.rejects(store.add(file("health.md", HEALTH)), { code: "EISDIR" });
+  assert.equal(store.size, 1);
+  assert.deepEqual(store.list().map(doc => doc.name), ["vacation.md"]);
+  assert.equal((await fs.readdir(store.filesDir)).length, 1);
+  assert.deepEqual(await store.search("dental"), []);
+});
+
+test("a document that cannot be embedded uses up no chunk ids", async () => {
+  let failing = true;
+  const embeddings = {
+    id: "test",
+    async embedDocuments(texts) {
+      if (failing) throw new Error("embedding service down");
+      return texts.map(() => [1, 0]);
+    },
+    async embedQuery() {
+      return [1, 0];
+    },
+  };
+  const store = await createStore({ embeddings });
+  const { nextChunkId } = store.manifest;
+
+  await assert.rejects(store.add(file("vacation.md", VACATION)), /embedding service down/);
+  assert.equal(store.manifest.nextChunkId, nextChunkId);
+  assert.equal(store.size, 0);
+  assert.deepEqual(await fs.readdir(store.filesDir), []);
+
+  failing = false;
+  await store.add(file("vacation.md", VACATION));
+  assert.equal(store.size, 1);
+});
@@ -0,0 +1,42 @@
+import fs from "fs/promises";
+
+/**
+ * One evaluation question, as a line of the JSONL dataset.
+ * @typedef {object} EvalCase
+ * @property {string} id - Stable id, used to compare runs.
+ * @property {string} question - Sent to /chat as the user message.
+ * @property {string} [expectedAnswer] - A reference answer, for answer overlap and the judge.
+ * @property {number[]} [expectedPages] - Handbook pages the answer is on; retrieval is scored against them.
+ * @property {string} [expectedDocument] - Only sources from this document count as relevant.
+ * @property {boolean} [outOfScope=false] - The handbook cannot answer this; the assistant should use its fallback.
+ * @property {boolean} [useRAG=true] - Sent to /chat as `useRAG`.
+ * @property {string[]} [tags] - Free-form labels, e.g. ["privacy"].
+ */
+
+/**
+ * Reads a JSONL dataset. Blank lines and lines starting with // are skipped.
+ * @param {string} datasetPath
+ * @returns {Promise<EvalCase[]>}
+ * @throws {Error} If a line is not valid JSON, lacks an id or question, or repeats an id.
+ */
+export async function loadDataset(datasetPath) {
+  const lines = (await fs.readFile(datasetPath, "utf8")).split(/\r?\n/);
+  const cases = [];
+  const ids = new Set();
+
+  lines.forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith("//")) return;
+    let item;
+    try {
+      item = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${datasetPath}:${i + 1}: invalid JSON (${error.message})`);
+    }
+    if (!item.id || !item.question) throw new Error(`${datasetPath}:${i + 1}: every case needs an "id" and a "question"`);
+    if (ids.has(item.id)) throw new Error(`${datasetPath}:${i + 1}: duplicate id "${item.id}"`);
+    ids.add(item.id);
+    cases.push({ outOfScope: false, useRAG: true, expectedPages: [], tags: [], ...item });
+  });
+
+  return cases;
+}
@@ -0,0 +1,54 @@
+const JUDGE_INSTRUCTIONS = `You grade answers of a company handbook assistant. You are given the question, the handbook excerpts the
+assistant was shown, a reference answer when available, and the assistant's answer.
+
+Score two things from 1 (worst) to 5 (best):
+- groundedness: every claim in the answer is supported by the excerpts. An honest "I don't know" is fully grounded.
+- relevance: the answer addresses the question (and agrees with the reference answer, if one is given).
+
+Reply with JSON only, in this shape: {"groundedness": <1-5>, "relevance": <1-5>, "reason": "<one sentence>"}`;
+
+function contentToString(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) return content.map(part => (typeof part === "string" ? part : part.text || "")).join("");
+  return "";
+}
+
+// Models often wrap JSON in prose or code fences; take the first object in the reply
+function parseScores(text) {
+  const match = /\{[\s\S]*\}/.exec(text);
+  if (!match) throw new Error("the judge did not reply with JSON");
+  const scores = JSON.parse(match[0]);
+  for (const key of ["groundedness", "relevance"]) {
+    const value = Number(scores[key]);
+    if (!Number.isFinite(value) || value < 1 || value > 5) throw new Error(`the judge gave no valid ${key} score`);
+    scores[key] = value;
+  }
+  return { groundedness: scores.groundedness, relevance: scores.relevance, reason: String(scores.reason || "") };
+}
+
+/**
+ * Creates an LLM-as-judge that scores answers for groundedness and relevance.
+ * @param {import('@langchain/core/language_models/chat_models').BaseChatModel} model - Any chat model from the provider layer.
+ * @returns {(input: {question: string, reply: string, sources: object[], expectedAnswer?: string}) =>
+ *   Promise<{groundedness: number, relevance: number, reason: string} | {error: string}>}
+ *   Resolves with an error message instead of throwing when the judge fails or replies with something unusable.
+ */
+export function createJudge(model) {
+  return async ({ question, reply, sources, expectedAnswer }) => {
+    const excerpts = sources.length
+      ? sources.map(source => `[${source.id}] (page ${source.page ?? "?"}) ${source.excerpt}`).join("\n\n")
+      : "(none)";
+    try {
+      const response = await model.invoke([
+        { role: "system", content: JUDGE_INSTRUCTIONS },
+        {
+          role: "user",
+          content: `Question: ${question}\n\nExcerpts:\n${excerpts}\n\nReference answer: ${expectedAnswer || "(none)"}\n\nAssistant's answer: ${reply}`,
+        },
+      ]);
+      return parseScores(contentToString(response.content));
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+}
@@ -0,0 +1,73 @@
+import { format } from "./scoring.js";
+
+function percent(value) {
+  return typeof value === "number" ? `${(value * 100).toFixed(1)}%` : "n/a";
+}
+
+function signed(value) {
+  if (typeof value !== "number") return "";
+  return `${value > 0 ? "+" : ""}${format(value)}`;
+}
+
+/**
+ * Renders a run report (and its comparison with the baseline, if any) as Markdown.
+ * @param {object} report - The report written by the runner.
+ * @returns {string}
+ */
+export function toMarkdown(report) {
+  const { summary, diff } = report;
+  const lines = [
+    `# Evaluation run ${report.runId}`,
+    "",
+    `- Dataset: \`${report.dataset}\` (${summary.questions} questions, ${summary.errors} failed)`,
+    `- Target: ${report.target.url}${report.target.models?.length ? ` (model: ${report.target.models.join(", ")})` : ""}`,
+    `- Judge: ${report.judge || "disabled"}`,
+    `- Sources considered: top ${report.k}`,
+    "",
+    "## Summary",
+    "",
+    "| Metric | Value |",
+    "| --- | --- |",
+    `| Retrieval recall@${report.k} (${summary.retrieval.evaluated} questions) | ${percent(summary.retrieval.recallAtK)} |`,
+    `| Retrieval MRR | ${format(summary.retrieval.mrr)} |`,
+    `| Fallback accuracy | ${percent(summary.fallback.accuracy)} |`,
+    `| Missed refusals (out-of-scope answered) | ${summary.fallback.missedRefusals} |`,
+    `| False refusals (in-scope declined) | ${summary.fallback.falseRefusals} |`,
+    `| Judge groundedness (1-5, ${summary.judge.scored} scored, ${summary.judge.failed} failed) | ${format(summary.judge.groundedness)} |`,
+    `| Judge relevance (1-5) | ${format(summary.judge.relevance)} |`,
+    ...(summary.judge.firstError ? [`| Judge error (first) | ${summary.judge.firstError.replace(/\|/g, "\\|")} |`] : []),
+    `| Lexical grounded ratio | ${percent(summary.lexical.groundedRatio)} |`,
+    `| Answer overlap with reference | ${percent(summary.lexical.answerOverlap)} |`,
+    `| Latency mean / p95 | ${format(summary.latency.meanMs)} ms / ${format(summary.latency.p95Ms)} ms |`,
+  ];
+
+  if (diff) {
+    lines.push("", `## Compared with ${diff.baselineRunId}`, "", "| Metric | Before | After | Change |", "| --- | --- | --- | --- |");
+    for (const { metric, before, after, delta, trend } of diff.metrics) {
+      const marker = trend === "better" ? " ✅" : trend === "worse" ? " ⚠️" : "";
+      lines.push(`| ${metric} | ${format(before)} | ${format(after)} | ${signed(delta)}${marker} |`);
+    }
+    if (diff.questions.length) {
+      lines.push("", "Changed questions:", "");
+      for (const { id, change } of diff.questions) lines.push(`- \`${id}\`: ${change}`);
+    }
+  }
+
+  lines.push(
+    "",
+    "## Questions",
+    "",
+    "| Id | Scope | Recall | RR | Fallback | Groundedness | Relevance | Latency |",
+    "| --- | --- | --- | --- | --- | --- | --- | --- |",
+  );
+  for (const result of report.results) {
+    if (result.error) {
+      lines.push(`| ${result.id} | ${result.outOfScope ? "out" : "in"} | error: ${result.error.replace(/\|/g, "\\|")} | | | | | |`);
+      continue;
+    }
+    const fallback = `${result.fallback ? "declined" : "answered"}${result.fallbackCorrect ? "" : " ❌"}`;
+    lines.push(`| ${result.id} | ${result.outOfScope ? "out" : "in"} | ${format(result.recallAtK)} | ${format(result.reciprocalRank)} | ${fallback} | ${format(result.judge?.groundedness)} | ${format(result.judge?.relevance)} | ${result.latencyMs} ms |`);
+  }
+
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,170 @@
+import "dotenv/config";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { createChatModel, describeProvider, loadProviderConfig } from "../providers/index.js";
+import { loadDataset } from "./dataset.js";
+import { createJudge } from "./judge.js";
+import { answerOverlap, diffRuns, isFallbackReply, reciprocalRank, recallAtK, summarize } from "./scoring.js";
+import { toMarkdown } from "./report.js";
+
+// Runs a dataset of questions against a running webapi's /chat endpoint and writes a Markdown and JSON report,
+// compared with the previous run. Start the server first, with the model to evaluate, for example:
+//
+//   MODEL_PROVIDER=mock AUTH_DISABLED=true npm start
+//   npm run eval -- --no-judge
+//
+// The judge is any provider from providers/index.js, e.g. a local model through MODEL_PROVIDER=openai-compatible.
+// The mock provider cannot grade answers, so with it the judge scores are reported as failed.
+//
+// Options:
+//   --dataset <file>          JSONL dataset (default: evaluation/datasets/handbook.jsonl)
+//   --url <url>               webapi base URL (default: EVAL_API_URL or http://localhost:3001)
+//   --api-key <key>           sent as X-API-Key (default: EVAL_API_KEY)
+//   --k <n>                   sources considered for recall@k (default: 3)
+//   --out <dir>               where reports are written (default: evaluation/runs)
+//   --baseline <file>         report to compare with (default: the latest report in --out)
+//   --judge-provider <name>   MODEL_PROVIDER for the judge; the judge otherwise uses the MODEL_* settings in .env
+//   --no-judge                skip the LLM-as-judge scores
+//   --timeout <ms>            per-question timeout (default: 120000)
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const { values: options } = parseArgs({
+  options: {
+    dataset: { type: "string", default: path.join(__dirname, "datasets", "handbook.jsonl") },
+    url: { type: "string", default: process.env.EVAL_API_URL || "http://localhost:3001" },
+    "api-key": { type: "string", default: process.env.EVAL_API_KEY || "" },
+    k: { type: "string", default: "3" },
+    out: { type: "string", default: path.join(__dirname, "runs") },
+    baseline: { type: "string" },
+    "judge-provider": { type: "string" },
+    "no-judge": { type: "boolean", default: false },
+    timeout: { type: "string", default: "120000" },
+  },
+});
+
+const k = Number(options.k);
+const timeoutMs = Number(options.timeout);
+const baseUrl = options.url.replace(/\/+$/, "");
+const headers = { "Content-Type": "application/json", ...(options["api-key"] ? { "X-API-Key": options["api-key"] } : {}) };
+
+/**
+ * Creates the judge, or returns null when it is disabled.
+ * @returns {{judge: Function, description: string} | null}
+ */
+function setUpJudge() {
+  if (options["no-judge"]) return null;
+  const env = options["judge-provider"] ? { ...process.env, MODEL_PROVIDER: options["judge-provider"] } : process.env;
+  const config = loadProviderConfig(env, { parameters: { temperature: 0 } });
+  return { judge: createJudge(createChatModel(config)), description: describeProvider(config) };
+}
+
+// The deployments behind the server, for the report (best effort: /readyz may be unreachable)
+async function targetModels() {
+  try {
+    const res = await fetch(`${baseUrl}/readyz`, { signal: AbortSignal.timeout(5000) });
+    const body = await res.json();
+    return (body.checks?.model || []).map(model => model.name);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Asks one question in a fresh session and scores the answer.
+ * @param {import('./dataset.js').EvalCase} testCase
+ * @param {string} runId
+ * @param {Function|null} judge
+ * @returns {Promise<object>} The per-question result stored in the report.
+ */
+async function evaluateCase(testCase, runId, judge) {
+  const result = { id: testCase.id, outOfScope: testCase.outOfScope, tags: testCase.tags };
+  const sessionId = `eval-${runId}-${testCase.id}`;
+  const startedAt = performance.now();
+
+  try {
+    const res = await fetch(`${baseUrl}/chat`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ message: testCase.question, sessionId, useRAG: testCase.useRAG }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const body = await res.json().catch(() => null);
+    result.latencyMs = Math.round(performance.now() - startedAt);
+    if (!res.ok) throw new Error(`${res.status} ${body?.error || ""} ${body?.message || ""}`.trim());
+
+    const sources = body.sources || [];
+    result.reply = body.reply;
+    result.sourcePages = sources.map(source => source.page);
+    result.fallback = isFallbackReply(body.reply);
+    result.fallbackCorrect = result.fallback === testCase.outOfScope;
+    result.recallAtK = testCase.useRAG ? recallAtK(sources, testCase, k) : null;
+    result.reciprocalRank = testCase.useRAG ? reciprocalRank(sources, testCase) : null;
+    result.groundedRatio = (body.guardrails || []).find(verdict => verdict.check === "grounding")?.details?.groundedRatio ?? null;
+    result.answerOverlap = answerOverlap(body.reply, testCase.expectedAnswer);
+    if (judge) {
+      result.judge = await judge({ question: testCase.question, reply: body.reply, sources, expectedAnswer: testCase.expectedAnswer });
+    }
+  } catch (error) {
+    result.latencyMs ??= Math.round(performance.now() - startedAt);
+    result.error = error.name === "TimeoutError" ? `no answer within ${timeoutMs}ms` : error.message;
+  } finally {
+    // Don't leave evaluation conversations behind on the server
+    await fetch(`${baseUrl}/sessions/${encodeURIComponent(sessionId)}`, { method: "DELETE", headers }).catch(() => {});
+  }
+  return result;
+}
+
+// The most recent report in the output directory; report names sort by time
+async function latestReport(dir) {
+  try {
+    const files = (await fs.readdir(dir)).filter(file => file.endsWith(".json")).sort();
+    return files.length ? path.join(dir, files[files.length - 1]) : null;
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+async function main() {
+  const dataset = await loadDataset(options.dataset);
+  const judge = setUpJudge();
+  const runId = new Date().toISOString().replace(/[:.]/g, "-");
+  const baselinePath = options.baseline || (await latestReport(options.out));
+
+  console.error(`Evaluating ${dataset.length} questions against ${baseUrl}...`);
+  const results = [];
+  for (const testCase of dataset) {
+    const result = await evaluateCase(testCase, runId, judge?.judge);
+    console.error(`  ${testCase.id}: ${result.error ? `error (${result.error})` : `${result.latencyMs} ms`}`);
+    results.push(result);
+  }
+
+  const report = {
+    runId,
+    dataset: path.relative(process.cwd(), options.dataset),
+    target: { url: baseUrl, models: await targetModels() },
+    judge: judge?.description || null,
+    k,
+    summary: summarize(results),
+    results,
+  };
+  if (baselinePath) {
+    report.diff = diffRuns(report, JSON.parse(await fs.readFile(baselinePath, "utf8")));
+  }
+
+  const markdown = toMarkdown(report);
+  await fs.mkdir(options.out, { recursive: true });
+  await fs.writeFile(path.join(options.out, `${runId}.json`), JSON.stringify(report, null, 2));
+  await fs.writeFile(path.join(options.out, `${runId}.md`), markdown);
+
+  console.log(markdown);
+  console.error(`Reports written to ${path.join(options.out, runId)}.{json,md}`);
+}
+
+main().catch(error => {
+  console.error(`Evaluation failed: ${error.message}`);
+  process.exit(1);
+});
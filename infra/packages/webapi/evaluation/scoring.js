@@ -0,0 +1,185 @@
+import { tokenize } from "../retrieval/index.js";
+
+// How the system prompts in server.js tell the model to decline
+const FALLBACK_PATTERNS = [
+  /I'?m sorry,? I don'?t know/i,
+  /cannot answer based on the provided data/i,
+];
+
+/**
+ * Whether a reply is the assistant's "I don't know" fallback.
+ * @param {string} reply
+ * @returns {boolean}
+ */
+export function isFallbackReply(reply) {
+  return FALLBACK_PATTERNS.some(pattern => pattern.test(reply || ""));
+}
+
+function isRelevant(source, testCase) {
+  if (testCase.expectedDocument && source.document !== testCase.expectedDocument) return false;
+  return testCase.expectedPages.includes(source.page);
+}
+
+/**
+ * Share of the expected pages found among the first k sources.
+ * @param {object[]} sources - Sources returned by /chat, best first.
+ * @param {import('./dataset.js').EvalCase} testCase
+ * @param {number} k
+ * @returns {number|null} Between 0 and 1; null if the case lists no expected pages.
+ */
+export function recallAtK(sources, testCase, k) {
+  if (testCase.expectedPages.length === 0) return null;
+  const found = new Set(sources.slice(0, k).filter(source => isRelevant(source, testCase)).map(source => source.page));
+  return found.size / new Set(testCase.expectedPages).size;
+}
+
+/**
+ * 1 / rank of the first relevant source, or 0 if none is relevant.
+ * @param {object[]} sources - Sources returned by /chat, best first.
+ * @param {import('./dataset.js').EvalCase} testCase
+ * @returns {number|null} Null if the case lists no expected pages.
+ */
+export function reciprocalRank(sources, testCase) {
+  if (testCase.expectedPages.length === 0) return null;
+  const rank = sources.findIndex(source => isRelevant(source, testCase));
+  return rank === -1 ? 0 : 1 / (rank + 1);
+}
+
+/**
+ * Share of the reference answer's content words (stemmed, stopwords removed) that appear in the reply.
+ * A cheap, deterministic signal that complements the judge.
+ * @param {string} reply
+ * @param {string} [expectedAnswer]
+ * @returns {number|null} Null without a reference answer.
+ */
+export function answerOverlap(reply, expectedAnswer) {
+  if (!expectedAnswer) return null;
+  const expected = new Set(tokenize(expectedAnswer));
+  if (expected.size === 0) return null;
+  const actual = new Set(tokenize(reply || ""));
+  return [...expected].filter(token => actual.has(token)).length / expected.size;
+}
+
+function mean(values) {
+  const present = values.filter(value => typeof value === "number");
+  return present.length ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Aggregates per-question results into the run summary.
+ * @param {object[]} results - Results from the runner.
+ * @returns {object}
+ */
+export function summarize(results) {
+  const answered = results.filter(result => !result.error);
+  const inScope = answered.filter(result => !result.outOfScope);
+  const outOfScope = answered.filter(result => result.outOfScope);
+  const withRetrieval = inScope.filter(result => result.recallAtK !== null);
+  const judged = answered.filter(result => result.judge && !result.judge.error);
+
+  return {
+    questions: results.length,
+    errors: results.length - answered.length,
+    retrieval: {
+      evaluated: withRetrieval.length,
+      recallAtK: mean(withRetrieval.map(result => result.recallAtK)),
+      mrr: mean(withRetrieval.map(result => result.reciprocalRank)),
+    },
+    fallback: {
+      accuracy: answered.length ? answered.filter(result => result.fallbackCorrect).length / answered.length : null,
+      missedRefusals: outOfScope.filter(result => !result.fallback).length,
+      falseRefusals: inScope.filter(result => result.fallback).length,
+    },
+    judge: {
+      scored: judged.length,
+      failed: answered.filter(result => result.judge?.error).length,
+      firstError: answered.find(result => result.judge?.error)?.judge.error ?? null,
+      groundedness: mean(judged.map(result => result.judge.groundedness)),
+      relevance: mean(judged.map(result => result.judge.relevance)),
+    },
+    lexical: {
+      groundedRatio: mean(answered.map(result => result.groundedRatio)),
+      answerOverlap: mean(answered.map(result => result.answerOverlap)),
+    },
+    latency: {
+      meanMs: mean(answered.map(result => result.latencyMs)),
+      p95Ms: percentile(answered.map(result => result.latencyMs), 95),
+    },
+  };
+}
+
+// Summary metrics compared between runs, and whether higher is better
+export const COMPARED_METRICS = [
+  ["retrieval.recallAtK", true],
+  ["retrieval.mrr", true],
+  ["fallback.accuracy", true],
+  ["fallback.missedRefusals", false],
+  ["fallback.falseRefusals", false],
+  ["judge.groundedness", true],
+  ["judge.relevance", true],
+  ["lexical.groundedRatio", true],
+  ["lexical.answerOverlap", true],
+  ["latency.meanMs", false],
+  ["errors", false],
+];
+
+function valueAt(object, dottedPath) {
+  return dottedPath.split(".").reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * Compares a run with a baseline run: the change of each summary metric, and the questions whose
+ * retrieval, fallback behaviour or judge scores changed.
+ * @param {object} current - The report of this run.
+ * @param {object} baseline - The report of an earlier run.
+ * @returns {{baselineRunId: string, metrics: object[], questions: object[]}}
+ */
+export function diffRuns(current, baseline) {
+  const metrics = COMPARED_METRICS.map(([metric, higherIsBetter]) => {
+    const before = valueAt(baseline.summary, metric);
+    const after = valueAt(current.summary, metric);
+    const delta = typeof before === "number" && typeof after === "number" ? after - before : null;
+    const trend = !delta ? "same" : (delta > 0) === higherIsBetter ? "better" : "worse";
+    return { metric, before, after, delta, trend };
+  });
+
+  const previous = new Map(baseline.results.map(result => [result.id, result]));
+  const questions = [];
+  for (const result of current.results) {
+    const before = previous.get(result.id);
+    if (!before) {
+      questions.push({ id: result.id, change: "new" });
+      continue;
+    }
+    const changes = [];
+    if (before.recallAtK !== result.recallAtK) changes.push(`recall@k ${format(before.recallAtK)} → ${format(result.recallAtK)}`);
+    if (before.fallbackCorrect !== result.fallbackCorrect) {
+      changes.push(result.fallbackCorrect ? "fallback now correct" : "fallback now wrong");
+    }
+    for (const score of ["groundedness", "relevance"]) {
+      const a = before.judge?.[score];
+      const b = result.judge?.[score];
+      if (typeof a === "number" && typeof b === "number" && a !== b) changes.push(`${score} ${a} → ${b}`);
+    }
+    if (Boolean(before.error) !== Boolean(result.error)) changes.push(result.error ? "now fails" : "no longer fails");
+    if (changes.length) questions.push({ id: result.id, change: changes.join("; ") });
+  }
+
+  return { baselineRunId: baseline.runId, metrics, questions };
+}
+
+/**
+ * Formats a metric value for reports.
+ * @param {number|null|undefined} value
+ * @returns {string}
+ */
+export function format(value) {
+  if (typeof value !== "number") return "n/a";
+  return Number.isInteger(value) ? String(value) : value.toFixed(3);
+}
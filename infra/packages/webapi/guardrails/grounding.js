@@ -0,0 +1,58 @@
+import { tokenize } from "../retrieval/index.js";
+
+// Sentences with fewer content words than this (greetings, "I hope this helps") are not checked
+const MIN_SENTENCE_TOKENS = 4;
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+function citedIds(sentence) {
+  return [...sentence.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1]));
+}
+
+/**
+ * Checks that the claims in an answer are supported by the evidence it was given.
+ *
+ * A sentence counts as grounded when enough of its content words (stemmed, stopwords removed) appear in
+ * the sources it cites, or in any evidence if it cites none. Citations of IDs that were not provided are reported.
+ * @param {string} reply - The model's answer.
+ * @param {{id: number|string, text: string}[]} evidence - Retrieved excerpts and tool results.
+ * @param {object} [options]
+ * @param {number} [options.minOverlap=0.5] - Share of a sentence's content words that must appear in the evidence.
+ * @returns {{checked: number, groundedRatio: number, ungrounded: string[], invalidCitations: number[]}}
+ */
+export function checkGrounding(reply, evidence, { minOverlap = 0.5 } = {}) {
+  const evidenceTokens = new Map(evidence.map(item => [String(item.id), new Set(tokenize(item.text))]));
+  const allTokens = new Set([...evidenceTokens.values()].flatMap(tokens => [...tokens]));
+
+  let checked = 0;
+  const ungrounded = [];
+  const invalidCitations = new Set();
+
+  for (const sentence of splitSentences(reply)) {
+    const ids = citedIds(sentence);
+    for (const id of ids) {
+      if (!evidenceTokens.has(String(id))) invalidCitations.add(id);
+    }
+
+    const tokens = [...new Set(tokenize(sentence.replace(/\[\d+\]/g, "")))];
+    if (tokens.length < MIN_SENTENCE_TOKENS) continue;
+    checked++;
+
+    const cited = ids.map(id => evidenceTokens.get(String(id))).filter(Boolean);
+    const supported = token => (cited.length ? cited.some(set => set.has(token)) : allTokens.has(token));
+    const overlap = tokens.filter(supported).length / tokens.length;
+    if (overlap < minOverlap) ungrounded.push(sentence);
+  }
+
+  return {
+    checked,
+    groundedRatio: checked ? Math.round(((checked - ungrounded.length) / checked) * 100) / 100 : 1,
+    ungrounded,
+    invalidCitations: [...invalidCitations],
+  };
+}
@@ -0,0 +1,239 @@
+import fs from "fs/promises";
+import YAML from "yaml";
+import { detectInjection, neutralizeInjection } from "./injection.js";
+import { compilePiiPatterns, redactPii } from "./pii.js";
+import { checkGrounding } from "./grounding.js";
+
+export { fenceUntrusted, FENCE_INSTRUCTIONS, detectInjection, neutralizeInjection } from "./injection.js";
+export { redactPii, compilePiiPatterns } from "./pii.js";
+export { checkGrounding } from "./grounding.js";
+
+/**
+ * The policy used when no policy file exists. See guardrails.example.yaml for every option.
+ */
+export const DEFAULT_POLICY = {
+  checks: { injection: true, pii: true, topics: true, grounding: true },
+  injection: { blockInput: false },
+  pii: { patterns: {} },
+  topics: {
+    allow: [],
+    deny: [],
+    message: "I'm sorry, I can't help with that topic.",
+  },
+  grounding: { minOverlap: 0.5 },
+};
+
+/**
+ * Reads a guardrail policy file (YAML or JSON) and fills in defaults.
+ * @param {string} policyPath - Path of the policy file.
+ * @returns {Promise<object>} The policy; the defaults if the file does not exist.
+ */
+export async function loadGuardrailPolicy(policyPath) {
+  let policy = {};
+  try {
+    policy = YAML.parse(await fs.readFile(policyPath, "utf8")) || {};
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  return Object.fromEntries(
+    Object.entries(DEFAULT_POLICY).map(([key, defaults]) => [key, { ...defaults, ...policy[key] }])
+  );
+}
+
+/**
+ * Runs checks before and after the model call. Each check handles some of these stages:
+ *
+ * - "input":   the user's message (a string)
+ * - "context": retrieved excerpts and tool results, as [{ id, text }], before they reach the prompt
+ * - "output":  the model's answer (a string); the context holds { sources, steps, useRAG }
+ *
+ * A check is { name, stages, replaces?, run(stage, value, context) } and returns a verdict
+ * { outcome: "pass" | "flag" | "modify" | "block", message?, details?, value? } or null to stay silent.
+ * `value` replaces what later checks and the caller see; "block" stops the stage, and its `message`
+ * is what the user is told instead. `replaces` lists the stages where the check may block or modify the value.
+ */
+export class Guardrails {
+  /**
+   * @param {object} [policy=DEFAULT_POLICY] - The policy, e.g. from `loadGuardrailPolicy`.
+   */
+  constructor(policy = DEFAULT_POLICY) {
+    this.policy = policy;
+    this.checks = [];
+    this.piiPatterns = compilePiiPatterns(policy.pii?.patterns);
+  }
+
+  /**
+   * Adds a check; checks run in the order they were added.
+   * @param {{name: string, stages: string[], run: Function}} check
+   * @returns {Guardrails} This pipeline, for chaining.
+   */
+  use(check) {
+    this.checks.push(check);
+    return this;
+  }
+
+  /**
+   * Runs every check registered for a stage.
+   * @param {"input"|"context"|"output"} stage
+   * @param {string|{id: string|number, text: string}[]} value - What the stage checks.
+   * @param {object} [context] - Request details the checks may need.
+   * @returns {Promise<{value: any, verdicts: object[], blocked: object|null}>} The possibly modified value,
+   *   the verdict of each check that ran, and the blocking verdict if any.
+   */
+  async run(stage, value, context = {}) {
+    const verdicts = [];
+    for (const check of this.checks) {
+      if (!check.stages.includes(stage)) continue;
+      const result = await check.run(stage, value, context);
+      if (!result) continue;
+
+      const { value: replacement, ...verdict } = result;
+      verdicts.push({ check: check.name, stage, ...verdict });
+      if (replacement !== undefined) value = replacement;
+      if (verdict.outcome === "block") {
+        return { value, verdicts, blocked: verdicts[verdicts.length - 1] };
+      }
+    }
+    return { value, verdicts, blocked: null };
+  }
+
+  /**
+   * Whether a check may block or change what a stage returns, e.g. so streamed answers are held back until checked.
+   * @param {"input"|"context"|"output"} stage
+   * @returns {boolean}
+   */
+  mayReplace(stage) {
+    return this.checks.some(check => check.stages.includes(stage) && check.replaces?.includes(stage));
+  }
+
+  /**
+   * Redacts personal data for logs and stored history. Returns the text unchanged if the PII check is disabled.
+   * @param {string} text
+   * @returns {string}
+   */
+  redact(text) {
+    return this.policy.checks?.pii === false ? text : redactPii(text, this.piiPatterns).text;
+  }
+}
+
+/**
+ * Flags injection attempts in user input and neutralizes them in retrieved content and tool results.
+ * @param {object} options - The policy's `injection` section.
+ */
+export function injectionCheck({ blockInput = false } = {}) {
+  return {
+    name: "prompt-injection",
+    stages: ["input", "context"],
+    replaces: blockInput ? ["input", "context"] : ["context"],
+    run(stage, value) {
+      if (stage === "input") {
+        const findings = detectInjection(value);
+        if (findings.length === 0) return { outcome: "pass" };
+        return {
+          outcome: blockInput ? "block" : "flag",
+          message: blockInput ? "Your message looks like an attempt to change the assistant's instructions, so it was not answered." : undefined,
+          details: { patterns: [...new Set(findings.map(finding => finding.pattern))] },
+        };
+      }
+
+      const affected = [];
+      const items = value.map(item => {
+        const { text, findings } = neutralizeInjection(item.text);
+        if (findings.length) affected.push({ id: item.id, patterns: [...new Set(findings.map(finding => finding.pattern))] });
+        return { ...item, text };
+      });
+      if (affected.length === 0) return { outcome: "pass" };
+      return { outcome: "modify", details: { items: affected }, value: items };
+    },
+  };
+}
+
+/**
+ * Reports personal data in the conversation. It is always redacted from logs and stored history
+ * (see `Guardrails.redact`); the model still sees the current message as written.
+ * @param {Record<string, RegExp>} patterns - Extra patterns from `compilePiiPatterns`.
+ */
+export function piiCheck(patterns = {}) {
+  return {
+    name: "pii",
+    stages: ["input", "output"],
+    run(stage, value) {
+      const { counts } = redactPii(value, patterns);
+      if (Object.keys(counts).length === 0) return { outcome: "pass" };
+      return { outcome: "flag", details: { types: counts, redactedFromHistory: true } };
+    },
+  };
+}
+
+function compileTopic(topic) {
+  const keywords = (topic.keywords || []).map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const sources = [...(topic.patterns || []), ...(keywords.length ? [`\\b(${keywords.join("|")})\\b`] : [])];
+  return { name: topic.name, regexes: sources.map(source => new RegExp(source, "i")) };
+}
+
+function matchTopic(topics, text) {
+  return topics.find(topic => topic.regexes.some(regex => regex.test(text)));
+}
+
+/**
+ * Enforces the topic policy: messages on a denied topic are refused, and when allowed topics are listed,
+ * messages matching none of them are refused too. Answers touching a denied topic are replaced.
+ * @param {object} options - The policy's `topics` section.
+ */
+export function topicCheck({ allow = [], deny = [], message = DEFAULT_POLICY.topics.message } = {}) {
+  const allowed = allow.map(compileTopic);
+  const denied = deny.map(compileTopic);
+
+  return {
+    name: "topic-policy",
+    stages: ["input", "output"],
+    replaces: [...(allowed.length || denied.length ? ["input"] : []), ...(denied.length ? ["output"] : [])],
+    run(stage, value) {
+      const deniedTopic = matchTopic(denied, value);
+      if (deniedTopic) {
+        return { outcome: "block", message, details: { topic: deniedTopic.name }, value: stage === "output" ? message : value };
+      }
+      if (stage === "input" && allowed.length && !matchTopic(allowed, value)) {
+        return { outcome: "block", message, details: { topic: null, reason: "not an allowed topic" } };
+      }
+      return { outcome: "pass" };
+    },
+  };
+}
+
+/**
+ * Flags answers whose sentences are not supported by the retrieved excerpts or tool results.
+ * @param {object} options - The policy's `grounding` section.
+ */
+export function groundingCheck({ minOverlap = 0.5 } = {}) {
+  return {
+    name: "grounding",
+    stages: ["output"],
+    run(stage, reply, { sources = [], steps = [], useRAG = true }) {
+      if (!useRAG || sources.length === 0) return null;
+
+      const evidence = [
+        ...sources.map(source => ({ id: source.id, text: source.excerpt })),
+        ...steps.filter(step => step.result).map((step, i) => ({ id: `tool-${i}`, text: step.result })),
+      ];
+      const result = checkGrounding(reply, evidence, { minOverlap });
+      const flagged = result.ungrounded.length > 0 || result.invalidCitations.length > 0;
+      return { outcome: flagged ? "flag" : "pass", details: result };
+    },
+  };
+}
+
+/**
+ * Builds the pipeline with the built-in checks the policy enables.
+ * @param {object} [policy=DEFAULT_POLICY]
+ * @returns {Guardrails}
+ */
+export function createGuardrails(policy = DEFAULT_POLICY) {
+  const guardrails = new Guardrails(policy);
+  const enabled = policy.checks || {};
+  if (enabled.topics !== false) guardrails.use(topicCheck(policy.topics));
+  if (enabled.injection !== false) guardrails.use(injectionCheck(policy.injection));
+  if (enabled.pii !== false) guardrails.use(piiCheck(guardrails.piiPatterns));
+  if (enabled.grounding !== false) guardrails.use(groundingCheck(policy.grounding));
+  return guardrails;
+}
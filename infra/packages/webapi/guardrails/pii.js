@@ -0,0 +1,54 @@
+// Personal data redacted from logs and stored chat history, as [TYPE] placeholders
+const PII_PATTERNS = {
+  EMAIL: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi,
+  CREDIT_CARD: /\b\d(?:[ -]?\d){12,18}\b/g,
+  SSN: /\b\d{3}-\d{2}-\d{4}\b/g,
+  IBAN: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+  PHONE: /(?<![\w-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,4}\)[ .-]?)?\d{3,4}[ .-]\d{3,4}(?:[ .-]\d{2,4})?(?![\w-])/g,
+  IP_ADDRESS: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g,
+};
+
+// Card-like digit runs are only redacted when they pass the Luhn checksum, to spare order numbers and the like
+function passesLuhn(value) {
+  const digits = value.replace(/\D/g, "");
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Compiles extra PII patterns from a policy, e.g. { EMPLOYEE_ID: "\\bEMP-\\d{6}\\b" }.
+ * @param {Record<string, string>} [patterns]
+ * @returns {Record<string, RegExp>}
+ */
+export function compilePiiPatterns(patterns = {}) {
+  return Object.fromEntries(Object.entries(patterns).map(([type, source]) => [type.toUpperCase(), new RegExp(source, "gi")]));
+}
+
+/**
+ * Replaces personal data in a text with [TYPE] placeholders.
+ * @param {string} text
+ * @param {Record<string, RegExp>} [extraPatterns] - Additional patterns from `compilePiiPatterns`.
+ * @returns {{text: string, counts: Record<string, number>}} The redacted text and how many of each type were found.
+ */
+export function redactPii(text, extraPatterns = {}) {
+  const counts = {};
+  let redacted = text || "";
+  // Custom IDs first, so the generic patterns don't swallow part of them
+  for (const [type, regex] of Object.entries({ ...extraPatterns, ...PII_PATTERNS })) {
+    redacted = redacted.replace(regex, match => {
+      if (type === "CREDIT_CARD" && !passesLuhn(match)) return match;
+      counts[type] = (counts[type] || 0) + 1;
+      return `[${type}]`;
+    });
+  }
+  return { text: redacted, counts };
+}
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compilePiiPatterns, redactPii } from "./pii.js";
+
+test("redactPii replaces personal data with typed placeholders", () => {
+  const { text, counts } = redactPii("Mail jane.doe@contoso.com or call +1 425-555-0100 from 10.0.0.12. SSN 123-45-6789.");
+  assert.equal(text, "Mail [EMAIL] or call [PHONE] from [IP_ADDRESS]. SSN [SSN].");
+  assert.deepEqual(counts, { EMAIL: 1, SSN: 1, PHONE: 1, IP_ADDRESS: 1 });
+});
+
+test("only card numbers that pass the Luhn checksum are redacted", () => {
+  assert.equal(redactPii("Card 4111 1111 1111 1111 expires soon.").text, "Card [CREDIT_CARD] expires soon.");
+  assert.equal(redactPii("Order 1234567890123 has shipped.").text, "Order 1234567890123 has shipped.");
+});
+
+test("IBANs are redacted", () => {
+  assert.equal(redactPii("Pay to DE89 3704 0044 0532 0130 00 please.").text, "Pay to [IBAN] please.");
+});
+
+test("policy patterns are applied before the built-in ones", () => {
+  const patterns = compilePiiPatterns({ employee_id: "\\bEMP-\\d{6}\\b" });
+  const { text, counts } = redactPii("EMP-123456 asked about EMP-654321.", patterns);
+  assert.equal(text, "[EMPLOYEE_ID] asked about [EMPLOYEE_ID].");
+  assert.deepEqual(counts, { EMPLOYEE_ID: 2 });
+});
+
+test("text without personal data is left alone", () => {
+  assert.deepEqual(redactPii("How many vacation days do I get in 2026?"), { text: "How many vacation days do I get in 2026?", counts: {} });
+  assert.deepEqual(redactPii(undefined), { text: "", counts: {} });
+});
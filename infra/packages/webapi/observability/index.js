@@ -0,0 +1,3 @@
+export { Logger, createLogger, requestContext, requestLogging } from "./logger.js";
+export { MetricsRegistry, Counter, Gauge, Histogram, createMetrics } from "./metrics.js";
+export { withSpan } from "./tracing.js";
@@ -0,0 +1,117 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID } from "crypto";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Request-scoped values (the request id and user) that every log line written while handling
+ * the request picks up, however deep in the call stack it is written.
+ */
+export const requestContext = new AsyncLocalStorage();
+
+// Errors don't serialize to JSON on their own
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.code ? { code: value.code } : {}), stack: value.stack };
+  }
+  return value;
+}
+
+/**
+ * Writes one JSON object per line: { time, level, msg, requestId?, ...fields }.
+ * With `format: "pretty"` lines are written as readable text instead, for local development.
+ * The methods accept the same arguments as `console` for a message alone, so modules that default
+ * to `console` can be given a Logger.
+ */
+export class Logger {
+  /**
+   * @param {object} [options]
+   * @param {"debug"|"info"|"warn"|"error"} [options.level="info"] - Lines below this level are dropped.
+   * @param {"json"|"pretty"} [options.format="json"]
+   * @param {object} [options.fields] - Fields added to every line.
+   */
+  constructor({ level = "info", format = "json", fields = {} } = {}) {
+    this.level = LEVELS[level] ? level : "info";
+    this.format = format;
+    this.fields = fields;
+  }
+
+  /**
+   * A logger that adds fields to every line, e.g. the component writing it.
+   * @param {object} fields
+   * @returns {Logger}
+   */
+  child(fields) {
+    return new Logger({ level: this.level, format: this.format, fields: { ...this.fields, ...fields } });
+  }
+
+  debug(msg, fields) { this._write("debug", msg, fields); }
+  info(msg, fields) { this._write("info", msg, fields); }
+  warn(msg, fields) { this._write("warn", msg, fields); }
+  error(msg, fields) { this._write("error", msg, fields); }
+
+  _write(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+    const extra = fields instanceof Error ? { error: fields } : fields;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...requestContext.getStore(),
+      ...this.fields,
+      ...Object.fromEntries(Object.entries(extra).map(([key, value]) => [key, serialize(value)])),
+    };
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+    if (this.format === "pretty") {
+      const { time, level: _, msg: __, ...rest } = entry;
+      const details = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : "";
+      stream.write(`${time} ${level.toUpperCase().padEnd(5)} ${msg}${details}\n`);
+      return;
+    }
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+/**
+ * Creates the logger configured by LOG_LEVEL (debug, info, warn, error) and LOG_FORMAT (json or pretty).
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @returns {Logger}
+ */
+export function createLogger(env = process.env) {
+  return new Logger({ level: env.LOG_LEVEL || "info", format: env.LOG_FORMAT || "json" });
+}
+
+/**
+ * Express middleware that gives each request an id (the incoming X-Request-Id, or a new UUID), echoes it in the
+ * response, runs the rest of the request inside `requestContext`, and logs the request once it has finished.
+ * @param {Logger} logger
+ * @param {(req: import('express').Request, res: import('express').Response, durationSeconds: number) => void} [onFinish]
+ *   Called when the response has been sent, e.g. to record metrics.
+ * @returns {import('express').RequestHandler}
+ */
+export function requestLogging(logger, onFinish) {
+  return (req, res, next) => {
+    const incoming = req.get("x-request-id");
+    req.id = incoming && /^[\w.-]{1,128}$/.test(incoming) ? incoming : randomUUID();
+    res.set("X-Request-Id", req.id);
+
+    const startedAt = performance.now();
+    res.on("close", () => {
+      const durationSeconds = (performance.now() - startedAt) / 1000;
+      onFinish?.(req, res, durationSeconds);
+      const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+      logger[level]("request", {
+        requestId: req.id,
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Math.round(durationSeconds * 1000),
+        userId: req.user?.id,
+        aborted: !res.writableFinished || undefined,
+      });
+    });
+
+    requestContext.run({ requestId: req.id }, next);
+  };
+}
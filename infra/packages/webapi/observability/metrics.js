@@ -0,0 +1,171 @@
+// Latency buckets in seconds, from fast retrieval to slow model answers
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // serialized labels -> { labels, ...values }
+  }
+
+  _series(labels, create) {
+    const picked = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? ""]));
+    const key = JSON.stringify(picked);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: picked, ...create() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+}
+
+/**
+ * A value that only goes up, such as a number of requests.
+ */
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  /**
+   * @param {object} [labels]
+   * @param {number} [value=1]
+   */
+  inc(labels = {}, value = 1) {
+    this._series(labels, () => ({ value: 0 })).value += value;
+  }
+
+  lines() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+/**
+ * A value that goes up and down, such as the number of documents in the knowledge base.
+ */
+export class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super("gauge", name, help, labelNames);
+  }
+
+  /**
+   * @param {object} labels
+   * @param {number} value
+   */
+  set(labels, value) {
+    this._series(labels, () => ({ value: 0 })).value = value;
+  }
+
+  lines() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+/**
+ * Counts observations (latencies, scores, token counts) into cumulative buckets.
+ */
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * @param {object} labels
+   * @param {number} value
+   */
+  observe(labels, value) {
+    const series = this._series(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  lines() {
+    return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`,
+    ]);
+  }
+}
+
+/**
+ * Holds the metrics of the process and renders them in the Prometheus text exposition format.
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help, labelNames) {
+    return this._add(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this._add(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this._add(new Histogram(name, help, labelNames, buckets));
+  }
+
+  _add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * @returns {string} Every metric with its HELP and TYPE lines.
+   */
+  render() {
+    return this.metrics
+      .map(metric => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines()].join("\n"))
+      .join("\n") + "\n";
+  }
+}
+
+/**
+ * Creates the registry with the metrics the webapi records.
+ * @returns {{registry: MetricsRegistry} & Record<string, Counter|Gauge|Histogram>}
+ */
+export function createMetrics() {
+  const registry = new MetricsRegistry();
+  return {
+    registry,
+    httpRequests: registry.counter("http_requests_total", "HTTP requests by route and status.", ["method", "route", "status"]),
+    httpDuration: registry.histogram("http_request_duration_seconds", "HTTP request latency.", ["method", "route"]),
+    chatRequests: registry.counter("chat_requests_total", "Chat requests by outcome (ok, blocked, aborted or an error code).", ["outcome", "stream"]),
+    modelCalls: registry.counter("model_calls_total", "Model calls by deployment and outcome (success or an error code).", ["deployment", "outcome"]),
+    modelDuration: registry.histogram("model_call_duration_seconds", "Latency of each model call, including failed attempts.", ["deployment"]),
+    modelTokens: registry.counter("model_tokens_total", "Tokens reported by the model, by type (prompt or completion).", ["deployment", "type"]),
+    retrievals: registry.counter("retrieval_requests_total", "Knowledge base searches, by whether anything was found.", ["hit"]),
+    retrievalTopScore: registry.histogram("retrieval_top_score", "Score of the best chunk of each search that found something.", [], [0.5, 1, 2, 3, 5, 8, 13, 20]),
+    retrievalResults: registry.histogram("retrieval_results", "Chunks returned per search.", [], [0, 1, 2, 3, 5, 8, 13]),
+    toolCalls: registry.counter("tool_calls_total", "Tool invocations by tool, source and outcome (success or error).", ["tool", "source", "outcome"]),
+    toolDuration: registry.histogram("tool_call_duration_seconds", "Latency of tool invocations.", ["tool"]),
+    tavilyRequests: registry.counter("tavily_requests_total", "Tavily searches by outcome (answer, empty, error or aborted).", ["outcome"]),
+    shopRequests: registry.counter("shop_requests_total", "Shopping assistant requests by outcome (ok, blocked, aborted or an error code).", ["outcome"]),
+    chatAttachments: registry.counter("chat_attachments_total", "Files attached to chat messages, by kind (image or document).", ["kind"]),
+    guardrailVerdicts: registry.counter("guardrail_verdicts_total", "Guardrail verdicts by check, stage and outcome.", ["check", "stage", "outcome"]),
+    knowledgeBaseDocuments: registry.gauge("knowledge_base_documents", "Documents in the knowledge base."),
+    knowledgeBaseChunks: registry.gauge("knowledge_base_chunks", "Chunks in the retrieval index."),
+    knowledgeBaseReady: registry.gauge("knowledge_base_ready", "1 once the knowledge base has loaded and holds at least one chunk."),
+  };
+}
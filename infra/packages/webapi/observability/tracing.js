@@ -0,0 +1,38 @@
+// OpenTelemetry is optional. Spans are created through @opentelemetry/api when it is installed; they are only
+// exported once an SDK is registered, e.g. by starting the server with
+//   node --require @opentelemetry/auto-instrumentations-node/register server.js
+// which reads the usual OTEL_* variables (OTEL_SERVICE_NAME, OTEL_EXPORTER_OTLP_ENDPOINT, ...).
+// Without the package, `withSpan` just runs the function.
+let api = null;
+try {
+  api = await import("@opentelemetry/api");
+} catch {
+  // Tracing stays off
+}
+
+const tracer = api?.trace.getTracer("webapi");
+
+/**
+ * Runs a function inside a span. The span records the attributes, any exception, and ends when the function settles.
+ * @template T
+ * @param {string} name - Span name, e.g. "retrieval.search".
+ * @param {Record<string, string|number|boolean>} attributes
+ * @param {(span: {setAttribute: Function}|null) => Promise<T>} fn - Receives the span (null without OpenTelemetry)
+ *   to add attributes known only at the end, such as result counts.
+ * @returns {Promise<T>}
+ */
+export async function withSpan(name, attributes, fn) {
+  if (!tracer) return fn(null);
+
+  return tracer.startActiveSpan(name, { attributes }, async span => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: api.SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
@@ -0,0 +1,287 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+
+/**
+ * An assistant hosted by /chat, as defined in a profile file (see infra/packages/agent/profiles).
+ * @typedef {object} Profile
+ * @property {string} id - From the `id` field, or the file name without its extension.
+ * @property {string} name - Shown in the profile picker.
+ * @property {string} description
+ * @property {boolean} [default] - Used when a request names no profile (PROFILE_DEFAULT takes precedence).
+ * @property {string} instructions - Who the assistant is; the start of every system prompt.
+ * @property {string} fallback - The answer when the knowledge sources and tools cannot help.
+ * @property {{enabled: boolean, label: string, documents: string[] | null, catalog: boolean, topK: number | null}} knowledge -
+ *   Whether answers are grounded, what the sources are called in the prompt, which knowledge base documents are
+ *   searched (names or ids; null for all), whether the product catalog is searched too, and how many excerpts are used.
+ * @property {string[] | null} tools - Tools the model may call; null for every registered tool.
+ * @property {{allow?: object[], deny?: object[], message?: string} | false | null} topics - Topic policy of the
+ *   guardrails, over the `topics` section of the server's policy; null uses the server's as is, false turns the
+ *   topic check off for this profile.
+ * @property {{id: string | null, options: {temperature?: number, maxTokens?: number, topP?: number}}} model -
+ *   The deployment (or model) to use instead of the server's, and generation options.
+ * @property {{ragLabel: string, placeholder: string, retrieving: string}} ui - Labels for the webapp.
+ */
+
+/**
+ * The profile used when no profile file exists: the Contoso Electronics employee handbook assistant.
+ * @type {Profile}
+ */
+export const DEFAULT_PROFILE = {
+  id: "hr-handbook",
+  name: "HR Handbook",
+  description: "Answers questions about Contoso Electronics policies, benefits and procedures from the employee handbook.",
+  instructions: "You are a helpful assistant for Contoso Electronics.",
+  fallback: "I'm sorry, I don't know. The employee handbook and available search results do not contain information about that.",
+  knowledge: { enabled: true, label: "employee handbook", documents: null, catalog: false, topK: null },
+  tools: null,
+  topics: {
+    message: "I'm sorry, I can't help with that topic. I can answer questions about Contoso Electronics policies, benefits and procedures.",
+  },
+  model: { id: null, options: {} },
+  ui: {
+    ragLabel: "Use Employee Handbook",
+    placeholder: "Ask about company policies, benefits, etc...",
+    retrieving: "Searching employee handbook...",
+  },
+};
+
+// Generation options a profile may set, and the spellings accepted for them (my-agent.yaml uses top_p)
+const MODEL_OPTIONS = { temperature: "temperature", top_p: "topP", topP: "topP", max_tokens: "maxTokens", maxTokens: "maxTokens" };
+
+const PROFILE_FILE = /\.ya?ml$/i;
+
+/**
+ * A profile file that cannot be used; `problems` lists what is wrong with it.
+ */
+export class ProfileError extends Error {
+  /**
+   * @param {string} file
+   * @param {string[]} problems
+   */
+  constructor(file, problems) {
+    super(`Invalid assistant profile ${file}: ${problems.join("; ")}`);
+    this.name = "ProfileError";
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === "string");
+
+// A topic of the guardrails' topic policy: { name, keywords?, patterns? }, where patterns are regular expressions
+function topicProblems(topic, label) {
+  if (!topic || typeof topic !== "object" || !topic.name) return [`\`${label}\` needs a name`];
+  const problems = [];
+  for (const key of ["keywords", "patterns"]) {
+    if (topic[key] !== undefined && !isStringList(topic[key])) problems.push(`\`${label}.${key}\` must be a list of strings`);
+  }
+  for (const pattern of isStringList(topic.patterns) ? topic.patterns : []) {
+    try {
+      new RegExp(pattern, "i");
+    } catch (err) {
+      problems.push(`\`${label}.patterns\` has an invalid regular expression: ${err.message}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Checks a parsed profile file and fills in the defaults.
+ * @param {object} raw - The parsed YAML.
+ * @param {string} file - The file name, for the default id and error messages.
+ * @returns {Profile}
+ * @throws {ProfileError}
+ */
+export function parseProfile(raw, file) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new ProfileError(file, ["the file must hold a YAML mapping"]);
+  const problems = [];
+  const knowledge = raw.knowledge ?? {};
+  const model = raw.model ?? {};
+  const ui = raw.ui ?? {};
+
+  const id = String(raw.id ?? path.basename(file).replace(PROFILE_FILE, ""));
+  if (!/^[\w-]+$/.test(id)) problems.push(`id "${id}" may only contain letters, digits, "-" and "_"`);
+  if (typeof raw.instructions !== "string" || !raw.instructions.trim()) problems.push("`instructions` is required");
+  if (raw.fallback !== undefined && typeof raw.fallback !== "string") problems.push("`fallback` must be a string");
+  if (raw.tools !== undefined && raw.tools !== null && !isStringList(raw.tools)) problems.push("`tools` must be a list of tool names");
+  if (typeof knowledge !== "object") problems.push("`knowledge` must be a mapping");
+  const topics = raw.topics ?? null;
+  if (topics !== null && topics !== false && (typeof topics !== "object" || Array.isArray(topics))) {
+    problems.push("`topics` must be a mapping, or false to turn the topic check off");
+  } else if (topics) {
+    for (const key of ["allow", "deny"]) {
+      if (topics[key] === undefined) continue;
+      if (!Array.isArray(topics[key])) problems.push(`\`topics.${key}\` must be a list of topics`);
+      else topics[key].forEach((topic, i) => problems.push(...topicProblems(topic, `topics.${key}[${i}]`)));
+    }
+    if (topics.message !== undefined && typeof topics.message !== "string") problems.push("`topics.message` must be a string");
+  }
+  if (knowledge.documents !== undefined && knowledge.documents !== null && !isStringList(knowledge.documents)) {
+    problems.push("`knowledge.documents` must be a list of document names or ids");
+  }
+  if (knowledge.topK !== undefined && !(Number.isInteger(knowledge.topK) && knowledge.topK > 0)) {
+    problems.push("`knowledge.topK` must be a positive whole number");
+  }
+  const options = {};
+  for (const [key, value] of Object.entries(model.options ?? {})) {
+    if (!MODEL_OPTIONS[key]) problems.push(`unknown model option "${key}" (use temperature, top_p or max_tokens)`);
+    else if (typeof value !== "number") problems.push(`model option "${key}" must be a number`);
+    else options[MODEL_OPTIONS[key]] = value;
+  }
+  if (problems.length) throw new ProfileError(file, problems);
+
+  const defaults = DEFAULT_PROFILE;
+  return {
+    id,
+    name: String(raw.name ?? id),
+    description: String(raw.description ?? ""),
+    default: raw.default === true,
+    instructions: raw.instructions.trim(),
+    fallback: raw.fallback?.trim() || "I'm sorry, I don't know. The available information does not cover that.",
+    knowledge: {
+      enabled: knowledge.enabled !== false,
+      label: String(knowledge.label ?? "knowledge base"),
+      documents: knowledge.documents ?? null,
+      catalog: knowledge.catalog === true,
+      topK: knowledge.topK ?? null,
+    },
+    tools: raw.tools ?? null,
+    topics: topics === false ? false : topics && Object.fromEntries(["allow", "deny", "message"].filter(key => topics[key] !== undefined).map(key => [key, topics[key]])),
+    model: { id: model.id ? String(model.id) : null, options },
+    ui: {
+      ragLabel: String(ui.ragLabel ?? defaults.ui.ragLabel),
+      placeholder: String(ui.placeholder ?? defaults.ui.placeholder),
+      retrieving: String(ui.retrieving ?? defaults.ui.retrieving),
+    },
+  };
+}
+
+/**
+ * The assistant profiles in a directory of YAML files, reloaded whenever a file changes.
+ *
+ * A file that fails to parse is reported and its last valid version stays in use, so a typo never takes
+ * an assistant offline. Without any profile file, DEFAULT_PROFILE is the only profile.
+ */
+export class ProfileStore {
+  /**
+   * @param {string} dir - Directory holding the profile files (*.yaml, *.yml).
+   * @param {object} [options]
+   * @param {string} [options.defaultId] - Profile used when a request names none; otherwise the one marked
+   *   `default: true`, or the first by name.
+   * @param {object} [options.logger=console]
+   * @param {(profiles: Profile[]) => void} [options.onReload] - Called after every (re)load.
+   */
+  constructor(dir, { defaultId, logger = console, onReload } = {}) {
+    this.dir = dir;
+    this.defaultId = defaultId;
+    this.logger = logger;
+    this.onReload = onReload;
+    this.profiles = new Map([[DEFAULT_PROFILE.id, DEFAULT_PROFILE]]);
+    this.lastValid = new Map(); // file name -> the last profile parsed from it
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Reads every profile file.
+   * @returns {Promise<Profile[]>}
+   */
+  async load() {
+    let files = [];
+    try {
+      files = (await fs.promises.readdir(this.dir)).filter(file => PROFILE_FILE.test(file)).sort();
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+
+    const profiles = new Map();
+    for (const file of files) {
+      let profile;
+      try {
+        profile = parseProfile(YAML.parse(await fs.promises.readFile(path.join(this.dir, file), "utf8")), file);
+        this.lastValid.set(file, profile);
+      } catch (err) {
+        profile = this.lastValid.get(file);
+        const problem = err instanceof ProfileError ? err.message : `Cannot read assistant profile ${file}: ${err.message}`;
+        this.logger.error(`${problem}${profile ? "; keeping its previous version" : ""}`);
+        if (!profile) continue;
+      }
+      if (profiles.has(profile.id)) {
+        this.logger.error(`Assistant profile id "${profile.id}" is used by more than one file; ${file} is ignored`);
+        continue;
+      }
+      profiles.set(profile.id, profile);
+    }
+    // Forget deleted files
+    for (const file of this.lastValid.keys()) if (!files.includes(file)) this.lastValid.delete(file);
+
+    this.profiles = profiles.size ? profiles : new Map([[DEFAULT_PROFILE.id, DEFAULT_PROFILE]]);
+    this.onReload?.(this.list());
+    return this.list();
+  }
+
+  /**
+   * Reloads the profiles shortly after any file in the directory changes. Editors often write a file in
+   * several steps, so changes are debounced.
+   */
+  watch() {
+    try {
+      this.watcher = fs.watch(this.dir, () => {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+          this.load().catch(err => this.logger.error(`Failed to reload the assistant profiles: ${err.message}`));
+        }, 200);
+      });
+      this.watcher.unref();
+    } catch (err) {
+      this.logger.warn(`Assistant profiles in ${this.dir} are not watched for changes: ${err.message}`);
+    }
+  }
+
+  close() {
+    clearTimeout(this.reloadTimer);
+    this.watcher?.close();
+  }
+
+  /**
+   * @returns {Profile[]} Sorted by name.
+   */
+  list() {
+    return [...this.profiles.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @returns {Profile}
+   */
+  get default() {
+    return this.profiles.get(this.defaultId)
+      ?? this.list().find(profile => profile.default)
+      ?? this.profiles.get(DEFAULT_PROFILE.id)
+      ?? this.list()[0];
+  }
+
+  /**
+   * @param {string} [id] - The profile id; the default profile when omitted.
+   * @returns {Profile | undefined} Undefined for an unknown id.
+   */
+  get(id) {
+    return id ? this.profiles.get(id) : this.default;
+  }
+}
+
+/**
+ * What clients may know about a profile: everything except its prompts.
+ * @param {Profile} profile
+ * @returns {object}
+ */
+export function describeProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    description: profile.description,
+    knowledge: { enabled: profile.knowledge.enabled, label: profile.knowledge.label },
+    tools: profile.tools,
+    ui: profile.ui,
+  };
+}
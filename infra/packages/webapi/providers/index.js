@@ -0,0 +1,227 @@
+import { AzureChatOpenAI, ChatOpenAI } from "@langchain/openai";
+import { MockChatModel } from "./mock.js";
+import { ResilientChatModel, loadResilienceOptions } from "./resilience.js";
+
+/**
+ * Provider configuration shared by the webapi and the root scripts:
+ *
+ *   {
+ *     provider: "azure-openai" | "azure-inference" | "github" | "openai-compatible" | "mock",
+ *     endpoint: "https://...",        // API base URL
+ *     apiKey: "...",                  // key or token
+ *     model: "gpt-4o",                // model name (Azure AI Inference, GitHub Models, OpenAI-compatible)
+ *     deployment: "gpt-4o",           // Azure OpenAI deployment
+ *     instanceName: "my-resource",    // Azure OpenAI resource name, used instead of endpoint when set
+ *     apiVersion: "2024-08-01-preview",
+ *     parameters: { temperature: 1, maxTokens: 4096, topP: 1 },
+ *     fallbacks: ["gpt-4o-mini"]      // deployments/models tried in order when the primary one fails
+ *   }
+ *
+ * Every field can be set with a MODEL_* environment variable (MODEL_PROVIDER, MODEL_ENDPOINT, MODEL_API_KEY,
+ * MODEL_NAME, MODEL_DEPLOYMENT, MODEL_API_VERSION, MODEL_TEMPERATURE, MODEL_MAX_TOKENS, MODEL_TOP_P,
+ * and MODEL_FALLBACK_DEPLOYMENTS as a comma-separated list).
+ * Each provider also reads the variables it used before this layer existed, listed in `env` below.
+ */
+const PROVIDERS = {
+  "azure-openai": {
+    env: {
+      endpoint: "AZURE_INFERENCE_SDK_ENDPOINT",
+      apiKey: "AZURE_INFERENCE_SDK_KEY",
+      deployment: "DEPLOYMENT_NAME",
+      instanceName: "INSTANCE_NAME",
+    },
+    defaults: { apiVersion: "2024-08-01-preview" },
+    required: ["apiKey", "deployment", ["instanceName", "endpoint"]],
+    create: (config, parameters) => new AzureChatOpenAI({
+      azureOpenAIApiKey: config.apiKey,
+      azureOpenAIApiDeploymentName: config.deployment,
+      azureOpenAIApiVersion: config.apiVersion,
+      ...(config.instanceName
+        ? { azureOpenAIApiInstanceName: config.instanceName }
+        : { azureOpenAIEndpoint: config.endpoint }),
+      ...parameters,
+    }),
+  },
+  "azure-inference": {
+    env: { endpoint: "AZURE_INFERENCE_SDK_ENDPOINT", apiKey: "AZURE_INFERENCE_SDK_KEY" },
+    defaults: { apiVersion: "2024-05-01-preview" },
+    required: ["endpoint", "apiKey", "model"],
+    // The Azure AI model inference API speaks the OpenAI chat completions protocol
+    create: (config, parameters) => new ChatOpenAI({
+      apiKey: config.apiKey,
+      model: config.model,
+      configuration: {
+        baseURL: config.endpoint,
+        defaultHeaders: { "api-key": config.apiKey },
+        defaultQuery: { "api-version": config.apiVersion },
+      },
+      ...parameters,
+    }),
+  },
+  "github": {
+    env: { apiKey: "GITHUB_TOKEN" },
+    defaults: { endpoint: "https://models.github.ai/inference" },
+    required: ["apiKey", "model"],
+    create: (config, parameters) => new ChatOpenAI({
+      apiKey: config.apiKey,
+      model: config.model,
+      configuration: { baseURL: config.endpoint },
+      ...parameters,
+    }),
+  },
+  "openai-compatible": {
+    env: { endpoint: "OPENAI_BASE_URL", apiKey: "OPENAI_API_KEY" },
+    // Ollama's default address; LM Studio, vLLM and llama.cpp servers work the same way
+    defaults: { endpoint: "http://localhost:11434/v1" },
+    required: ["endpoint", "model"],
+    create: (config, parameters) => new ChatOpenAI({
+      // Local servers usually ignore the key, but the OpenAI client insists on one
+      apiKey: config.apiKey || "not-needed",
+      model: config.model,
+      configuration: { baseURL: config.endpoint },
+      ...parameters,
+    }),
+  },
+  "mock": {
+    env: {},
+    defaults: { model: "mock" },
+    required: [],
+    create: (config) => new MockChatModel({ model: config.model }),
+  },
+};
+
+// Generic variables, which take precedence over the provider-specific ones
+const MODEL_ENV = {
+  endpoint: "MODEL_ENDPOINT",
+  apiKey: "MODEL_API_KEY",
+  model: "MODEL_NAME",
+  deployment: "MODEL_DEPLOYMENT",
+  apiVersion: "MODEL_API_VERSION",
+};
+
+const PARAMETER_ENV = {
+  temperature: "MODEL_TEMPERATURE",
+  maxTokens: "MODEL_MAX_TOKENS",
+  topP: "MODEL_TOP_P",
+};
+
+/**
+ * Names of the supported providers.
+ */
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Thrown when a provider configuration is unknown or incomplete.
+ */
+export class ProviderConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ProviderConfigError";
+  }
+}
+
+/**
+ * Builds a provider configuration from environment variables.
+ * @param {NodeJS.ProcessEnv} [env=process.env] - The environment to read.
+ * @param {object} [defaults] - Values used when the environment does not set them, e.g. a script's
+ *   preferred provider and model. `defaults.parameters` is merged field by field.
+ * @returns {object} The provider configuration.
+ */
+export function loadProviderConfig(env = process.env, defaults = {}) {
+  const provider = env.MODEL_PROVIDER || defaults.provider || "azure-openai";
+  const spec = PROVIDERS[provider];
+  if (!spec) {
+    throw new ProviderConfigError(`Unknown model provider "${provider}". Use one of: ${PROVIDER_NAMES.join(", ")}.`);
+  }
+
+  const config = { provider };
+  for (const field of ["endpoint", "apiKey", "model", "deployment", "instanceName", "apiVersion"]) {
+    config[field] = env[MODEL_ENV[field]] || env[spec.env[field]] || defaults[field] || spec.defaults[field];
+  }
+  // Azure OpenAI deployments are usually named after their model
+  if (provider === "azure-openai") config.model ??= config.deployment;
+
+  config.parameters = { ...defaults.parameters };
+  for (const [name, variable] of Object.entries(PARAMETER_ENV)) {
+    if (env[variable] !== undefined && env[variable] !== "") config.parameters[name] = Number(env[variable]);
+  }
+
+  config.fallbacks = env.MODEL_FALLBACK_DEPLOYMENTS
+    ? env.MODEL_FALLBACK_DEPLOYMENTS.split(",").map(name => name.trim()).filter(Boolean)
+    : defaults.fallbacks || [];
+  return config;
+}
+
+/**
+ * Lists what a configuration is missing for its provider.
+ * @param {object} config - A provider configuration.
+ * @returns {string[]} Descriptions of the missing fields, with the variables that set them; empty when complete.
+ */
+export function validateProviderConfig(config) {
+  const spec = PROVIDERS[config.provider];
+  if (!spec) return [`provider (MODEL_PROVIDER must be one of: ${PROVIDER_NAMES.join(", ")})`];
+
+  const describe = field => {
+    const variables = [MODEL_ENV[field], spec.env[field]].filter(Boolean);
+    return variables.length ? `${field} (${variables.join(" or ")})` : field;
+  };
+  return spec.required
+    .filter(field => (Array.isArray(field) ? field.every(f => !config[f]) : !config[field]))
+    .map(field => (Array.isArray(field) ? field.map(describe).join(" or ") : describe(field)));
+}
+
+/**
+ * Creates the LangChain chat model for a configuration. Switching providers only changes the configuration;
+ * every model supports `invoke`, `stream` and `bindTools`.
+ * @param {object} config - A provider configuration, e.g. from `loadProviderConfig`.
+ * @param {object} [fields] - Extra LangChain model fields, e.g. `{ maxRetries: 0 }`.
+ * @returns {import('@langchain/core/language_models/chat_models').BaseChatModel}
+ * @throws {ProviderConfigError} If the configuration is incomplete.
+ */
+export function createChatModel(config, fields = {}) {
+  const missing = validateProviderConfig(config);
+  if (missing.length) {
+    throw new ProviderConfigError(`Model provider "${config.provider}" is missing: ${missing.join(", ")}.`);
+  }
+
+  const parameters = Object.fromEntries(
+    Object.entries(config.parameters || {}).filter(([, value]) => value !== undefined && !Number.isNaN(value))
+  );
+  return PROVIDERS[config.provider].create(config, { ...parameters, ...fields });
+}
+
+/**
+ * Creates a chat model that times out, retries, falls back to `config.fallbacks` in order and opens a
+ * circuit breaker per deployment (see resilience.js). LangChain's own retries are turned off so that
+ * only this layer retries.
+ * @param {object} config - A provider configuration, e.g. from `loadProviderConfig`.
+ * @param {object} [options] - Resilience settings; read from the environment by default.
+ * @returns {ResilientChatModel}
+ * @throws {ProviderConfigError} If the configuration is incomplete.
+ */
+export function createResilientChatModel(config, options = loadResilienceOptions()) {
+  const configs = [
+    config,
+    ...(config.fallbacks || []).map(name => ({ ...config, deployment: name, model: name })),
+  ];
+  return ResilientChatModel.create(
+    configs.map(target => ({
+      name: target.deployment || target.model || target.provider,
+      model: createChatModel(target, { maxRetries: 0 }),
+    })),
+    options,
+  );
+}
+
+/**
+ * A one-line description of a configuration for logs, without credentials.
+ * @param {object} config - A provider configuration.
+ * @returns {string}
+ */
+export function describeProvider(config) {
+  const target = config.instanceName || config.endpoint;
+  return `${config.provider} (${config.deployment || config.model || "default model"}${target ? ` at ${target}` : ""})`;
+}
+
+export { MockChatModel };
+export { ERROR_CODES, ModelCallError, toModelCallError, loadResilienceOptions } from "./resilience.js";
@@ -0,0 +1,148 @@
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage, AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+
+// Longest excerpt of the user's message repeated in a reply
+const MAX_ECHO_CHARS = 200;
+
+// "/tool <name> {json arguments}" makes the mock call a bound tool
+const TOOL_COMMAND = /^\/tool\s+([\w-]+)\s*(\{[\s\S]*\})?\s*$/;
+
+function messageType(message) {
+  return message.getType?.() ?? message._getType();
+}
+
+function textOf(content) {
+  if (typeof content === "string") return content;
+  return (content || []).map(part => (typeof part === "string" ? part : part.text || "")).join("");
+}
+
+function imageCount(content) {
+  return Array.isArray(content) ? content.filter(part => part.type === "image_url").length : 0;
+}
+
+/**
+ * Reads the arguments of a `/tool` command.
+ * @param {string} [json]
+ * @returns {object|null} The arguments, or null when they are not valid JSON.
+ */
+function toolArguments(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * A chat model that answers deterministically without any network access, so the whole stack
+ * can be run and tested offline (MODEL_PROVIDER=mock).
+ *
+ * - It echoes the last user message, noting attached images.
+ * - If the system prompt lists sources as lines starting with an ID in square brackets, the reply cites the first one.
+ * - With tools bound, a user message of the form `/tool <name> {"arg": "value"}` makes it call that tool;
+ *   once tool results come back, it replies with them. A command whose arguments are not valid JSON is echoed.
+ */
+export class MockChatModel extends BaseChatModel {
+  /**
+   * @param {object} [fields]
+   * @param {string} [fields.model="mock"] - Name reported in responses.
+   * @param {object[]} [fields.tools] - Tools bound with `bindTools`.
+   * @param {string} [fields.toolChoice] - "none" prevents tool calls.
+   */
+  constructor(fields = {}) {
+    super(fields);
+    this.model = fields.model || "mock";
+    this.tools = fields.tools || [];
+    this.toolChoice = fields.toolChoice;
+  }
+
+  _llmType() {
+    return "mock";
+  }
+
+  bindTools(tools, kwargs = {}) {
+    return new MockChatModel({ model: this.model, tools, toolChoice: kwargs.tool_choice });
+  }
+
+  /**
+   * Decides the response to a conversation.
+   * @param {import('@langchain/core/messages').BaseMessage[]} messages
+   * @returns {{content: string, toolCall: object|null}}
+   */
+  _respond(messages) {
+    const last = messages[messages.length - 1];
+    if (last && messageType(last) === "tool") {
+      const results = [];
+      for (let i = messages.length - 1; i >= 0 && messageType(messages[i]) === "tool"; i--) {
+        results.unshift(textOf(messages[i].content));
+      }
+      return { content: `Mock reply based on ${results.length} tool result(s): ${results.join(" | ").slice(0, MAX_ECHO_CHARS)}`, toolCall: null };
+    }
+
+    const user = [...messages].reverse().find(message => messageType(message) === "human");
+    const text = user ? textOf(user.content).trim() : "";
+
+    const command = TOOL_COMMAND.exec(text);
+    const args = command && toolArguments(command[2]);
+    const canCallTools = this.tools.length > 0 && this.toolChoice !== "none";
+    if (args && canCallTools) {
+      const callCount = messages.filter(message => messageType(message) === "ai").length;
+      return { content: "", toolCall: { id: `mock_call_${callCount}`, name: command[1], args } };
+    }
+
+    const system = messages.find(message => messageType(message) === "system");
+    const citation = system && /^\[(\d+)\]/m.exec(textOf(system.content));
+    const images = user ? imageCount(user.content) : 0;
+    let content = `Mock reply to: "${text.slice(0, MAX_ECHO_CHARS)}"`;
+    if (images > 0) content += ` (${images} image(s) attached)`;
+    if (citation) content += ` [${citation[1]}]`;
+    return { content, toolCall: null };
+  }
+
+  _usage(messages, content) {
+    const input = estimateTokens(messages.map(message => textOf(message.content)).join("\n"));
+    const output = estimateTokens(content);
+    return { input_tokens: input, output_tokens: output, total_tokens: input + output };
+  }
+
+  async _generate(messages) {
+    const { content, toolCall } = this._respond(messages);
+    const message = new AIMessage({
+      content,
+      tool_calls: toolCall ? [{ ...toolCall, type: "tool_call" }] : [],
+      usage_metadata: this._usage(messages, content),
+      response_metadata: { model_name: this.model },
+    });
+    return { generations: [{ text: content, message }] };
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    const { content, toolCall } = this._respond(messages);
+    if (toolCall) {
+      yield new ChatGenerationChunk({
+        text: "",
+        message: new AIMessageChunk({
+          content: "",
+          tool_call_chunks: [{ id: toolCall.id, name: toolCall.name, args: JSON.stringify(toolCall.args), index: 0, type: "tool_call_chunk" }],
+        }),
+      });
+      return;
+    }
+
+    // One chunk per word, keeping the spacing so the chunks join back into the reply
+    for (const token of content.match(/\s*\S+/g) || []) {
+      yield new ChatGenerationChunk({ text: token, message: new AIMessageChunk({ content: token }) });
+      await runManager?.handleLLMNewToken(token);
+    }
+    yield new ChatGenerationChunk({
+      text: "",
+      message: new AIMessageChunk({ content: "", usage_metadata: this._usage(messages, content) }),
+    });
+  }
+}
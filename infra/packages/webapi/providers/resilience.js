@@ -0,0 +1,398 @@
+/**
+ * Error codes reported to clients when a model call fails.
+ */
+export const ERROR_CODES = {
+  TIMEOUT: "timeout",
+  RATE_LIMITED: "rate_limited",
+  UNAVAILABLE: "model_unavailable",
+  CIRCUIT_OPEN: "circuit_open",
+  AUTH_FAILED: "auth_failed",
+  BAD_REQUEST: "bad_request",
+  CONTENT_FILTERED: "content_filtered",
+  ABORTED: "aborted",
+  UNKNOWN: "model_error",
+};
+
+// Failures worth retrying against the same deployment
+const RETRYABLE = new Set([ERROR_CODES.TIMEOUT, ERROR_CODES.RATE_LIMITED, ERROR_CODES.UNAVAILABLE]);
+
+// Failures caused by the request itself, which another deployment would reject too
+const NO_FALLBACK = new Set([ERROR_CODES.ABORTED, ERROR_CODES.BAD_REQUEST, ERROR_CODES.CONTENT_FILTERED]);
+
+// Failures that say something about the endpoint's health and count towards opening its circuit
+const BREAKER_FAILURES = new Set([ERROR_CODES.TIMEOUT, ERROR_CODES.RATE_LIMITED, ERROR_CODES.UNAVAILABLE, ERROR_CODES.AUTH_FAILED]);
+
+const CONNECTION_ERROR_CODES = new Set(["ECONNREFUSED", "ECONNRESET", "ENOTFOUND", "ETIMEDOUT", "EAI_AGAIN", "UND_ERR_CONNECT_TIMEOUT"]);
+
+/**
+ * A failed model call, classified with one of `ERROR_CODES`.
+ */
+export class ModelCallError extends Error {
+  /**
+   * @param {string} code - One of `ERROR_CODES`.
+   * @param {string} message - What went wrong.
+   * @param {object} [details]
+   * @param {number} [details.status] - HTTP status returned by the provider.
+   * @param {number} [details.retryAfterMs] - How long the provider asked us to wait.
+   * @param {Error} [details.cause] - The original error.
+   */
+  constructor(code, message, { status, retryAfterMs, cause } = {}) {
+    super(message, { cause });
+    this.name = "ModelCallError";
+    this.code = code;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return RETRYABLE.has(this.code);
+  }
+}
+
+function header(headers, name) {
+  if (!headers) return undefined;
+  return typeof headers.get === "function" ? headers.get(name) : headers[name];
+}
+
+/**
+ * Reads how long a provider asked us to wait from `retry-after-ms` or `retry-after` (seconds or an HTTP date).
+ * @param {Headers|Record<string, string>} [headers] - Response headers of a failed call.
+ * @returns {number|undefined} Milliseconds to wait.
+ */
+export function parseRetryAfter(headers) {
+  const milliseconds = Number(header(headers, "retry-after-ms"));
+  if (milliseconds > 0) return milliseconds;
+
+  const value = header(headers, "retry-after");
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Classifies any error thrown by a model call.
+ * @param {Error} err - The error.
+ * @returns {ModelCallError}
+ */
+export function toModelCallError(err) {
+  if (err instanceof ModelCallError) return err;
+
+  const status = err?.status ?? err?.response?.status;
+  const message = err?.message || String(err);
+  const details = { status, cause: err };
+
+  if (err?.name === "AbortError") return new ModelCallError(ERROR_CODES.ABORTED, "The request was cancelled", details);
+  if (err?.name === "TimeoutError" || status === 408) return new ModelCallError(ERROR_CODES.TIMEOUT, message, details);
+  if (status === 429) {
+    return new ModelCallError(ERROR_CODES.RATE_LIMITED, message, { ...details, retryAfterMs: parseRetryAfter(err.headers) });
+  }
+  if (status === 401 || status === 403) return new ModelCallError(ERROR_CODES.AUTH_FAILED, message, details);
+  if (err?.code === "content_filter" || err?.error?.code === "content_filter") {
+    return new ModelCallError(ERROR_CODES.CONTENT_FILTERED, message, details);
+  }
+  if (status === 404 || status >= 500) return new ModelCallError(ERROR_CODES.UNAVAILABLE, message, details);
+  if (status >= 400) return new ModelCallError(ERROR_CODES.BAD_REQUEST, message, details);
+
+  const code = err?.code || err?.cause?.code;
+  if (CONNECTION_ERROR_CODES.has(code) || err?.name === "APIConnectionError") {
+    return new ModelCallError(ERROR_CODES.UNAVAILABLE, message, details);
+  }
+  return new ModelCallError(ERROR_CODES.UNKNOWN, message, details);
+}
+
+/**
+ * Stops calls to an endpoint after repeated failures, then lets a single trial call through once a
+ * cooldown has passed. A successful trial closes the circuit again; a failed one reopens it.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit.
+   * @param {number} [options.cooldownMs=30000] - How long the circuit stays open before a trial call.
+   */
+  constructor({ failureThreshold = 5, cooldownMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * "closed" (calls go through), "open" (calls are refused) or "half-open" (a trial call may go through).
+   * @returns {string}
+   */
+  get state() {
+    if (this.openedAt === null) return "closed";
+    return Date.now() - this.openedAt >= this.cooldownMs ? "half-open" : "open";
+  }
+
+  /**
+   * Whether a call may be made now. In the half-open state only one trial call is allowed at a time.
+   * @returns {boolean}
+   */
+  allowRequest() {
+    const state = this.state;
+    if (state === "closed") return true;
+    if (state === "open" || this.trialInFlight) return false;
+    this.trialInFlight = true;
+    return true;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.trialInFlight || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+    }
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Releases a trial call that ended without saying anything about the endpoint (e.g. it was cancelled).
+   */
+  recordNeutral() {
+    this.trialInFlight = false;
+  }
+}
+
+/**
+ * Reads the resilience settings from environment variables.
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @returns {{timeoutMs: number, maxRetries: number, baseDelayMs: number, maxDelayMs: number, failureThreshold: number, cooldownMs: number}}
+ */
+export function loadResilienceOptions(env = process.env) {
+  const number = (name, fallback) => (env[name] !== undefined && env[name] !== "" ? Number(env[name]) : fallback);
+  return {
+    timeoutMs: number("MODEL_TIMEOUT_MS", 60000), // Per attempt; for streams, the longest wait for the next chunk
+    maxRetries: number("MODEL_MAX_RETRIES", 2), // Retries per deployment, after the first attempt
+    baseDelayMs: number("MODEL_RETRY_BASE_DELAY_MS", 1000), // First backoff delay, doubled on every retry
+    maxDelayMs: number("MODEL_RETRY_MAX_DELAY_MS", 20000), // Longest wait before a retry; longer Retry-After values move on to the fallback
+    failureThreshold: number("MODEL_CIRCUIT_FAILURE_THRESHOLD", 5),
+    cooldownMs: number("MODEL_CIRCUIT_COOLDOWN_MS", 30000),
+  };
+}
+
+function abortError() {
+  return new ModelCallError(ERROR_CODES.ABORTED, "The request was cancelled");
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * An abort signal for one attempt: aborted when the caller aborts or when the attempt times out.
+ * `reset()` restarts the timeout (used between stream chunks).
+ */
+function attemptScope(parentSignal, timeoutMs) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+
+  const onParentAbort = () => controller.abort(parentSignal.reason);
+  parentSignal?.addEventListener("abort", onParentAbort, { once: true });
+
+  const scope = {
+    signal: controller.signal,
+    get timedOut() {
+      return timedOut;
+    },
+    reset() {
+      clearTimeout(timer);
+      if (!timeoutMs) return;
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+    },
+    dispose() {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener("abort", onParentAbort);
+    },
+    // Settles with the promise, or rejects as soon as the attempt is aborted even if the model ignores the signal
+    race(promise) {
+      return new Promise((resolve, reject) => {
+        if (controller.signal.aborted) return reject(scope.error());
+        const onAbort = () => reject(scope.error());
+        controller.signal.addEventListener("abort", onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => controller.signal.removeEventListener("abort", onAbort));
+      });
+    },
+    error(err) {
+      if (parentSignal?.aborted) return abortError();
+      if (timedOut) return new ModelCallError(ERROR_CODES.TIMEOUT, `No response from the model within ${timeoutMs}ms`);
+      return toModelCallError(err);
+    },
+  };
+  scope.reset();
+  return scope;
+}
+
+/**
+ * Wraps chat models so calls time out, retry with exponential backoff (honouring Retry-After), fall back to
+ * the next deployment in order, skip deployments whose circuit is open and stop when the caller aborts.
+ *
+ * It exposes the parts of the LangChain chat model interface the webapi uses: `invoke`, `stream` and `bindTools`.
+ * Failures are thrown as `ModelCallError`.
+ */
+export class ResilientChatModel {
+  /**
+   * @param {{name: string, model: object, breaker: CircuitBreaker}[]} targets - Deployments in order of preference.
+   * @param {ReturnType<typeof loadResilienceOptions> & {logger?: object, onAttempt?: Function}} options - Timeout, retry
+   *   and circuit breaker settings. Optionally a `logger` for retry warnings (console by default) and an `onAttempt`
+   *   callback that receives { deployment, attempt, outcome, durationMs, usage } after every call, where `outcome` is
+   *   "success" or the error code and `usage` is the usage_metadata reported by the model, if any.
+   */
+  constructor(targets, options) {
+    this.targets = targets;
+    this.options = options;
+  }
+
+  /**
+   * Creates the wrapper for a primary deployment and its fallbacks.
+   * @param {{name: string, model: object}[]} models - Deployments in order of preference.
+   * @param {ReturnType<typeof loadResilienceOptions>} options
+   * @returns {ResilientChatModel}
+   */
+  static create(models, options) {
+    const targets = models.map(({ name, model }) => ({
+      name,
+      model,
+      breaker: new CircuitBreaker({ failureThreshold: options.failureThreshold, cooldownMs: options.cooldownMs }),
+    }));
+    return new ResilientChatModel(targets, options);
+  }
+
+  bindTools(tools, kwargs) {
+    // Bound copies share the circuit breakers: they call the same endpoints
+    return new ResilientChatModel(
+      this.targets.map(target => ({ ...target, model: target.model.bindTools(tools, kwargs) })),
+      this.options,
+    );
+  }
+
+  /**
+   * The circuit state of each deployment, for diagnostics.
+   * @returns {{name: string, state: string, failures: number}[]}
+   */
+  status() {
+    return this.targets.map(({ name, breaker }) => ({ name, state: breaker.state, failures: breaker.failures }));
+  }
+
+  /**
+   * @param {object[]} messages - The conversation.
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<import('@langchain/core/messages').AIMessage>}
+   */
+  async invoke(messages, { signal } = {}) {
+    let result;
+    for await (const value of this._attempts(signal, async function* (model, scope) {
+      yield await scope.race(model.invoke(messages, { signal: scope.signal }));
+    })) {
+      result = value;
+    }
+    return result;
+  }
+
+  /**
+   * Streams the answer. Retries and fallbacks only happen before the first chunk; a failure after that is thrown.
+   * @param {object[]} messages - The conversation.
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {AsyncGenerator<import('@langchain/core/messages').AIMessageChunk>}
+   */
+  async *stream(messages, { signal } = {}) {
+    yield* this._attempts(signal, async function* (model, scope) {
+      const iterator = (await scope.race(model.stream(messages, { signal: scope.signal })))[Symbol.asyncIterator]();
+      while (true) {
+        const { value, done } = await scope.race(iterator.next());
+        if (done) return;
+        scope.reset();
+        yield value;
+      }
+    });
+  }
+
+  async *_attempts(signal, call) {
+    const { timeoutMs, maxRetries, baseDelayMs, maxDelayMs, logger = console, onAttempt } = this.options;
+    let lastError = null;
+
+    for (const target of this.targets) {
+      if (!target.breaker.allowRequest()) {
+        lastError ??= new ModelCallError(ERROR_CODES.CIRCUIT_OPEN, `Calls to ${target.name} are paused after repeated failures`);
+        continue;
+      }
+
+      for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        if (signal?.aborted) {
+          target.breaker.recordNeutral();
+          throw abortError();
+        }
+
+        const scope = attemptScope(signal, timeoutMs);
+        const startedAt = performance.now();
+        const report = (outcome, usage) => onAttempt?.({
+          deployment: target.name, attempt, outcome, durationMs: performance.now() - startedAt, usage,
+        });
+        let yielded = false;
+        let settled = false;
+        let usage;
+        try {
+          for await (const value of call(target.model, scope)) {
+            yielded = true;
+            if (value?.usage_metadata) usage = value.usage_metadata;
+            yield value;
+          }
+          settled = true;
+          target.breaker.recordSuccess();
+          report("success", usage);
+          return;
+        } catch (err) {
+          settled = true;
+          const error = scope.error(err);
+          report(error.code, usage);
+          if (error.code === ERROR_CODES.ABORTED) {
+            target.breaker.recordNeutral();
+            throw error;
+          }
+          if (BREAKER_FAILURES.has(error.code)) target.breaker.recordFailure();
+          else target.breaker.recordNeutral();
+
+          // Part of the answer has already reached the caller, so it cannot be retried
+          if (yielded || NO_FALLBACK.has(error.code)) throw error;
+          lastError = error;
+
+          const delay = error.retryAfterMs ?? baseDelayMs * 2 ** attempt * (1 + Math.random() * 0.2);
+          const canRetry = error.retryable && attempt < maxRetries && delay <= maxDelayMs && target.breaker.state === "closed";
+          logger.warn(`Model call to ${target.name} failed (${error.code}: ${error.message})${canRetry ? `; retrying in ${Math.round(delay)}ms` : ""}`);
+          if (!canRetry) break;
+          await sleep(delay, signal);
+        } finally {
+          scope.dispose();
+          // The caller stopped reading the stream early
+          if (!settled) target.breaker.recordNeutral();
+        }
+      }
+    }
+
+    throw lastError ?? new ModelCallError(ERROR_CODES.UNAVAILABLE, "No model deployment is configured");
+  }
+}
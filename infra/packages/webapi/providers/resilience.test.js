@@ -0,0 +1,125 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CircuitBreaker, ERROR_CODES, ModelCallError, ResilientChatModel, toModelCallError } from "./resilience.js";
+
+const OPTIONS = { timeoutMs: 1000, maxRetries: 2, baseDelayMs: 1, maxDelayMs: 100, failureThreshold: 5, cooldownMs: 60_000 };
+const quietLogger = { warn() {} };
+
+function httpError(status) {
+  return Object.assign(new Error(`HTTP ${status}`), { status });
+}
+
+/** A model that plays its outcomes in order: an Error is thrown, anything else is the reply. */
+function scriptedModel(...outcomes) {
+  const model = {
+    calls: 0,
+    async invoke() {
+      const outcome = outcomes[Math.min(model.calls++, outcomes.length - 1)];
+      if (outcome instanceof Error) throw outcome;
+      return outcome;
+    },
+  };
+  return model;
+}
+
+function resilient(models, options = {}) {
+  return ResilientChatModel.create(models.map((model, i) => ({ name: `deployment-${i}`, model })),
+    { ...OPTIONS, logger: quietLogger, ...options });
+}
+
+test("errors are classified by status and cause", () => {
+  assert.equal(toModelCallError(httpError(429)).code, ERROR_CODES.RATE_LIMITED);
+  assert.equal(toModelCallError(httpError(503)).code, ERROR_CODES.UNAVAILABLE);
+  assert.equal(toModelCallError(httpError(401)).code, ERROR_CODES.AUTH_FAILED);
+  assert.equal(toModelCallError(httpError(400)).code, ERROR_CODES.BAD_REQUEST);
+  assert.equal(toModelCallError(Object.assign(new Error("refused"), { code: "ECONNREFUSED" })).code, ERROR_CODES.UNAVAILABLE);
+  assert.equal(toModelCallError(Object.assign(httpError(429), { headers: { "retry-after": "2" } })).retryAfterMs, 2000);
+});
+
+test("retryable failures are retried against the same deployment", async () => {
+  const model = scriptedModel(httpError(503), httpError(429), "answer");
+  const attempts = [];
+  const wrapper = resilient([model], { onAttempt: ({ attempt, outcome }) => attempts.push([attempt, outcome]) });
+  assert.equal(await wrapper.invoke([]), "answer");
+  assert.equal(model.calls, 3);
+  assert.deepEqual(attempts, [[0, ERROR_CODES.UNAVAILABLE], [1, ERROR_CODES.RATE_LIMITED], [2, "success"]]);
+});
+
+test("after the last retry the next deployment is used", async () => {
+  const primary = scriptedModel(httpError(503));
+  const fallback = scriptedModel("fallback answer");
+  assert.equal(await resilient([primary, fallback]).invoke([]), "fallback answer");
+  assert.equal(primary.calls, OPTIONS.maxRetries + 1);
+  assert.equal(fallback.calls, 1);
+});
+
+test("failures caused by the request are neither retried nor sent to the fallback", async () => {
+  const primary = scriptedModel(httpError(400));
+  const fallback = scriptedModel("fallback answer");
+  await assert.rejects(resilient([primary, fallback]).invoke([]), error => error instanceof ModelCallError && error.code === ERROR_CODES.BAD_REQUEST);
+  assert.equal(primary.calls, 1);
+  assert.equal(fallback.calls, 0);
+});
+
+test("a slow model times out", async () => {
+  const slow = { invoke: () => new Promise(() => {}) };
+  await assert.rejects(resilient([slow], { timeoutMs: 20, maxRetries: 0 }).invoke([]), { code: ERROR_CODES.TIMEOUT });
+});
+
+test("the circuit opens after repeated failures and skips the deployment", async () => {
+  const primary = scriptedModel(httpError(503));
+  const fallback = scriptedModel("fallback answer");
+  const wrapper = resilient([primary, fallback], { maxRetries: 0, failureThreshold: 2 });
+
+  await wrapper.invoke([]);
+  await wrapper.invoke([]);
+  assert.equal(wrapper.status()[0].state, "open");
+  await wrapper.invoke([]);
+  assert.equal(primary.calls, 2);
+  assert.equal(fallback.calls, 3);
+});
+
+test("a half-open circuit lets one trial through, closing on success and reopening on failure", () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000 });
+  breaker.recordFailure();
+  assert.equal(breaker.state, "open");
+  assert.equal(breaker.allowRequest(), false);
+
+  breaker.openedAt -= 1000;
+  assert.equal(breaker.state, "half-open");
+  assert.equal(breaker.allowRequest(), true);
+  assert.equal(breaker.allowRequest(), false);
+  breaker.recordFailure();
+  assert.equal(breaker.state, "open");
+
+  breaker.openedAt -= 1000;
+  assert.equal(breaker.allowRequest(), true);
+  breaker.recordSuccess();
+  assert.equal(breaker.state, "closed");
+  assert.equal(breaker.failures, 0);
+});
+
+test("a failed trial call reopens the circuit of a deployment", async () => {
+  const model = scriptedModel(httpError(503), httpError(503), "answer");
+  const wrapper = resilient([model], { maxRetries: 0, failureThreshold: 1 });
+  await assert.rejects(wrapper.invoke([]), { code: ERROR_CODES.UNAVAILABLE });
+  await assert.rejects(wrapper.invoke([]), { code: ERROR_CODES.CIRCUIT_OPEN });
+
+  const { breaker } = wrapper.targets[0];
+  breaker.openedAt -= OPTIONS.cooldownMs;
+  await assert.rejects(wrapper.invoke([]), { code: ERROR_CODES.UNAVAILABLE });
+  assert.equal(breaker.state, "open");
+
+  breaker.openedAt -= OPTIONS.cooldownMs;
+  assert.equal(await wrapper.invoke([]), "answer");
+  assert.equal(breaker.state, "closed");
+  assert.equal(model.calls, 3);
+});
+
+test("a cancelled call is not retried", async () => {
+  const model = scriptedModel("answer");
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(resilient([model]).invoke([], { signal: controller.signal }), { code: ERROR_CODES.ABORTED });
+  assert.equal(model.calls, 0);
+});
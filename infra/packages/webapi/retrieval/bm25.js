@@ -0,0 +1,114 @@
+/**
+ * In-memory Okapi BM25 index over pre-tokenized documents.
+ * Rare terms weigh more than common ones, and long chunks do not win just by being long.
+ */
+export class Bm25Index {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.k1=1.2] - Term frequency saturation.
+   * @param {number} [options.b=0.75] - Document length normalization.
+   */
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.docs = new Map(); // id -> { termFreqs: Map<term, count>, length }
+    this.docFreqs = new Map(); // term -> number of documents containing it
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  /**
+   * Adds (or replaces) a document.
+   * @param {string|number} id - Unique document identifier.
+   * @param {string[]} tokens - The document's terms, as produced by `tokenize`.
+   */
+  add(id, tokens) {
+    if (this.docs.has(id)) this.remove(id);
+
+    const termFreqs = new Map();
+    for (const token of tokens) {
+      termFreqs.set(token, (termFreqs.get(token) || 0) + 1);
+    }
+    for (const term of termFreqs.keys()) {
+      this.docFreqs.set(term, (this.docFreqs.get(term) || 0) + 1);
+    }
+    this.docs.set(id, { termFreqs, length: tokens.length });
+    this.totalLength += tokens.length;
+  }
+
+  /**
+   * Removes a document from the index.
+   * @param {string|number} id - The document identifier passed to `add`.
+   * @returns {boolean} True if the document was present.
+   */
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return false;
+
+    for (const term of doc.termFreqs.keys()) {
+      const df = this.docFreqs.get(term) - 1;
+      if (df > 0) this.docFreqs.set(term, df);
+      else this.docFreqs.delete(term);
+    }
+    this.totalLength -= doc.length;
+    this.docs.delete(id);
+    return true;
+  }
+
+  /**
+   * Scores every document containing at least one query term.
+   * @param {string[]} queryTokens - The query's terms, as produced by `tokenize`.
+   * @returns {{id: string|number, score: number}[]} Matches sorted by descending score.
+   */
+  search(queryTokens) {
+    const n = this.docs.size;
+    if (n === 0 || queryTokens.length === 0) return [];
+
+    const avgLength = this.totalLength / n;
+    const terms = [...new Set(queryTokens)];
+    const results = [];
+
+    for (const [id, doc] of this.docs) {
+      let score = 0;
+      for (const term of terms) {
+        const tf = doc.termFreqs.get(term);
+        if (!tf) continue;
+        const df = this.docFreqs.get(term);
+        const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+        score += idf * (tf * (this.k1 + 1)) / (tf + this.k1 * (1 - this.b + this.b * (doc.length / avgLength)));
+      }
+      if (score > 0) results.push({ id, score });
+    }
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  toJSON() {
+    return {
+      k1: this.k1,
+      b: this.b,
+      docs: [...this.docs].map(([id, doc]) => [id, [...doc.termFreqs], doc.length]),
+    };
+  }
+
+  /**
+   * Restores an index serialized with `toJSON`.
+   * @param {object} data - The serialized index.
+   * @returns {Bm25Index}
+   */
+  static fromJSON(data) {
+    const index = new Bm25Index({ k1: data.k1, b: data.b });
+    for (const [id, termFreqs, length] of data.docs) {
+      const freqs = new Map(termFreqs);
+      for (const term of freqs.keys()) {
+        index.docFreqs.set(term, (index.docFreqs.get(term) || 0) + 1);
+      }
+      index.docs.set(id, { termFreqs: freqs, length });
+      index.totalLength += length;
+    }
+    return index;
+  }
+}
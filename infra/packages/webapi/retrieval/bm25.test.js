@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Bm25Index } from "./bm25.js";
+import { tokenize } from "./tokenizer.js";
+
+function buildIndex(docs) {
+  const index = new Bm25Index();
+  for (const [id, text] of Object.entries(docs)) index.add(id, tokenize(text));
+  return index;
+}
+
+const DOCS = {
+  vacation: "Employees get 15 vacation days per year. Vacation requests need approval.",
+  health: "The health plan covers medical, dental and vision care.",
+  remote: "Remote work is allowed two days per week with manager approval.",
+};
+
+test("search ranks the document matching the query first", () => {
+  const results = buildIndex(DOCS).search(tokenize("How many vacation days?"));
+  assert.equal(results[0].id, "vacation");
+  assert.ok(results.every((result, i) => i === 0 || results[i - 1].score >= result.score));
+});
+
+test("search returns only documents containing a query term", () => {
+  const index = buildIndex(DOCS);
+  assert.deepEqual(index.search(tokenize("dental")).map(result => result.id), ["health"]);
+  assert.deepEqual(index.search(tokenize("parking")), []);
+  assert.deepEqual(index.search([]), []);
+});
+
+test("rare terms weigh more than common ones", () => {
+  const index = buildIndex(DOCS);
+  // "approval" appears in two documents, "vision" in one
+  const [approval] = index.search(tokenize("approval"));
+  const [vision] = index.search(tokenize("vision"));
+  assert.ok(vision.score > approval.score);
+});
+
+test("add replaces a document with the same id and remove forgets it", () => {
+  const index = buildIndex(DOCS);
+  index.add("health", tokenize("Parking spaces are assigned by the facilities team."));
+  assert.equal(index.size, 3);
+  assert.deepEqual(index.search(tokenize("dental")), []);
+  assert.equal(index.remove("health"), true);
+  assert.equal(index.remove("health"), false);
+  assert.deepEqual(index.search(tokenize("parking")), []);
+  assert.equal(index.totalLength, tokenize(DOCS.vacation).length + tokenize(DOCS.remote).length);
+});
+
+test("toJSON and fromJSON preserve the scores", () => {
+  const index = buildIndex(DOCS);
+  const restored = Bm25Index.fromJSON(JSON.parse(JSON.stringify(index)));
+  const query = tokenize("vacation approval days");
+  assert.deepEqual(restored.search(query), index.search(query));
+});
@@ -0,0 +1,127 @@
+/**
+ * Page- and section-aware chunking.
+ * Chunks never span pages, start afresh at each section heading, and overlap
+ * their predecessor within a section so sentences cut at a boundary stay retrievable.
+ */
+
+/**
+ * Decides whether a line of extracted text is a section heading.
+ * Markdown headings are always recognized; otherwise a heading is a short,
+ * capitalized line without terminal punctuation that is followed by a blank line.
+ * @param {string} line - The trimmed line.
+ * @param {string|undefined} nextLine - The following line, untrimmed.
+ * @returns {string|null} The heading text, or null if the line is body text.
+ */
+export function detectHeading(line, nextLine) {
+  const markdown = /^#{1,6}\s+(.+)$/.exec(line);
+  if (markdown) return markdown[1].trim();
+
+  if (!line || line.length > 60 || nextLine === undefined || nextLine.trim() !== "") return null;
+  if (!/^[A-Z0-9]/.test(line) || /[.,;:!?]/.test(line)) return null;
+  if (line.split(/\s+/).length > 8) return null;
+  return line;
+}
+
+/**
+ * Splits pages into chunks that remember where they came from.
+ * @param {{page: number, text: string}[]} pages - Page texts in reading order (1-based page numbers).
+ * @param {object} [options]
+ * @param {number} [options.chunkSize=2000] - Maximum characters per chunk.
+ * @param {number} [options.overlap=200] - Characters of the previous chunk repeated at the start of the next one.
+ * @param {number} [options.firstId=1] - Id given to the first chunk; ids increase by one.
+ * @param {(line: string, nextLine: string|undefined) => string|null} [options.headingDetector=detectHeading]
+ * @returns {{id: number, page: number, heading: string|null, start: number, end: number, text: string}[]}
+ *   Chunks with `start`/`end` character offsets into their page's text.
+ */
+export function chunkPages(pages, { chunkSize = 2000, overlap = 200, firstId = 1, headingDetector = detectHeading } = {}) {
+  const chunks = [];
+  let nextId = firstId;
+  let heading = null; // Sections carry over page breaks
+
+  for (const { page, text } of pages) {
+    const words = pageWords(text, headingDetector, heading);
+    let current = []; // Words in the chunk being built
+    let length = 0;
+    let hasBody = false;
+
+    const flush = () => {
+      if (current.length === 0) return;
+      chunks.push({
+        id: nextId++,
+        page,
+        heading: current[0].heading,
+        start: current[0].start,
+        end: current[current.length - 1].end,
+        text: current.map(w => w.word).join(" "),
+      });
+    };
+
+    for (const word of words) {
+      if (word.headingStart && hasBody) {
+        // New section: close the current chunk without overlap
+        flush();
+        current = [];
+        length = 0;
+        hasBody = false;
+      } else if (current.length > 0 && length + 1 + word.word.length > chunkSize) {
+        flush();
+        // Carry the tail of the previous chunk over as overlap
+        const carried = [];
+        let carriedLength = 0;
+        for (let i = current.length - 1; i > 0; i--) {
+          const added = current[i].word.length + (carried.length ? 1 : 0);
+          if (carriedLength + added > overlap) break;
+          carried.unshift(current[i]);
+          carriedLength += added;
+        }
+        current = carried;
+        length = carriedLength;
+      }
+
+      length += (current.length ? 1 : 0) + word.word.length;
+      current.push(word);
+      if (!word.isHeading) hasBody = true;
+    }
+    flush();
+
+    // Remember the last heading on this page for the next one
+    if (words.length) heading = words[words.length - 1].heading;
+  }
+
+  return chunks;
+}
+
+/**
+ * Splits a page into words with their character offsets and the heading in effect.
+ * @param {string} text - The page text.
+ * @param {Function} detector - Heading detector, see `detectHeading`.
+ * @param {string|null} initialHeading - The heading in effect at the top of the page.
+ */
+function pageWords(text, detector, initialHeading) {
+  const result = [];
+  const lines = text.split("\n");
+  let offset = 0;
+  let activeHeading = initialHeading;
+
+  lines.forEach((line, i) => {
+    const detected = detector(line.trim(), lines[i + 1]);
+    if (detected) activeHeading = detected;
+
+    const wordPattern = /\S+/g;
+    let match;
+    let first = true;
+    while ((match = wordPattern.exec(line))) {
+      result.push({
+        word: match[0],
+        start: offset + match.index,
+        end: offset + match.index + match[0].length,
+        heading: activeHeading,
+        isHeading: Boolean(detected),
+        headingStart: Boolean(detected) && first,
+      });
+      first = false;
+    }
+    offset += line.length + 1; // +1 for the newline
+  });
+  return result;
+}
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { chunkPages, detectHeading } from "./chunker.js";
+
+const words = (count, prefix = "w") => Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(" ");
+
+test("chunks never span pages and keep their page's offsets", () => {
+  const pages = [{ page: 1, text: "Alpha beta gamma." }, { page: 2, text: "  Delta epsilon." }];
+  const chunks = chunkPages(pages, { chunkSize: 100, overlap: 10 });
+  assert.deepEqual(chunks.map(({ id, page, start, end, text }) => ({ id, page, start, end, text })), [
+    { id: 1, page: 1, start: 0, end: 17, text: "Alpha beta gamma." },
+    { id: 2, page: 2, start: 2, end: 16, text: "Delta epsilon." },
+  ]);
+  assert.equal(pages[1].text.slice(chunks[1].start, chunks[1].end), "Delta epsilon.");
+});
+
+test("long pages are split within the chunk size, each chunk overlapping its predecessor", () => {
+  const text = words(60);
+  const chunks = chunkPages([{ page: 1, text }], { chunkSize: 50, overlap: 12, firstId: 7 });
+  assert.ok(chunks.length > 3);
+  assert.deepEqual(chunks.map(chunk => chunk.id), chunks.map((_, i) => 7 + i));
+
+  for (const [i, chunk] of chunks.entries()) {
+    assert.ok(chunk.text.length <= 50, chunk.text);
+    assert.equal(text.slice(chunk.start, chunk.end), chunk.text);
+    if (i === 0) continue;
+    const previous = chunks[i - 1];
+    // The overlap is the tail of the previous chunk, at most `overlap` characters and never the whole chunk
+    assert.ok(chunk.start > previous.start && chunk.start < previous.end);
+    assert.ok(previous.end - chunk.start <= 12);
+    assert.ok(previous.text.endsWith(text.slice(chunk.start, previous.end)));
+  }
+  assert.equal(chunks.at(-1).end, text.length);
+});
+
+test("without overlap consecutive chunks do not share words", () => {
+  const chunks = chunkPages([{ page: 1, text: words(40) }], { chunkSize: 30, overlap: 0 });
+  for (let i = 1; i < chunks.length; i++) assert.ok(chunks[i].start > chunks[i - 1].end);
+});
+
+test("a section heading starts a new chunk without overlap, and carries over page breaks", () => {
+  const pages = [
+    { page: 1, text: "# Vacation\nEmployees get 15 days.\n# Health\nThe plan covers dental." },
+    { page: 2, text: "And vision." },
+  ];
+  const chunks = chunkPages(pages, { chunkSize: 500, overlap: 100 });
+  assert.deepEqual(chunks.map(({ page, heading, text }) => ({ page, heading, text })), [
+    { page: 1, heading: "Vacation", text: "# Vacation Employees get 15 days." },
+    { page: 1, heading: "Health", text: "# Health The plan covers dental." },
+    { page: 2, heading: "Health", text: "And vision." },
+  ]);
+});
+
+test("detectHeading recognizes short title lines followed by a blank line", () => {
+  assert.equal(detectHeading("## Leave policy", "text"), "Leave policy");
+  assert.equal(detectHeading("Leave Policy", ""), "Leave Policy");
+  assert.equal(detectHeading("Leave Policy", "Body text"), null);
+  assert.equal(detectHeading("Employees get 15 days.", ""), null);
+  assert.equal(detectHeading("lowercase line", ""), null);
+});
@@ -0,0 +1,45 @@
+import { AzureOpenAIEmbeddings } from "@langchain/openai";
+
+/**
+ * Creates the optional embedding backend used for hybrid re-ranking.
+ *
+ * Any object implementing LangChain's Embeddings interface
+ * (`embedDocuments(texts)` and `embedQuery(text)`) can be plugged into
+ * `RetrievalIndex`; this factory wires up Azure OpenAI when an embedding
+ * deployment is configured and returns null otherwise, leaving retrieval
+ * purely lexical and fully offline.
+ * @param {NodeJS.ProcessEnv} [env=process.env] - Environment to read settings from.
+ * @returns {import('@langchain/core/embeddings').Embeddings | null}
+ */
+export function createEmbeddingBackend(env = process.env) {
+  const deploymentName = env.EMBEDDING_DEPLOYMENT_NAME;
+  if (!deploymentName) return null;
+
+  const embeddings = new AzureOpenAIEmbeddings({
+    azureOpenAIApiKey: env.AZURE_INFERENCE_SDK_KEY,
+    azureOpenAIApiInstanceName: env.INSTANCE_NAME,
+    azureOpenAIApiDeploymentName: deploymentName,
+    azureOpenAIApiVersion: env.EMBEDDING_API_VERSION || "2024-02-01",
+    azureOpenAIBasePath: env.AZURE_INFERENCE_SDK_ENDPOINT,
+  });
+  // Identifies the vector space so a persisted index is rebuilt when the model changes
+  embeddings.id = `azure-openai:${deploymentName}`;
+  return embeddings;
+}
+
+/**
+ * Cosine similarity of two equal-length vectors.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} Similarity in [-1, 1], or 0 if either vector is empty.
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
@@ -0,0 +1,144 @@
+import fs from "fs/promises";
+import path from "path";
+import { tokenize } from "./tokenizer.js";
+import { Bm25Index } from "./bm25.js";
+import { cosineSimilarity } from "./embeddings.js";
+
+export { tokenize, stem, STOPWORDS } from "./tokenizer.js";
+export { Bm25Index } from "./bm25.js";
+export { createEmbeddingBackend, cosineSimilarity } from "./embeddings.js";
+
+const INDEX_FORMAT_VERSION = 1;
+
+/**
+ * Ranked retrieval over text chunks.
+ *
+ * BM25 is always used. When an embedding backend is supplied, chunks are also
+ * embedded and results are re-ranked with a weighted blend of the normalized
+ * BM25 score and cosine similarity.
+ */
+export class RetrievalIndex {
+  /**
+   * @param {object} [options]
+   * @param {import('@langchain/core/embeddings').Embeddings | null} [options.embeddings] - Optional vector backend.
+   * @param {number} [options.hybridWeight=0.5] - Weight of the lexical score in hybrid mode (0..1).
+   */
+  constructor({ embeddings = null, hybridWeight = 0.5 } = {}) {
+    this.embeddings = embeddings;
+    this.hybridWeight = hybridWeight;
+    this.lexical = new Bm25Index();
+    this.chunks = new Map(); // id -> chunk object ({ id, text, ... })
+    this.vectors = new Map(); // id -> embedding
+  }
+
+  get size() {
+    return this.chunks.size;
+  }
+
+  /**
+   * Indexes chunks, replacing any chunk with the same id. The chunks are embedded first, so if embedding
+   * fails none of them is added.
+   * @param {{id: number, text: string}[]} chunks - Chunks to index; extra fields are kept and returned by `search`.
+   */
+  async addChunks(chunks) {
+    const vectors = this.embeddings && chunks.length > 0
+      ? await this.embeddings.embedDocuments(chunks.map(chunk => chunk.text))
+      : null;
+    chunks.forEach((chunk, i) => {
+      this.chunks.set(chunk.id, chunk);
+      this.lexical.add(chunk.id, tokenize(chunk.text));
+      if (vectors) this.vectors.set(chunk.id, vectors[i]);
+    });
+  }
+
+  /**
+   * Removes chunks from the index.
+   * @param {number[]} ids - The ids of the chunks to remove.
+   */
+  removeChunks(ids) {
+    for (const id of ids) {
+      this.chunks.delete(id);
+      this.vectors.delete(id);
+      this.lexical.remove(id);
+    }
+  }
+
+  /**
+   * Finds the chunks most relevant to a query.
+   *
+   * In lexical mode `score` is the raw BM25 score. In hybrid mode it is a blend
+   * in [0, 1] of the max-normalized BM25 score and the cosine similarity.
+   * @param {string} query - The user's query string.
+   * @param {object} [options]
+   * @param {number} [options.topK=3] - Maximum number of results.
+   * @param {number} [options.minScore=0] - Results scoring at or below this are dropped.
+   * @param {(chunk: object) => boolean} [options.filter] - Only chunks passing this predicate are returned.
+   * @returns {Promise<{chunk: object, score: number}[]>} Results sorted by descending score.
+   */
+  async search(query, { topK = 3, minScore = 0, filter = null } = {}) {
+    const lexicalResults = this.lexical.search(tokenize(query));
+    let ranked = lexicalResults;
+
+    if (this.embeddings && this.vectors.size > 0) {
+      const queryVector = await this.embeddings.embedQuery(query);
+      const maxLexical = lexicalResults.length ? lexicalResults[0].score : 0;
+      const lexicalById = new Map(lexicalResults.map(r => [r.id, r.score]));
+
+      ranked = [...this.vectors].map(([id, vector]) => {
+        const lexicalScore = maxLexical > 0 ? (lexicalById.get(id) || 0) / maxLexical : 0;
+        const vectorScore = Math.max(0, cosineSimilarity(queryVector, vector));
+        return { id, score: this.hybridWeight * lexicalScore + (1 - this.hybridWeight) * vectorScore };
+      }).sort((a, b) => b.score - a.score);
+    }
+
+    return ranked
+      .filter(r => r.score > minScore && (!filter || filter(this.chunks.get(r.id))))
+      .slice(0, topK)
+      .map(r => ({ chunk: this.chunks.get(r.id), score: r.score }));
+  }
+
+  /**
+   * Writes the index to disk so restarts can skip parsing and embedding.
+   * @param {string} filePath - Destination JSON file.
+   * @param {string} fingerprint - Identifies the source content the index was built from.
+   */
+  async save(filePath, fingerprint) {
+    const data = {
+      version: INDEX_FORMAT_VERSION,
+      fingerprint,
+      embeddingsId: this.embeddings?.id || null,
+      chunks: [...this.chunks.values()],
+      lexical: this.lexical.toJSON(),
+      vectors: [...this.vectors],
+    };
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(data));
+  }
+
+  /**
+   * Loads an index written by `save`.
+   * @param {string} filePath - The persisted JSON file.
+   * @param {string} fingerprint - Must match the fingerprint the index was saved with.
+   * @param {object} [options] - Same options as the constructor.
+   * @returns {Promise<RetrievalIndex|null>} The index, or null if it is missing or stale.
+   */
+  static async load(filePath, fingerprint, options = {}) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch {
+      return null;
+    }
+
+    const embeddingsId = options.embeddings?.id || null;
+    if (data.version !== INDEX_FORMAT_VERSION || data.fingerprint !== fingerprint || data.embeddingsId !== embeddingsId) {
+      return null;
+    }
+
+    const index = new RetrievalIndex(options);
+    index.lexical = Bm25Index.fromJSON(data.lexical);
+    for (const chunk of data.chunks) index.chunks.set(chunk.id, chunk);
+    for (const [id, vector] of data.vectors) index.vectors.set(id, vector);
+    return index;
+  }
+}
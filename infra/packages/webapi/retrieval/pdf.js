@@ -0,0 +1,27 @@
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+
+/**
+ * Extracts the text of each page of a PDF, keeping line breaks so headings can be detected.
+ * @param {Buffer} buffer - The PDF file contents.
+ * @returns {Promise<{page: number, text: string}[]>} Page texts with 1-based page numbers.
+ */
+export async function extractPdfPages(buffer) {
+  const pages = [];
+
+  await pdfParse(buffer, {
+    // Same line reconstruction as pdf-parse's default renderer, but captured per page
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      let lastY;
+      let text = "";
+      for (const item of textContent.items) {
+        text += lastY === item.transform[5] || lastY === undefined ? item.str : "\n" + item.str;
+        lastY = item.transform[5];
+      }
+      pages.push({ page: pageData.pageIndex + 1, text });
+      return text;
+    },
+  });
+
+  return pages.sort((a, b) => a.page - b.page);
+}
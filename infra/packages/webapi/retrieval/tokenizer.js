@@ -0,0 +1,117 @@
+/**
+ * Text analysis for the retrieval index: lowercasing, word splitting,
+ * stopword removal and Porter stemming. Runs fully offline.
+ */
+
+// Common English function words that carry no retrieval signal
+export const STOPWORDS = new Set([
+  "a", "about", "above", "after", "again", "against", "all", "am", "an", "and", "any", "are", "as", "at",
+  "be", "because", "been", "before", "being", "below", "between", "both", "but", "by",
+  "can", "could", "did", "do", "does", "doing", "down", "during",
+  "each", "few", "for", "from", "further", "had", "has", "have", "having", "he", "her", "here", "hers",
+  "herself", "him", "himself", "his", "how", "i", "if", "in", "into", "is", "it", "its", "itself",
+  "just", "me", "more", "most", "my", "myself", "no", "nor", "not", "now",
+  "of", "off", "on", "once", "only", "or", "other", "our", "ours", "ourselves", "out", "over", "own",
+  "same", "she", "should", "so", "some", "such", "than", "that", "the", "their", "theirs", "them",
+  "themselves", "then", "there", "these", "they", "this", "those", "through", "to", "too",
+  "under", "until", "up", "very", "was", "we", "were", "what", "when", "where", "which", "while",
+  "who", "whom", "why", "will", "with", "would", "you", "your", "yours", "yourself", "yourselves",
+]);
+
+const CONSONANT = "[^aeiou]";
+const VOWEL = "[aeiouy]";
+const CONS_SEQ = CONSONANT + "[^aeiouy]*";
+const VOWEL_SEQ = VOWEL + "[aeiou]*";
+
+const MGR0 = new RegExp("^(" + CONS_SEQ + ")?" + VOWEL_SEQ + CONS_SEQ); // m > 0
+const MEQ1 = new RegExp("^(" + CONS_SEQ + ")?" + VOWEL_SEQ + CONS_SEQ + "(" + VOWEL_SEQ + ")?$"); // m = 1
+const MGR1 = new RegExp("^(" + CONS_SEQ + ")?" + VOWEL_SEQ + CONS_SEQ + VOWEL_SEQ + CONS_SEQ); // m > 1
+const HAS_VOWEL = new RegExp("^(" + CONS_SEQ + ")?" + VOWEL);
+// *o: the stem ends consonant-vowel-consonant, where the last consonant is not w, x or y (e.g. -hop, -fil)
+const ENDS_CVC = /[^aeiou][aeiouy][^aeiouwxy]$/;
+
+const STEP2_SUFFIXES = {
+  ational: "ate", tional: "tion", enci: "ence", anci: "ance", izer: "ize", bli: "ble",
+  alli: "al", entli: "ent", eli: "e", ousli: "ous", ization: "ize", ation: "ate",
+  ator: "ate", alism: "al", iveness: "ive", fulness: "ful", ousness: "ous", aliti: "al",
+  iviti: "ive", biliti: "ble", logi: "log",
+};
+
+const STEP3_SUFFIXES = {
+  icate: "ic", ative: "", alize: "al", iciti: "ic", ical: "ic", ful: "", ness: "",
+};
+
+/**
+ * Reduces an English word to its stem using the Porter (1980) algorithm,
+ * so that "payments", "paid" and "paying" share as much of a stem as possible.
+ * @param {string} word - A lowercase word.
+ * @returns {string} The stemmed word.
+ */
+export function stem(word) {
+  if (word.length < 3) return word;
+
+  let w = word;
+  let match;
+  const startsWithY = w[0] === "y";
+  if (startsWithY) w = "Y" + w.slice(1);
+
+  // Step 1a: plurals
+  if ((match = /^(.+?)(ss|i)es$/.exec(w))) w = match[1] + match[2];
+  else if ((match = /^(.+?)([^s])s$/.exec(w))) w = match[1] + match[2];
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MGR0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w))) {
+    const base = match[1];
+    if (HAS_VOWEL.test(base)) {
+      w = base;
+      if (/(at|bl|iz)$/.test(w)) w += "e";
+      else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+      else if (MEQ1.test(w) && ENDS_CVC.test(w)) w += "e";
+    }
+  }
+
+  // Step 1c: terminal y to i
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) w = match[1] + "i";
+
+  // Step 2: double suffixes
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))) {
+    if (MGR0.test(match[1])) w = match[1] + STEP2_SUFFIXES[match[2]];
+  }
+
+  // Step 3: -ic-, -full, -ness
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w))) {
+    if (MGR0.test(match[1])) w = match[1] + STEP3_SUFFIXES[match[2]];
+  }
+
+  // Step 4: remaining suffixes
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (MGR1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MGR1.test(match[1] + match[2])) w = match[1] + match[2];
+  }
+
+  // Step 5: tidy up a final -e and -ll
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MGR1.test(base) || (MEQ1.test(base) && !ENDS_CVC.test(base))) w = base;
+  }
+  if (/ll$/.test(w) && MGR1.test(w)) w = w.slice(0, -1);
+
+  if (startsWithY) w = "y" + w.slice(1);
+  return w;
+}
+
+/**
+ * Splits text into normalized index terms.
+ * Punctuation and regex metacharacters are treated as separators, never as patterns.
+ * @param {string} text - Raw text from a query or a document chunk.
+ * @returns {string[]} Stemmed, stopword-free terms in their original order.
+ */
+export function tokenize(text) {
+  const words = (text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words
+    .filter(word => !STOPWORDS.has(word) && (word.length > 1 || /\d/.test(word)))
+    .map(stem);
+}
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { stem, tokenize } from "./tokenizer.js";
+
+test("stem follows the examples of the Porter paper", () => {
+  const cases = {
+    caresses: "caress", ponies: "poni", cats: "cat", feed: "feed", agreed: "agre",
+    plastered: "plaster", motoring: "motor", sing: "sing", conflated: "conflat", troubled: "troubl",
+    sized: "size", hopping: "hop", falling: "fall", happy: "happi", relational: "relat",
+    generalizations: "gener", probate: "probat", rate: "rate", cease: "ceas", controll: "control", roll: "roll",
+  };
+  for (const [word, expected] of Object.entries(cases)) assert.equal(stem(word), expected, word);
+});
+
+test("stem restores the e of a consonant-vowel-consonant stem", () => {
+  assert.equal(stem("hoping"), "hope");
+  assert.equal(stem("filing"), "file");
+  assert.equal(stem("failing"), "fail"); // vowel-vowel-consonant: no e
+  assert.equal(stem("snowing"), "snow"); // ends in w: no e
+});
+
+test("stem leaves short words alone", () => {
+  assert.equal(stem("is"), "is");
+  assert.equal(stem("pc"), "pc");
+});
+
+test("tokenize lowercases, drops stopwords and stems", () => {
+  assert.deepEqual(tokenize("How many Vacation days do I get?"), ["mani", "vacat", "dai", "get"]);
+});
+
+test("tokenize treats punctuation and regex metacharacters as separators", () => {
+  assert.deepEqual(tokenize("401(k) plan: [a-z]+ .*"), ["401", "plan"]);
+  assert.deepEqual(tokenize(""), []);
+  assert.deepEqual(tokenize(undefined), []);
+});
+
+test("tokenize keeps single digits and letters of other scripts", () => {
+  assert.deepEqual(tokenize("Tier 2 café"), ["tier", "2", "café"]);
+});
@@ -1,5 +1,3 @@
-import { BufferMemory } from "langchain/memory";
-import { ChatMessageHistory } from "langchain/stores/message/in_memory";
 import express from "express";
 import cors from "cors";
 import bodyParser from "body-parser";
@@ -7,10 +5,62 @@ import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import pdfParse from 'pdf-parse/lib/pdf-parse.js';
-import { AzureChatOpenAI } from "@langchain/openai";
 import 'dotenv/config'; // Ensures environment variables from .env are loaded
 import axios from 'axios';
+import multer from 'multer';
+import { createEmbeddingBackend } from './retrieval/index.js';
+import { DocumentStore, UnsupportedDocumentError } from './documents/store.js';
+import { createSessionStore, buildHistory, withSummary, compactSession, estimateTokens, rewindSession } from './sessions/index.js';
+import { ToolRegistry, loadAgentToolDefinitions } from './tools/registry.js';
+import { runToolLoop } from './tools/loop.js';
+import { McpConnector, loadMcpConfig } from './tools/mcp.js';
+import {
+  AttachmentError,
+  attachmentUpload,
+  buildUserContent,
+  contentText,
+  describeAttachments,
+  filesFromJson,
+  loadAttachmentLimits,
+  readAttachments,
+} from './attachments/index.js';
+import { Catalog, buildShopSystemMessage, citedProducts } from './catalog/index.js';
+import { ProfileStore, describeProfile } from './profiles/index.js';
+import {
+  createGuardrails,
+  DEFAULT_POLICY,
+  loadGuardrailPolicy,
+  fenceUntrusted,
+  FENCE_INSTRUCTIONS,
+} from './guardrails/index.js';
+import {
+  Authenticator,
+  AuthError,
+  RateLimiter,
+  TokenQuota,
+  createCorsOptions,
+  loadAuthConfig,
+  rateLimit,
+  requireAuth,
+  requireRole,
+  sendAuthError,
+} from './auth/index.js';
+import {
+  createLogger,
+  createMetrics,
+  requestContext,
+  requestLogging,
+  withSpan,
+} from './observability/index.js';
+import {
+  createResilientChatModel,
+  describeProvider,
+  loadProviderConfig,
+  loadResilienceOptions,
+  ProviderConfigError,
+  ERROR_CODES,
+  toModelCallError,
+} from './providers/index.js';
 
 // Get __filename and __dirname for ES Modules
 const __filename = fileURLToPath(import.meta.url);
@@ -18,143 +68,355 @@ const __dirname = dirname(__filename);
 
 // Define the path to your PDF file. Make sure this path is correct relative to your server.js
 // It assumes the PDF is in a 'data' folder one level up from where server.js is.
+// The handbook is added to the knowledge base the first time the server starts.
 const pdfPath = path.join(__dirname, '..', 'data', 'employee_handbook.pdf');
 
-// --- Environment Variable Checks ---
-// Ensure all necessary environment variables are set
-const azureOpenAIApiKey = process.env.AZURE_INFERENCE_SDK_KEY;
-const azureInstanceName = process.env.INSTANCE_NAME;
-const azureDeploymentName = process.env.DEPLOYMENT_NAME; // e.g., "gpt-4o"
-const azureOpenAIApiVersion = "2024-08-01-preview"; // Or your specific API version
-const azureBasePath = process.env.AZURE_INFERENCE_SDK_ENDPOINT;
-const tavilyApiKey = process.env.TAVILY_API_KEY;
+// The agent definition whose `tools` (e.g. tavily.yaml) are offered to the chat model
+const agentPath = process.env.AGENT_PATH || path.join(__dirname, '..', 'agent', 'my-agent.yaml');
+
+// MCP servers whose tools are offered to the chat model, in the same shape as .aitk/mcp.json
+// (see mcp.example.json). No MCP servers are used if the file does not exist.
+const mcpConfigPath = process.env.MCP_CONFIG_PATH || path.join(__dirname, 'mcp.json');
+
+// Assistant profiles (HR handbook, IT helpdesk, ...) offered by /chat, one YAML file each; reloaded when they change
+const profilesDir = process.env.PROFILES_DIR || path.join(__dirname, '..', 'agent', 'profiles');
+
+// Guardrail policy (see guardrails.example.yaml); the defaults apply if the file does not exist
+const guardrailsPolicyPath = process.env.GUARDRAILS_POLICY_PATH || path.join(__dirname, 'guardrails.yaml');
+
+// Product dataset of the Contoso Outdoor storefront (the site at the repository root), used by the shopping assistant
+const catalogPath = process.env.CATALOG_PATH || path.join(__dirname, '..', '..', '..', 'catalog', 'products.json');
 
-if (!azureOpenAIApiKey || !azureInstanceName || !azureDeploymentName || !azureBasePath || !tavilyApiKey) {
-  console.error("Error: One or more required environment variables are not set.");
-  console.error("Please ensure AZURE_INFERENCE_SDK_KEY, INSTANCE_NAME, DEPLOYMENT_NAME, AZURE_INFERENCE_SDK_ENDPOINT, and TAVILY_API_KEY are configured in your .env file.");
+// Where uploaded documents and the retrieval index are persisted between restarts
+const knowledgeBaseDir = process.env.KNOWLEDGE_BASE_DIR || path.join(__dirname, '.index');
+
+// --- Observability ---
+// JSON log lines (LOG_LEVEL, LOG_FORMAT=pretty for local development), Prometheus metrics on /metrics,
+// and OpenTelemetry spans when @opentelemetry/api and an SDK are installed (see observability/tracing.js)
+const logger = createLogger();
+const metrics = createMetrics();
+
+// Whether the knowledge base can answer questions yet; reported by /readyz
+const knowledgeBaseStatus = { state: "loading", handbook: "pending", error: null };
+
+// --- Model Provider ---
+// MODEL_PROVIDER selects azure-openai (default), azure-inference, github, openai-compatible or mock;
+// see providers/index.js for the variables each one reads. MODEL_PROVIDER=mock runs without any network.
+// Calls time out, retry and fall back to MODEL_FALLBACK_DEPLOYMENTS as configured in providers/resilience.js.
+let modelConfig;
+let chatModel;
+try {
+  modelConfig = loadProviderConfig(process.env, {
+    parameters: {
+      temperature: 1, // Controls randomness of the output
+      maxTokens: 4096, // Maximum number of tokens to generate
+    },
+  });
+  chatModel = createResilientChatModel(modelConfig, {
+    ...loadResilienceOptions(),
+    logger: logger.child({ component: "model" }),
+    onAttempt: recordModelAttempt,
+  });
+} catch (err) {
+  if (!(err instanceof ProviderConfigError)) throw err;
+  logger.error(`${err.message} Please configure them in your .env file, or set MODEL_PROVIDER=mock to run without a model.`);
   process.exit(1); // Exit if critical variables are missing
 }
+logger.info(`Chat model: ${describeProvider(modelConfig)}`, { provider: modelConfig.provider, fallbacks: modelConfig.fallbacks });
 
-// Initialize AzureChatOpenAI model
-const chatModel = new AzureChatOpenAI({
-  azureOpenAIApiKey: azureOpenAIApiKey,
-  azureOpenAIApiInstanceName: azureInstanceName,
-  azureOpenAIApiDeploymentName: azureDeploymentName,
-  azureOpenAIApiVersion: azureOpenAIApiVersion,
-  basePath: azureBasePath,
-  temperature: 1, // Controls randomness of the output
-  maxTokens: 4096, // Maximum number of tokens to generate
+/**
+ * Records the latency, outcome and token usage of each model call (including retries and fallbacks).
+ * @param {{deployment: string, attempt: number, outcome: string, durationMs: number, usage?: object}} attempt
+ */
+function recordModelAttempt({ deployment, attempt, outcome, durationMs, usage }) {
+  metrics.modelCalls.inc({ deployment, outcome });
+  metrics.modelDuration.observe({ deployment }, durationMs / 1000);
+  if (usage) {
+    metrics.modelTokens.inc({ deployment, type: "prompt" }, usage.input_tokens || 0);
+    metrics.modelTokens.inc({ deployment, type: "completion" }, usage.output_tokens || 0);
+  }
+  logger.debug("model call", { deployment, attempt, outcome, durationMs: Math.round(durationMs), usage });
+}
+
+// --- Assistant profiles ---
+// Each profile brings its own prompts, knowledge sources, tools, model options and UI labels (see profiles/index.js).
+// PROFILE_DEFAULT names the profile used when a request does not pick one.
+const profileModels = new Map(); // model settings (see profileModelKey) -> chat model, for profiles with their own
+const profileStore = new ProfileStore(profilesDir, {
+  defaultId: process.env.PROFILE_DEFAULT,
+  logger: logger.child({ component: "profiles" }),
+  onReload: profiles => {
+    profileGuardrails.clear();
+    // Keep the models whose settings are still used, so a reload doesn't reset their circuit breakers
+    const used = new Set(profiles.map(profileModelKey));
+    for (const key of profileModels.keys()) if (!used.has(key)) profileModels.delete(key);
+    logger.info("Assistant profiles loaded", { profiles: profiles.map(profile => profile.id) });
+  },
 });
 
+/**
+ * The chat model for a profile: the server's model, or one with the profile's deployment and options.
+ * @param {import('./profiles/index.js').Profile} profile
+ * @returns {import('./providers/resilience.js').ResilientChatModel}
+ */
+function chatModelFor(profile) {
+  if (!profile.model.id && Object.keys(profile.model.options).length === 0) return chatModel;
+  const key = profileModelKey(profile);
+  if (!profileModels.has(key)) {
+    const config = { ...modelConfig, parameters: { ...modelConfig.parameters, ...profile.model.options } };
+    if (profile.model.id) Object.assign(config, { model: profile.model.id, deployment: profile.model.id });
+    profileModels.set(key, createResilientChatModel(config, {
+      ...loadResilienceOptions(),
+      logger: logger.child({ component: "model", profile: profile.id }),
+      onAttempt: recordModelAttempt,
+    }));
+  }
+  return profileModels.get(key);
+}
+
+// Profiles with the same deployment and options share a model
+function profileModelKey(profile) {
+  return JSON.stringify(profile.model);
+}
+
+// Checks run on the user's message, the retrieved content and the answer; the policy is loaded at startup
+let guardrailsPolicy = DEFAULT_POLICY;
+let guardrails = createGuardrails();
+// The shopping assistant runs the same checks except the topic policy, which is written for the /chat assistants
+let shopGuardrails = createGuardrails(withoutTopicPolicy(DEFAULT_POLICY));
+const profileGuardrails = new Map(); // profile id -> guardrails; cleared when the policy or the profiles change
+
+/**
+ * The guardrails of a profile: the server's policy, with the profile's topic settings over its own, or
+ * without a topic check when the profile turns it off (`topics: false`).
+ * @param {import('./profiles/index.js').Profile} profile
+ * @returns {import('./guardrails/index.js').Guardrails}
+ */
+function guardrailsFor(profile) {
+  if (!profileGuardrails.has(profile.id)) {
+    const policy = profile.topics === false
+      ? withoutTopicPolicy(guardrailsPolicy)
+      : {
+          ...guardrailsPolicy,
+          topics: {
+            ...guardrailsPolicy.topics,
+            ...profile.topics,
+            // A profile can add denied topics, never lift the server's
+            deny: [...(guardrailsPolicy.topics.deny || []), ...(profile.topics?.deny || [])],
+          },
+        };
+    profileGuardrails.set(profile.id, createGuardrails(policy));
+  }
+  return profileGuardrails.get(profile.id);
+}
+
+/**
+ * A copy of a guardrail policy with the topic check turned off.
+ * @param {object} policy
+ * @returns {object}
+ */
+function withoutTopicPolicy(policy) {
+  return { ...policy, checks: { ...policy.checks, topics: false } };
+}
+
+// Web search is optional: without a key the search_tavily tool is simply not offered
+const tavilyApiKey = process.env.TAVILY_API_KEY;
+
+// --- Authentication and limits ---
+// Every route needs an API key (api-keys.json, see api-keys.example.json) or a JWT verified against AUTH_JWKS_PATH;
+// see auth/index.js for the variables. AUTH_DISABLED=true turns this off for local development.
+let authenticator;
+try {
+  authenticator = await new Authenticator(
+    loadAuthConfig(process.env, { apiKeysPath: path.join(__dirname, 'api-keys.json') })
+  ).init();
+} catch (err) {
+  logger.error(err.message);
+  process.exit(1);
+}
+logger.info(`Authentication: ${authenticator.describe()}`);
+
+// Origins allowed to call the API from a browser; "*" allows any
+const CORS_ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS || "http://localhost:5173,http://127.0.0.1:5173")
+  .split(",").map(origin => origin.trim()).filter(Boolean);
+
+// Requests per minute for each IP address and each user, and model tokens per user per UTC day; 0 disables a limit
+const ipRateLimiter = new RateLimiter({ max: Number(process.env.RATE_LIMIT_PER_IP ?? 120) });
+const userRateLimiter = new RateLimiter({ max: Number(process.env.RATE_LIMIT_PER_USER ?? 30) });
+const tokenQuota = new TokenQuota({ dailyTokens: Number(process.env.DAILY_TOKEN_QUOTA ?? 200000) });
+
 // Initialize Express app and middleware
 const app = express();
-app.use(cors()); // Enable CORS for cross-origin requests from your React app
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so per-IP limits see the client's address
+if (process.env.TRUST_PROXY) app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+
+/**
+ * Liveness probe: the process is up and serving requests.
+ */
+app.get("/healthz", (req, res) => {
+  res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+});
+
+/**
+ * Readiness probe: 200 once the knowledge base has loaded and holds at least one chunk, 503 until then
+ * (or if loading failed). The model circuits (the server's, and those of the profiles with their own model
+ * settings that have been used) and MCP servers are reported but don't affect readiness, since chat degrades
+ * gracefully without them.
+ */
+app.get("/readyz", (req, res) => {
+  const ready = knowledgeBaseStatus.state === "ready";
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "ready" : "not_ready",
+    checks: {
+      knowledgeBase: {
+        ...knowledgeBaseStatus,
+        documents: documentStore.list().length,
+        chunks: documentStore.size,
+      },
+      model: chatModel.status(),
+      profileModels: profileStore.list()
+        .filter(profile => profileModels.has(profileModelKey(profile)))
+        .map(profile => ({ profile: profile.id, model: profileModels.get(profileModelKey(profile)).status() })),
+      mcpServers: mcpConnector ? mcpConnector.status() : [],
+    },
+  });
+});
+
+/**
+ * Metrics in the Prometheus text format. Not authenticated, like the probes: restrict it at the network level.
+ */
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(metrics.registry.render());
+});
+
+// Every other request gets a request id and a log line, and is counted
+app.use(requestLogging(logger, (req, res, durationSeconds) => {
+  // Label by route pattern, not path, so ids in URLs don't create a series each
+  const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+  metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  metrics.httpDuration.observe({ method: req.method, route }, durationSeconds);
+}));
+app.use(cors(createCorsOptions(CORS_ALLOWED_ORIGINS))); // Only the allowed origins may call the API from a browser
+app.use(rateLimit(ipRateLimiter, req => req.ip)); // Slow down anyone guessing credentials
+app.use(requireAuth(authenticator)); // Every route below acts on behalf of an authenticated user
+app.use((req, res, next) => {
+  // Later log lines of this request name the user
+  const context = requestContext.getStore();
+  if (context) context.userId = req.user.id;
+  next();
+});
+app.use(rateLimit(userRateLimiter, req => req.user.id));
+// Files attached to chat messages (see attachments/index.js). Only /chat accepts the larger JSON bodies that
+// base64 attachments need; every other route keeps the default 100 KB limit.
+const ATTACHMENT_LIMITS = loadAttachmentLimits();
+app.use("/chat", bodyParser.json({ limit: Math.ceil(ATTACHMENT_LIMITS.maxFiles * ATTACHMENT_LIMITS.maxBytes * 1.4) + 100 * 1024 }));
 app.use(bodyParser.json()); // Parse JSON request bodies
 
-let pdfText = null; // Stores the full text of the PDF
-let pdfChunks = []; // Stores text chunks for RAG
-const CHUNK_SIZE = 2000; // Size of each text chunk
+const CHUNK_SIZE = Number(process.env.CHUNK_SIZE) || 2000; // Maximum size of each text chunk
+const CHUNK_OVERLAP = Number(process.env.CHUNK_OVERLAP ?? 200); // Characters shared by consecutive chunks
+
+// Retrieval settings: how many chunks to return at most, and the score a chunk must beat
+const RETRIEVAL_TOP_K = Number(process.env.RETRIEVAL_TOP_K) || 3;
+const RETRIEVAL_MIN_SCORE = Number(process.env.RETRIEVAL_MIN_SCORE) || 0;
+
+// Largest document accepted by POST /documents
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 20 * 1024 * 1024;
+
+// The knowledge base searched by /chat: uploaded documents plus the seeded employee handbook.
+// Optional vector backend for hybrid re-ranking; null keeps retrieval lexical and offline.
+const documentStore = new DocumentStore({
+  dir: knowledgeBaseDir,
+  chunkSize: CHUNK_SIZE,
+  chunkOverlap: CHUNK_OVERLAP,
+  embeddings: createEmbeddingBackend(),
+  logger: logger.child({ component: "documents" }),
+});
+
+// Keeps the readiness state and the knowledge base gauges current after loading, uploads and removals
+function updateKnowledgeBaseMetrics() {
+  if (knowledgeBaseStatus.state === "ready" || knowledgeBaseStatus.state === "empty") {
+    knowledgeBaseStatus.state = documentStore.size > 0 ? "ready" : "empty";
+  }
+  metrics.knowledgeBaseDocuments.set({}, documentStore.list().length);
+  metrics.knowledgeBaseChunks.set({}, documentStore.size);
+  metrics.knowledgeBaseReady.set({}, knowledgeBaseStatus.state === "ready" ? 1 : 0);
+}
 
 /**
- * Loads and parses the PDF document, then splits it into manageable chunks.
+ * Loads the knowledge base from disk and adds the employee handbook on first run.
+ * The retrieval index is persisted and reused on restart, so documents are only parsed when they are added.
  * This function is called once when the server starts.
  */
-async function loadPDF() {
-  if (pdfText) return pdfText; // Return if PDF is already loaded
-
+async function loadKnowledgeBase() {
   try {
-    // Check if the PDF file exists at the specified path
-    await fs.access(pdfPath, fs.constants.F_OK);
+    await documentStore.init();
   } catch (error) {
-    console.error(`Error: PDF not found at ${pdfPath}. Please ensure 'employee_handbook.pdf' is in the 'data' directory.`);
-    return "PDF not found."; // Return an error message
+    Object.assign(knowledgeBaseStatus, { state: "failed", error: error.message });
+    updateKnowledgeBaseMetrics();
+    throw error;
   }
 
   try {
-    // Read the PDF file as a buffer
-    const dataBuffer = await fs.readFile(pdfPath);
-    // Parse the PDF buffer to extract text
-    const data = await pdfParse(dataBuffer);
-    pdfText = data.text; // Store the full text
-
-    let currentChunk = "";
-    // Split the text into words and iterate to create chunks
-    const words = pdfText.split(/\s+/);
-
-    for (const word of words) {
-      // If adding the next word keeps the chunk within CHUNK_SIZE, add it
-      if ((currentChunk + (currentChunk ? " " : "") + word).length <= CHUNK_SIZE) {
-        currentChunk += (currentChunk ? " " : "") + word;
-      } else {
-        // Otherwise, push the current chunk and start a new one with the current word
-        if (currentChunk) {
-          pdfChunks.push(currentChunk);
-        }
-        currentChunk = word;
-      }
-    }
-    // Add the last chunk if it's not empty
-    if (currentChunk) {
-      pdfChunks.push(currentChunk);
-    }
-
-    console.log(`PDF loaded and chunked. Total chunks: ${pdfChunks.length}`);
-    return pdfText;
+    // Check if the PDF file exists at the specified path
+    await fs.access(pdfPath, fs.constants.F_OK);
+    const seeded = await documentStore.seed(pdfPath);
+    knowledgeBaseStatus.handbook = "loaded";
+    if (seeded) logger.info(`Added ${seeded.name} to the knowledge base`, { document: seeded.name, chunks: seeded.chunks });
   } catch (error) {
-    console.error("Error loading or parsing PDF:", error);
-    return "Error processing PDF.";
+    knowledgeBaseStatus.handbook = "failed";
+    knowledgeBaseStatus.error = `Could not add the employee handbook from ${pdfPath}: ${error.message}`;
+    logger.error(knowledgeBaseStatus.error);
   }
+
+  // Ready as soon as there is something to search, even if the handbook itself failed
+  knowledgeBaseStatus.state = "empty";
+  updateKnowledgeBaseMetrics();
+  logger.info("Knowledge base loaded", { state: knowledgeBaseStatus.state, documents: documentStore.list().length, chunks: documentStore.size });
 }
 
 /**
- * Retrieves relevant content chunks from the loaded PDF based on a query.
- * It performs a simple keyword-based scoring.
+ * Retrieves relevant content chunks from the knowledge base based on a query.
+ * Chunks are ranked with BM25 (and embeddings, if configured) over stemmed, stopword-free terms.
  * @param {string} query - The user's query string.
- * @returns {string[]} An array of relevant text chunks.
+ * @param {object} [options]
+ * @param {number} [options.topK] - Maximum number of chunks to return.
+ * @param {number} [options.minScore] - Only chunks scoring above this are returned.
+ * @param {string[]} [options.documentIds] - Only search these documents; all documents when omitted.
+ * @returns {Promise<{id: number, documentId: string, documentName: string, page: number|null, heading: string|null, start: number, end: number, text: string, score: number}[]>}
+ *   Relevant chunks with their location and score, best first.
  */
-function retrieveRelevantContent(query) {
-  if (!pdfChunks.length) {
-    console.warn("PDF chunks not available for retrieval. Ensure PDF is loaded.");
+async function retrieveRelevantContent(query, { topK = RETRIEVAL_TOP_K, minScore = RETRIEVAL_MIN_SCORE, documentIds } = {}) {
+  if (documentStore.size === 0) {
+    logger.warn("No document chunks available for retrieval. Ensure the knowledge base is loaded.");
+    metrics.retrievals.inc({ hit: "false" });
     return [];
   }
 
-  // Preprocess the query to extract relevant terms
-  const queryTerms = query.toLowerCase()
-    .split(/\s+/) // Split by whitespace
-    .filter(term => term.length > 2) // Filter out short terms (e.g., "a", "is")
-    .map(term => term.replace(/[.,?!;:()"']/g, "")); // Remove punctuation
-
-  if (queryTerms.length === 0) return []; // If no valid terms, return empty
-
-  // Score each chunk based on the number of query term occurrences
-  const scoredChunks = pdfChunks.map(chunk => {
-    const chunkLower = chunk.toLowerCase();
-    let score = 0;
-    for (const term of queryTerms) {
-      // Use a regular expression to find all matches for the term (case-insensitive)
-      const regex = new RegExp(term, 'gi');
-      const matches = chunkLower.match(regex);
-      if (matches) {
-        score += matches.length; // Add the count of matches to the score
-      }
-    }
-    return { chunk, score };
+  return withSpan("retrieval.search", { "retrieval.top_k": topK }, async span => {
+    const results = await documentStore.search(query, { topK, minScore, documentIds });
+    metrics.retrievals.inc({ hit: String(results.length > 0) });
+    metrics.retrievalResults.observe({}, results.length);
+    if (results.length) metrics.retrievalTopScore.observe({}, results[0].score);
+    span?.setAttribute("retrieval.results", results.length);
+    return results.map(({ chunk, score }) => ({ ...chunk, score }));
   });
-
-  // Filter out chunks with zero score, sort by score in descending order, and take top 3
-  return scoredChunks
-    .filter(item => item.score > 0)
-    .sort((a, b) => b.score - a.score)
-    .slice(0, 3) // Limit to top 3 most relevant chunks
-    .map(item => item.chunk); // Return only the text content of the chunks
 }
 
 /**
  * Helper to query Tavily web context for additional information.
  * @param {string} query - The query to send to Tavily.
+ * @param {AbortSignal} [signal] - Cancels the request.
  * @returns {Promise<string|null>} The answer snippet from Tavily, or null if an error occurs.
  */
-async function queryTavily(query) {
+async function queryTavily(query, signal) {
+  return withSpan("search.tavily", {}, async span => {
+    const answer = await searchTavily(query, signal);
+    span?.setAttribute("search.answered", Boolean(answer));
+    return answer;
+  });
+}
+
+async function searchTavily(query, signal) {
   try {
     const res = await axios.post(
       'https://api.tavily.com/search',
@@ -164,133 +426,889 @@ async function queryTavily(query) {
         include_answer: true, // Request an answer snippet
         search_depth: "basic" // Use basic search depth for faster results
       },
-      { headers: { 'Content-Type': 'application/json' } }
+      { headers: { 'Content-Type': 'application/json' }, signal }
     );
     // Return the answer snippet if available, otherwise null
+    metrics.tavilyRequests.inc({ outcome: res.data.answer ? "answer" : "empty" });
     return res.data.answer || null;
   } catch (err) {
-    console.error("Tavily error:", err.message);
+    if (signal?.aborted) {
+      metrics.tavilyRequests.inc({ outcome: "aborted" });
+      return null;
+    }
+    metrics.tavilyRequests.inc({ outcome: "error" });
+    logger.error("Tavily search failed", { error: err.message, status: err.response?.status });
     return null;
   }
 }
 
-// Store session histories to maintain separate chat conversations for different users
-const sessionMemories = {};
+// Tools the chat model may call, loaded from the agent definition at startup
+const toolRegistry = new ToolRegistry();
+
+// Maximum rounds of tool calls per chat turn before the model must answer
+const MAX_TOOL_ITERATIONS = Number(process.env.MAX_TOOL_ITERATIONS ?? 3);
+
+// Functions that run the tools declared in the agent's YAML files, keyed by tool name
+const toolHandlers = {};
+if (tavilyApiKey) {
+  toolHandlers.search_tavily = async ({ query }, { signal }) => (await queryTavily(query, signal)) || "No results found.";
+}
 
 /**
- * Retrieves or creates a Langchain BufferMemory instance for a given session ID.
- * @param {string} sessionId - The unique identifier for the chat session.
- * @returns {BufferMemory} The memory instance for the session.
+ * Registers the tools declared by the agent definition that have a handler in this server.
  */
-function getSessionMemory(sessionId) {
-  if (!sessionMemories[sessionId]) {
-    const history = new ChatMessageHistory(); // Create a new chat message history
-    sessionMemories[sessionId] = new BufferMemory({
-      chatHistory: history,
-      returnMessages: true, // Return messages in Langchain's message format
-      memoryKey: "chat_history", // Key to store chat history in memory variables
-    });
+async function loadTools() {
+  const definitions = await loadAgentToolDefinitions(agentPath);
+  for (const definition of definitions) {
+    const handler = toolHandlers[definition.name];
+    if (!handler) {
+      logger.warn(`Tool "${definition.name}" is declared in ${path.basename(agentPath)} but has no handler; skipping.`);
+      continue;
+    }
+    toolRegistry.register(definition, handler, "agent");
   }
-  return sessionMemories[sessionId];
+  logger.info("Tools loaded", { tools: [...toolRegistry.tools.keys()] });
 }
 
-// --- API Routes ---
+// Connections to the configured MCP servers; their tools are added to the registry as they connect
+let mcpConnector = null;
 
 /**
- * Main chat endpoint for the RAG chatbot.
- * Handles user messages, performs RAG if enabled, and gets responses from the LLM.
+ * Connects to the MCP servers in the MCP configuration and registers their tools.
+ * Unreachable servers are retried in the background and never block or break /chat.
  */
-app.post("/chat", async (req, res) => {
-  const userMessage = req.body.message;
-  // Determine if RAG should be used, defaults to true
-  const useRAG = req.body.useRAG === undefined ? true : req.body.useRAG;
-  const sessionId = req.body.sessionId || "default"; // Use a default session ID if none is provided
+async function connectMcpServers() {
+  const servers = await loadMcpConfig(mcpConfigPath);
+  if (Object.keys(servers).length === 0) return;
 
-  let sources = []; // Array to store retrieved sources
+  mcpConnector = new McpConnector(toolRegistry, servers, { logger: logger.child({ component: "mcp" }) });
+  await mcpConnector.connectAll();
+}
 
-  const memory = getSessionMemory(sessionId); // Get memory for the current session
-  const memoryVars = await memory.loadMemoryVariables({}); // Load existing chat history
+// Store session histories to maintain separate chat conversations for different users.
+// SESSION_STORE selects the in-memory (default) or file-backed store; idle sessions expire after SESSION_TTL_MINUTES.
+const sessionStore = createSessionStore(path.join(__dirname, '.sessions'));
 
-  if (useRAG) {
-    // Retrieve relevant content from the PDF
-    sources = retrieveRelevantContent(userMessage);
+/**
+ * The key a client's session is stored under. Sessions are scoped to the authenticated user,
+ * so two users sending the same session id (such as "default") never share a history.
+ * Both parts are encoded so a "/" in either cannot make two keys collide.
+ * @param {import('./auth/index.js').AuthUser} user
+ * @param {string} sessionId - The session id sent by the client.
+ * @param {string} [scope] - Keeps the sessions of another assistant (such as "shop") apart from /chat's.
+ * @returns {string}
+ */
+function userSessionKey(user, sessionId, scope) {
+  return [user.id, scope, sessionId].filter(part => part !== undefined).map(encodeURIComponent).join("/");
+}
 
-    // Query Tavily for additional web context
-    const tavilySnippet = await queryTavily(userMessage);
-    if (tavilySnippet) {
-      sources.push(`(From Tavily Search)\n${tavilySnippet}`);
-    }
+// Maximum tokens of chat history sent to the model; older turns are summarized instead
+const HISTORY_TOKEN_BUDGET = Number(process.env.HISTORY_TOKEN_BUDGET) || 3000;
+
+// Evict expired sessions periodically without keeping the process alive just for this
+setInterval(() => {
+  sessionStore.prune().catch(err => logger.error("Session pruning failed", { error: err.message }));
+}, 10 * 60 * 1000).unref();
+
+/**
+ * Asks the model to fold older turns into the session's running summary.
+ * @param {string} previousSummary - The summary so far (may be empty).
+ * @param {{role: string, content: string}[]} messages - The turns to fold in, oldest first.
+ * @returns {Promise<string>} The updated summary.
+ */
+async function summarizeHistory(previousSummary, messages) {
+  const transcript = messages.map(m => `${m.role === "user" ? "User" : "Assistant"}: ${m.content}`).join("\n");
+  const response = await chatModel.invoke([
+    {
+      role: "system",
+      content: "You maintain a running summary of a conversation. Merge the existing summary with the new turns into one concise summary. Keep facts, decisions, names and open questions the assistant may need later. Reply with the summary only.",
+    },
+    {
+      role: "user",
+      content: `Existing summary:\n${previousSummary || "(none)"}\n\nNew turns:\n${transcript}`,
+    },
+  ]);
+  return response.content;
+}
+
+/**
+ * Appends a question and its answer to the session, then summarizes older turns in the background if the
+ * history outgrew its budget, so the summary never delays the reply.
+ * @param {string} sessionId - The session's storage key (see `userSessionKey`).
+ * @param {string} userMessage - The user's message.
+ * @param {string} reply - The assistant's answer.
+ */
+async function recordTurn(sessionId, userMessage, reply) {
+  const timestamp = new Date().toISOString();
+  await sessionStore.update(sessionId, session => {
+    session.messages.push(
+      { role: "user", content: userMessage, timestamp },
+      { role: "assistant", content: reply, timestamp },
+    );
+  });
+  summarizeSession(sessionId).catch(err => {
+    // The turns are kept verbatim; buildHistory still trims them to the budget
+    logger.error("Failed to summarize session history", { error: err.message });
+  });
+}
+
+const summarizing = new Set(); // Sessions whose summary is being written
+
+/**
+ * Folds a session's older turns into its summary. The model call runs outside the session update, so turns
+ * recorded meanwhile are kept; the summary is dropped if the folded turns changed in the meantime (e.g. rewound).
+ * @param {string} sessionId - The session's storage key.
+ */
+async function summarizeSession(sessionId) {
+  if (summarizing.has(sessionId)) return;
+  summarizing.add(sessionId);
+  try {
+    const session = await sessionStore.get(sessionId);
+    if (!session) return;
+    const compacted = { summary: session.summary, messages: [...session.messages] };
+    if (!(await compactSession(compacted, summarizeHistory, { budgetTokens: HISTORY_TOKEN_BUDGET }))) return;
+
+    const folded = session.messages.slice(0, session.messages.length - compacted.messages.length);
+    await sessionStore.update(sessionId, (current, existed) => {
+      const unchanged = existed && current.summary === session.summary
+        && folded.every((message, i) => current.messages[i]?.timestamp === message.timestamp
+          && current.messages[i].content === message.content);
+      if (!unchanged) return false;
+      current.summary = compacted.summary;
+      current.messages = current.messages.slice(folded.length);
+    });
+  } finally {
+    summarizing.delete(sessionId);
   }
+}
 
-  // Prepare the system message based on whether RAG is used and if sources are found
-  const systemMessage = useRAG
+// --- API Routes ---
+
+/**
+ * Converts a retrieved chunk into the source object returned to clients.
+ * @param {object} result - A result from `retrieveRelevantContent`.
+ * @returns {{id: number, type: string, documentId: string, document: string, page: number|null, heading: string|null, excerpt: string, score: number}}
+ */
+function toSource(result) {
+  return {
+    id: result.id,
+    type: "handbook",
+    documentId: result.documentId,
+    document: result.documentName,
+    page: result.page,
+    heading: result.heading,
+    excerpt: result.text,
+    score: result.score,
+  };
+}
+
+/**
+ * Formats a source for the system prompt, labelled with the ID the model should cite.
+ * @param {object} source - A source object from `toSource`.
+ * @returns {string} The labelled excerpt.
+ */
+function formatSourceForPrompt(source) {
+  const location = [source.document, source.page && `page ${source.page}`, source.heading].filter(Boolean).join(", ");
+  return `[${source.id}] (${location})\n${fenceUntrusted(source.excerpt)}`;
+}
+
+/**
+ * Converts a product picked from the catalog into a source, numbered after the knowledge base excerpts.
+ * @param {import('./catalog/index.js').Product} product
+ * @param {number} id - The number the model cites it by.
+ * @returns {object} A source shaped like those from `toSource`.
+ */
+function productSource(product, id) {
+  return {
+    id,
+    type: "product",
+    documentId: product.id,
+    document: "Product catalog",
+    page: null,
+    heading: product.name,
+    excerpt: catalog.describe(product),
+    score: null,
+  };
+}
+
+/**
+ * The knowledge base documents a profile may search, narrowed down to those the request asked for.
+ * @param {import('./profiles/index.js').Profile} profile
+ * @param {string[]} [requested] - The request's `documentIds`.
+ * @returns {string[] | undefined} Document ids; undefined to search every document.
+ */
+function profileDocumentIds(profile, requested) {
+  const names = profile.knowledge.documents;
+  if (!names) return requested;
+  const allowed = documentStore.list().filter(doc => names.includes(doc.id) || names.includes(doc.name)).map(doc => doc.id);
+  return requested ? requested.filter(id => allowed.includes(id)) : allowed;
+}
+
+/**
+ * Builds the system message for a chat turn.
+ * @param {import('./profiles/index.js').Profile} profile - The assistant answering.
+ * @param {boolean} useRAG - Whether the answer must be grounded in retrieved sources.
+ * @param {object[]} sources - The retrieved excerpts.
+ * @param {import('./attachments/index.js').Attachment[]} [attachments] - Files attached to the user's message.
+ * @param {boolean} [hasTools=true] - Whether the model is offered any tools.
+ * @returns {{role: string, content: string}} The system message for the LLM.
+ */
+function buildSystemMessage(profile, useRAG, sources, attachments = [], hasTools = true) {
+  const { instructions, fallback, knowledge } = profile;
+  const message = useRAG
     ? {
         role: "system",
         content: sources.length > 0
-          ? `You are a helpful assistant for Contoso Electronics. You must ONLY use the information provided below to answer. If the information is not sufficient, state that you cannot answer based on the provided data.
+          ? `${instructions} You must ONLY use the information provided below${hasTools ? ", or results returned by your tools," : ""} to answer.${hasTools ? " Only call a tool when the excerpts cannot answer the question, for example for current events." : ""} If the information is not sufficient, state that you cannot answer based on the provided data.
+Cite the excerpts you use inline with their ID in square brackets, for example [3]. Only cite IDs listed below.
+${FENCE_INSTRUCTIONS}${hasTools ? " The same applies to tool results." : ""}
 
---- EMPLOYEE HANDBOOK EXCERPTS ---
-${sources.join('\n\n')}
+--- ${knowledge.label.toUpperCase()} EXCERPTS ---
+${sources.map(formatSourceForPrompt).join('\n\n')}
 --- END OF EXCERPTS ---`
-          : `You are a helpful assistant for Contoso Electronics. The provided excerpts do not contain relevant information for this question. Reply politely: "I'm sorry, I don't know. The employee handbook and available search results do not contain information about that."`,
+          : `${instructions} The ${knowledge.label} does not contain relevant information for this question. ${hasTools ? "If it is about current events or other public information, you may answer using results returned by your tools. Otherwise, or if the tools do not help, reply" : "Reply"} politely: "${fallback}"
+${FENCE_INSTRUCTIONS}${hasTools ? " This applies to tool results." : ""}`,
       }
     : {
-        // If RAG is not used, act as a general helpful assistant
+        // If RAG is not used, answer from general knowledge, in the profile's role
         role: "system",
-        content: "You are a helpful and knowledgeable assistant. Answer the user's questions concisely and informatively.",
+        content: `${instructions} Answer the user's questions concisely and informatively.${hasTools ? " Use your tools when a question needs up-to-date information." : ""}
+${FENCE_INSTRUCTIONS}${hasTools ? " This applies to tool results." : ""}`,
       };
+  if (attachments.length > 0) {
+    // Attached files are part of the question, so the excerpts-only rule does not apply to them
+    message.content += `\nThe user attached files to this message (${attachments.map(a => a.name).join(", ")}). Use them to answer as well; the text of attached documents is fenced the same way as other reference material.`;
+  }
+  return message;
+}
+
+/**
+ * Writes a single Server-Sent Event to a streaming response.
+ * @param {import('express').Response} res - The response opened as an event stream.
+ * @param {string} event - The event name (status, sources, tool, token, done or error).
+ * @param {object} data - The JSON-serializable event payload.
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// HTTP status and user-facing message for each model error code sent to clients
+const MODEL_ERRORS = {
+  [ERROR_CODES.TIMEOUT]: { status: 504, message: "The model took too long to respond." },
+  [ERROR_CODES.RATE_LIMITED]: { status: 429, message: "The model is receiving too many requests." },
+  [ERROR_CODES.UNAVAILABLE]: { status: 503, message: "The model is currently unavailable." },
+  [ERROR_CODES.CIRCUIT_OPEN]: { status: 503, message: "The model is temporarily unavailable after repeated failures." },
+  [ERROR_CODES.AUTH_FAILED]: { status: 502, message: "The server could not authenticate with the model provider." },
+  [ERROR_CODES.BAD_REQUEST]: { status: 502, message: "The model rejected the request." },
+  [ERROR_CODES.CONTENT_FILTERED]: { status: 422, message: "The request was blocked by the content filter." },
+  [ERROR_CODES.UNKNOWN]: { status: 500, message: "The model call failed." },
+};
+
+/**
+ * The error payload sent to clients for a failed model call: { error, message, retryAfterSeconds? },
+ * where `error` is one of the codes in providers/resilience.js.
+ * @param {import('./providers/resilience.js').ModelCallError} error - The classified error.
+ * @returns {object}
+ */
+function modelErrorBody(error) {
+  const { message } = MODEL_ERRORS[error.code] || MODEL_ERRORS[ERROR_CODES.UNKNOWN];
+  const body = { error: error.code, message };
+  if (error.retryAfterMs) body.retryAfterSeconds = Math.ceil(error.retryAfterMs / 1000);
+  return body;
+}
+
+/**
+ * Counts a finished chat request and the guardrail verdicts it collected.
+ * @param {string} outcome - ok, blocked, aborted or a model error code.
+ * @param {boolean} stream - Whether the answer was streamed.
+ * @param {object[]} [verdicts] - Guardrail verdicts of the request.
+ */
+function recordChatOutcome(outcome, stream, verdicts = []) {
+  metrics.chatRequests.inc({ outcome, stream: String(stream) });
+  for (const { check, stage, outcome: verdict } of verdicts) {
+    metrics.guardrailVerdicts.inc({ check, stage, outcome: verdict });
+  }
+}
+
+/**
+ * Counts a tool invocation made by the model.
+ * @param {object} step - A step from the tool registry.
+ */
+function recordToolStep(step) {
+  metrics.toolCalls.inc({ tool: step.tool, source: step.source || "unknown", outcome: step.error ? "error" : "success" });
+  metrics.toolDuration.observe({ tool: step.tool }, step.durationMs / 1000);
+  if (step.error) logger.warn(`Tool ${step.tool} failed`, { tool: step.tool, error: step.error });
+}
+
+// Multipart form fields arrive as strings; convert the ones /chat expects as booleans, numbers or JSON
+function parseFormFields(fields) {
+  const flag = value => (value === undefined ? undefined : value === "true");
+  let documentIds;
+  try {
+    documentIds = fields.documentIds ? JSON.parse(fields.documentIds) : undefined;
+  } catch {
+    documentIds = undefined;
+  }
+  return {
+    ...fields,
+    useRAG: flag(fields.useRAG),
+    stream: flag(fields.stream),
+    rewind: fields.rewind ? Number(fields.rewind) : undefined,
+    documentIds,
+  };
+}
+
+/**
+ * Main chat endpoint for the RAG chatbot.
+ * Handles user messages, performs RAG if enabled, and gets responses from the LLM.
+ *
+ * The model decides itself whether to call tools (such as `search_tavily`); each invocation is
+ * reported in `steps` as { tool, source, arguments, result, error }.
+ *
+ * By default the reply is returned as a single JSON object ({ reply, sources, steps }), where each
+ * source is { id, type, documentId, document, page, heading, excerpt, score } and `id` matches the
+ * [n] citations in the reply. An optional `documentIds` array restricts retrieval to those documents.
+ * When the request sets `stream: true` (or accepts `text/event-stream`), the reply is
+ * sent as Server-Sent Events instead:
+ *   - `status`  { stage: "retrieving" | "generating" }
+ *   - `sources` { sources }
+ *   - `tool`    { tool, source, arguments, result, error } after each tool invocation
+ *   - `token`   { token } for every incremental piece of the answer
+ *   - `done`    { reply, sources, steps, guardrails } once the answer is complete
+ *   - `error`   { error, message, retryAfterSeconds? } if the model call fails
+ *
+ * `guardrails` lists the verdict of each guardrail check ({ check, stage, outcome, message?, details? }).
+ * The answer is checked once it is complete, so `done.reply` is the authoritative answer. When the profile's
+ * checks may replace answers (a topic policy with denied topics), tokens are held back and the checked answer
+ * is sent as a single `token` event before `done`; otherwise tokens are streamed unchecked as they arrive.
+ * A message refused by the topic policy (or flagged as an injection attempt when the policy blocks them)
+ * is answered with the policy message without calling the model. The topic policy is the profile's (see
+ * `topics` in its file) over the server's; a profile may turn the topic check off.
+ *
+ * A failed model call is reported with a typed error code (see `modelErrorBody`), and as a JSON
+ * response with the matching HTTP status. If the client disconnects, the model and tool calls are
+ * cancelled and nothing is saved to the session.
+ *
+ * `rewind` (optional) drops that many of the session's latest turns before answering, so a regenerated
+ * answer or an edited question replaces the turns it supersedes.
+ *
+ * Images and documents can be attached to the message, either as multipart/form-data (the fields above,
+ * plus files in "attachments") or as `attachments: [{ name, type, data }]` in base64 in a JSON body.
+ * Images are sent to the model as image content parts, so the model must support vision; the text of
+ * documents is added to this turn's prompt only, and the session just notes the file names. Attachments
+ * that break the limits in attachments/index.js are refused with 400/413 { error: "attachment_rejected" }.
+ *
+ * `profile` (optional) picks the assistant answering, by id (see GET /profiles): its prompts, the knowledge it
+ * searches, the tools it may call and its model settings. Without it the default profile answers; an unknown
+ * id is refused with 400 { error: "unknown_profile" }. A profile without knowledge sources ignores `useRAG`.
+ *
+ * Sessions belong to the authenticated user. The tokens used count against the user's daily quota;
+ * once it is spent, requests are refused with 429 { error: "quota_exceeded" } until midnight UTC.
+ */
+app.post("/chat", attachmentUpload(ATTACHMENT_LIMITS), async (req, res) => {
+  const body = req.is("multipart/form-data") ? parseFormFields(req.body) : req.body;
+  const profile = profileStore.get(body.profile);
+  if (!profile) {
+    return res.status(400).json({ error: "unknown_profile", message: `There is no assistant profile "${body.profile}". See GET /profiles.` });
+  }
+  const checks = guardrailsFor(profile);
+  // Determine if RAG should be used, defaults to true when the profile has knowledge sources
+  const useRAG = profile.knowledge.enabled && (body.useRAG === undefined ? true : body.useRAG);
+  const sessionId = body.sessionId || "default"; // Use a default session ID if none is provided
+  const sessionKey = userSessionKey(req.user, sessionId);
+  const documentIds = Array.isArray(body.documentIds) ? body.documentIds : undefined;
+  // Turns to forget before answering, when the client regenerates an answer or edits an earlier question
+  const rewind = Number.isInteger(body.rewind) && body.rewind > 0 ? body.rewind : 0;
+  const stream = body.stream === true || (req.get("accept") || "").includes("text/event-stream");
+
+  let sources = []; // Array to store retrieved sources
+
+  // Read the attached files before anything else, so a rejected attachment costs no tokens
+  let attachments;
+  try {
+    const files = req.files?.length ? req.files : filesFromJson(body.attachments, ATTACHMENT_LIMITS);
+    attachments = await readAttachments(files, ATTACHMENT_LIMITS);
+  } catch (err) {
+    if (!(err instanceof AttachmentError)) throw err;
+    return res.status(err.status).json({ error: err.code, message: err.message });
+  }
+  for (const attachment of attachments) metrics.chatAttachments.inc({ kind: attachment.kind });
+  // A message may consist of attachments alone
+  const userMessage = body.message || (attachments.length ? "Please look at the attached files." : "");
+
+  // Refuse the request once the user has spent their tokens for the day
+  const quota = tokenQuota.check(req.user.id, req.user.dailyTokenQuota);
+  if (!quota.allowed) {
+    return sendAuthError(new AuthError(429, "quota_exceeded",
+      `Daily token quota of ${quota.limit} reached. It resets at midnight UTC.`,
+      { retryAfterSeconds: quota.resetSeconds }), res);
+  }
+
+  // Cancel the model and tool calls if the client goes away before the answer is complete
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  if (stream) {
+    // Open the event stream before doing any work so the client sees progress immediately
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+  }
+
+  // Drop the turns being regenerated or edited first, so the session matches the client even if the new message is blocked
+  if (rewind) {
+    await sessionStore.update(sessionKey, (current, existed) => existed && rewindSession(current, rewind) > 0);
+  }
+  const session = await sessionStore.get(sessionKey);
+
+  // Check the message before doing anything with it
+  const input = await checks.run("input", userMessage, { sessionId, useRAG });
+  const verdicts = [...input.verdicts];
+  if (input.blocked) {
+    const reply = input.blocked.message;
+    recordChatOutcome("blocked", stream, verdicts);
+    if (stream) {
+      sendEvent(res, "done", { reply, sources, steps: [], guardrails: verdicts });
+      res.end();
+      return;
+    }
+    return res.json({ reply, sources, steps: [], guardrails: verdicts });
+  }
+
+  // Use the session's running summary and as much recent history as fits the token budget
+  const history = buildHistory(session, { budgetTokens: HISTORY_TOKEN_BUDGET });
+
+  if (useRAG) {
+    if (stream) sendEvent(res, "status", { stage: "retrieving" });
+
+    // Retrieve relevant content from the profile's documents, and products if it sells from the catalog
+    const topK = profile.knowledge.topK ?? RETRIEVAL_TOP_K;
+    const scope = profileDocumentIds(profile, documentIds);
+    const results = scope?.length === 0 ? [] : await retrieveRelevantContent(userMessage, { topK, documentIds: scope });
+    sources = results.map(toSource);
+    if (profile.knowledge.catalog && catalog) {
+      const lastId = Math.max(0, ...sources.map(source => source.id));
+      sources.push(...catalog.select(userMessage, { limit: topK }).map((product, i) => productSource(product, lastId + i + 1)));
+    }
+
+    // Neutralize instructions hidden in the excerpts before they reach the prompt
+    const context = await checks.run("context", sources.map(source => ({ id: source.id, text: source.excerpt })));
+    verdicts.push(...context.verdicts);
+    sources = sources.map((source, i) => ({ ...source, excerpt: context.value[i].text }));
+
+    if (stream) sendEvent(res, "sources", { sources });
+  }
+
+  // Tool results (such as web search answers) go through the same checks, and are fenced as untrusted content
+  const formatToolResult = async step => {
+    if (step.error) return `Error: ${step.error}`;
+    const context = await checks.run("context", [{ id: step.tool, text: step.result }]);
+    verdicts.push(...context.verdicts);
+    return fenceUntrusted(context.value[0].text);
+  };
+
+  // The text of attached documents is untrusted too: check it and fence it like the excerpts
+  const documents = attachments.filter(attachment => attachment.kind === "document");
+  if (documents.length) {
+    const context = await checks.run("context", documents.map(doc => ({ id: doc.name, text: doc.text })));
+    verdicts.push(...context.verdicts);
+    documents.forEach((doc, i) => {
+      doc.text = fenceUntrusted(context.value[i].text);
+    });
+  }
+
+  // Hold back the streamed answer when the output checks may refuse it
+  const holdTokens = stream && checks.mayReplace("output");
+
+  // Prepare the system message based on whether RAG is used and if sources are found
+  const toolNames = profile.tools ?? undefined;
+  const systemMessage = withSummary(
+    buildSystemMessage(profile, useRAG, sources, attachments, toolRegistry.definitions(toolNames).length > 0),
+    history.summary,
+  );
 
   try {
     // Build the final messages array for the LLM
     const messages = [
       systemMessage,
-      ...(memoryVars.chat_history || []), // Include previous chat history
-      { role: "user", content: userMessage }, // Add the current user message
+      ...history.messages, // Include previous chat history
+      { role: "user", content: buildUserContent(userMessage, attachments) }, // Add the current user message and its attachments
+    ];
+
+    if (stream) sendEvent(res, "status", { stage: "generating" });
+
+    // Let the model answer, calling tools as it sees fit. When streaming, each token (unless held back
+    // for the output checks) and each tool step is forwarded to the client as soon as it is available.
+    const { reply, steps, usage } = await runToolLoop(chatModelFor(profile), messages, toolRegistry, {
+      toolNames,
+      maxIterations: MAX_TOOL_ITERATIONS,
+      onToken: stream && !holdTokens ? token => sendEvent(res, "token", { token }) : undefined,
+      onStep: step => {
+        recordToolStep(step);
+        if (stream) sendEvent(res, "tool", step);
+      },
+      formatToolResult,
+      signal: controller.signal,
+    });
+
+    // Count the tokens against the user's quota, estimating them if the provider did not report usage
+    tokenQuota.record(req.user.id, usage.total_tokens
+      || estimateTokens(messages.map(message => contentText(message.content)).join("\n") + reply));
+
+    if (controller.signal.aborted) return;
+
+    // Check the answer; a refused answer is replaced by the policy message
+    const output = await checks.run("output", reply, { sources, steps, useRAG });
+    verdicts.push(...output.verdicts);
+    const finalReply = output.value;
+
+    // Save the current interaction to the session, without personal data; attachments are only named
+    const savedMessage = [userMessage, describeAttachments(attachments)].filter(Boolean).join("\n\n");
+    await recordTurn(sessionKey, checks.redact(savedMessage), checks.redact(finalReply));
+    recordChatOutcome(output.blocked ? "blocked" : "ok", stream, verdicts);
+
+    if (stream) {
+      if (holdTokens) sendEvent(res, "token", { token: finalReply });
+      sendEvent(res, "done", { reply: finalReply, sources, steps, guardrails: verdicts });
+      res.end();
+      return;
+    }
+
+    // Send the AI's reply, any sources, the tool steps and the guardrail verdicts back to the client
+    res.json({ reply: finalReply, sources, steps, guardrails: verdicts });
+  } catch (err) {
+    const error = toModelCallError(err);
+    if (error.code === ERROR_CODES.ABORTED || controller.signal.aborted) {
+      recordChatOutcome("aborted", stream);
+      logger.info("Chat request cancelled by the client", { sessionId });
+      return;
+    }
+    recordChatOutcome(error.code, stream);
+    logger.error("Model invocation failed", { code: error.code, error: error.cause ?? error.message });
+
+    const body = modelErrorBody(error);
+    if (stream) {
+      sendEvent(res, "error", body);
+      res.end();
+      return;
+    }
+    if (body.retryAfterSeconds) res.set("Retry-After", String(body.retryAfterSeconds));
+    res.status((MODEL_ERRORS[error.code] || MODEL_ERRORS[ERROR_CODES.UNKNOWN]).status).json({
+      ...body,
+      reply: body.message,
+      sources: [], // Ensure sources array is always present in error response
+      steps: []
+    });
+  }
+});
+
+// --- Shopping assistant ---
+
+// Most products shown to the model per question; larger catalogs are narrowed down to the most relevant ones
+const SHOP_MAX_PRODUCTS = Number(process.env.SHOP_MAX_PRODUCTS) || 20;
+
+// The storefront's product catalog; loaded at startup, and null if it could not be read
+let catalog = null;
+
+/**
+ * The product catalog the shopping assistant answers from, as { currency, categories, products },
+ * so clients can show exactly what the assistant knows.
+ */
+app.get("/catalog", (req, res) => {
+  if (!catalog) {
+    return res.status(503).json({ error: "Catalog unavailable", message: "The product catalog could not be loaded." });
+  }
+  res.json({ currency: catalog.currency, categories: catalog.categories, products: catalog.products });
+});
+
+/**
+ * Shopping assistant of the Contoso Outdoor storefront: answers product questions and recommends products
+ * using the product catalog (CATALOG_PATH) only, without the knowledge base or tools.
+ *
+ * Takes { message, sessionId } and returns { reply, products, currency, guardrails }, where `products` are the catalog
+ * entries the reply cites, each with the `citation` number it is cited by as [n], and `currency` is the catalog's. Answers are checked for
+ * grounding against the catalog entries the model was given.
+ *
+ * Conversations are stored per user like those of /chat, but apart from them, and use the same daily token quota.
+ * Browsers can only call this from the storefront if its origin is listed in CORS_ALLOWED_ORIGINS.
+ */
+app.post("/shop/chat", async (req, res) => {
+  if (!catalog) {
+    return res.status(503).json({ error: "Catalog unavailable", message: "The product catalog could not be loaded." });
+  }
+  const message = typeof req.body.message === "string" ? req.body.message.trim() : "";
+  if (!message) {
+    return res.status(400).json({ error: "No message", message: "Send the question as `message`." });
+  }
+  const sessionId = req.body.sessionId || "default";
+  const sessionKey = userSessionKey(req.user, sessionId, "shop");
+
+  const quota = tokenQuota.check(req.user.id, req.user.dailyTokenQuota);
+  if (!quota.allowed) {
+    return sendAuthError(new AuthError(429, "quota_exceeded",
+      `Daily token quota of ${quota.limit} reached. It resets at midnight UTC.`,
+      { retryAfterSeconds: quota.resetSeconds }), res);
+  }
+
+  const input = await shopGuardrails.run("input", message, { sessionId, useRAG: true });
+  const verdicts = [...input.verdicts];
+  if (input.blocked) {
+    recordShopOutcome("blocked", verdicts);
+    return res.json({ reply: input.blocked.message, products: [], currency: catalog.currency, guardrails: verdicts });
+  }
+
+  // The numbered catalog entries play the part of /chat's excerpts, for the citations and the grounding check
+  const products = catalog.select(message, { limit: SHOP_MAX_PRODUCTS });
+  const sources = products.map((product, i) => ({ id: i + 1, excerpt: catalog.describe(product) }));
+
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    const history = buildHistory(await sessionStore.get(sessionKey), { budgetTokens: HISTORY_TOKEN_BUDGET });
+    const messages = [
+      withSummary(buildShopSystemMessage(catalog, products), history.summary),
+      ...history.messages,
+      { role: "user", content: message },
     ];
+    const response = await chatModel.invoke(messages, { signal: controller.signal });
+    const reply = contentText(response.content);
+    tokenQuota.record(req.user.id, response.usage_metadata?.total_tokens
+      || estimateTokens(messages.map(m => contentText(m.content)).join("\n") + reply));
 
-    // Invoke the chat model with the constructed messages
-    const response = await chatModel.invoke(messages);
+    if (controller.signal.aborted) return;
 
-    // Save the current interaction to memory
-    await memory.saveContext({ input: userMessage }, { output: response.content });
+    const output = await shopGuardrails.run("output", reply, { sources, steps: [], useRAG: true });
+    verdicts.push(...output.verdicts);
+    const finalReply = output.value;
 
-    // Send the AI's reply and any sources back to the client
-    res.json({ reply: response.content, sources });
+    await recordTurn(sessionKey, shopGuardrails.redact(message), shopGuardrails.redact(finalReply));
+    recordShopOutcome(output.blocked ? "blocked" : "ok", verdicts);
+    res.json({
+      reply: finalReply,
+      products: output.blocked ? [] : citedProducts(finalReply, products),
+      currency: catalog.currency,
+      guardrails: verdicts,
+    });
   } catch (err) {
-    console.error("Error during model invocation:", err);
-    res.status(500).json({
-      error: "Model call failed",
-      message: err.message,
-      reply: "Sorry, I encountered an error. Please try again.",
-      sources: [] // Ensure sources array is always present in error response
+    const error = toModelCallError(err);
+    if (error.code === ERROR_CODES.ABORTED || controller.signal.aborted) {
+      recordShopOutcome("aborted");
+      return;
+    }
+    recordShopOutcome(error.code);
+    logger.error("Shopping assistant model invocation failed", { code: error.code, error: error.cause ?? error.message });
+
+    const body = modelErrorBody(error);
+    if (body.retryAfterSeconds) res.set("Retry-After", String(body.retryAfterSeconds));
+    res.status((MODEL_ERRORS[error.code] || MODEL_ERRORS[ERROR_CODES.UNKNOWN]).status).json({
+      ...body,
+      reply: body.message,
+      products: [],
     });
   }
 });
 
+/**
+ * Counts a finished shopping assistant request and the guardrail verdicts it collected.
+ * @param {string} outcome - ok, blocked, aborted or a model error code.
+ * @param {object[]} [verdicts] - Guardrail verdicts of the request.
+ */
+function recordShopOutcome(outcome, verdicts = []) {
+  metrics.shopRequests.inc({ outcome });
+  for (const { check, stage, outcome: verdict } of verdicts) {
+    metrics.guardrailVerdicts.inc({ check, stage, outcome: verdict });
+  }
+}
+
+/**
+ * Loads the product catalog; the shopping assistant answers 503 until it has loaded.
+ */
+async function loadCatalog() {
+  catalog = await Catalog.load(catalogPath);
+  logger.info(`Product catalog loaded with ${catalog.products.length} products`, { path: catalogPath });
+}
+
+/**
+ * Returns a session's running summary and its recent turns so a client can resume the conversation.
+ * Only the user's own sessions are visible.
+ */
+app.get("/sessions/:id/history", async (req, res) => {
+  const session = await sessionStore.get(userSessionKey(req.user, req.params.id));
+  if (!session) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  res.json({
+    id: req.params.id,
+    summary: session.summary,
+    messages: session.messages,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+  });
+});
+
+/**
+ * Deletes a session so the next message starts a fresh conversation.
+ */
+app.delete("/sessions/:id", async (req, res) => {
+  const deleted = await sessionStore.delete(userSessionKey(req.user, req.params.id));
+  if (!deleted) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  res.status(204).end();
+});
+
+// Uploaded documents are kept in memory until they are ingested
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+});
+
+/**
+ * Uploads a document (multipart field "file") and ingests it into the knowledge base.
+ * Accepts PDF, Markdown, plain text, HTML and DOCX. The knowledge base is shared, so this requires the "admin" role.
+ */
+app.post("/documents", requireRole(authenticator, "admin"), upload.single("file"), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "No file uploaded", message: 'Send the document as multipart form field "file".' });
+  }
+
+  try {
+    const document = await documentStore.add(req.file);
+    updateKnowledgeBaseMetrics();
+    logger.info("Document added", { documentId: document.id, document: document.name, chunks: document.chunks });
+    res.status(201).json(document);
+  } catch (err) {
+    if (err instanceof UnsupportedDocumentError) {
+      return res.status(415).json({ error: "Unsupported document type", message: err.message });
+    }
+    logger.error("Error ingesting document", { document: req.file.originalname, error: err });
+    res.status(422).json({ error: "Document could not be processed", message: err.message });
+  }
+});
+
+/**
+ * Lists the documents in the knowledge base.
+ */
+app.get("/documents", (req, res) => {
+  res.json({ documents: documentStore.list() });
+});
+
+/**
+ * Removes a document and its chunks from the knowledge base. Requires the "admin" role.
+ */
+app.delete("/documents/:id", requireRole(authenticator, "admin"), async (req, res) => {
+  const removed = await documentStore.remove(req.params.id);
+  if (!removed) {
+    return res.status(404).json({ error: "Document not found" });
+  }
+  updateKnowledgeBaseMetrics();
+  logger.info("Document removed", { documentId: req.params.id });
+  res.status(204).end();
+});
+
+/**
+ * Lists the assistant profiles /chat offers, with their UI labels (but not their prompts), and the default one.
+ * Profile files are reloaded as they change, so clients may fetch this again at any time.
+ */
+app.get("/profiles", (req, res) => {
+  res.json({ default: profileStore.default.id, profiles: profileStore.list().map(describeProfile) });
+});
+
+/**
+ * Lists the tools the chat model can call and the status of each MCP server.
+ */
+app.get("/tools", (req, res) => {
+  res.json({
+    tools: [...toolRegistry.tools.values()].map(({ definition, source }) => ({
+      name: definition.name,
+      description: definition.description,
+      source,
+    })),
+    mcpServers: mcpConnector ? mcpConnector.status() : [],
+  });
+});
+
 /**
  * An endpoint for direct Tavily search.
- * (Note: The current React app calls `queryTavily` directly within the /chat route,
- * so this endpoint might be for future expansion or direct tool usage).
+ * (Note: /chat lets the model call `search_tavily` through the tool registry,
+ * so this endpoint is for direct tool usage by other clients).
+ * Answers 400 without a `parameters.query` string, and 503 when TAVILY_API_KEY is not set.
  */
 app.post('/tools/search_tavily', async (req, res) => {
-  const { query } = req.body.parameters;
-  console.log("[Tavily route hit] Query received:", query);
+  const query = req.body?.parameters?.query;
+  if (typeof query !== "string" || !query.trim()) {
+    return res.status(400).json({ error: "No query", message: "Send the search as `parameters.query`." });
+  }
+  if (!tavilyApiKey) {
+    return res.status(503).json({ error: "Search unavailable", message: "Web search is not configured on this server (TAVILY_API_KEY)." });
+  }
+  logger.info("Tavily search requested", { query: guardrails.redact(query || "") });
   const result = await queryTavily(query); // Call the helper function
-  console.log("[Tavily result]:", result);
+  logger.debug("Tavily search result", { result: result && guardrails.redact(result) });
   res.json({ result });
 });
 
+// Report upload limit violations from multer as client errors, and refused requests and attachments with their status
+app.use((err, req, res, next) => {
+  if (err instanceof AuthError) {
+    return sendAuthError(err, res);
+  }
+  if (err instanceof AttachmentError) {
+    return res.status(err.status).json({ error: err.code, message: err.message });
+  }
+  if (err instanceof multer.MulterError) {
+    const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+    return res.status(status).json({ error: "Upload rejected", message: err.message });
+  }
+  next(err);
+});
 
 // Define the port for the server to listen on
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
-  console.log(`AI API server running on port ${PORT}`);
-  // Attempt to load the PDF when the server starts
-  loadPDF()
-    .then(() => {
-      console.log("Initial PDF loading attempt complete.");
+  logger.info(`AI API server running on port ${PORT}`, { port: Number(PORT) });
+  // Load the tool definitions, then connect to MCP servers; chat still works without tools if this fails
+  loadTools()
+    .catch((err) => {
+      logger.error("Failed to load tools", { error: err });
     })
+    .then(connectMcpServers)
+    .catch((err) => {
+      logger.error("Failed to connect to MCP servers", { error: err });
+    });
+  // Load the guardrail policy; the built-in defaults stay in place if it cannot be read
+  loadGuardrailPolicy(guardrailsPolicyPath)
+    .then((policy) => {
+      guardrailsPolicy = policy;
+      guardrails = createGuardrails(policy);
+      profileGuardrails.clear();
+      shopGuardrails = createGuardrails(withoutTopicPolicy(policy));
+    })
+    .catch((err) => {
+      logger.error("Failed to load the guardrail policy", { error: err });
+    });
+  // Load the assistant profiles and reload them when their files change; the built-in profile answers until then
+  profileStore.load()
+    .then(() => profileStore.watch())
+    .catch((err) => {
+      logger.error("Failed to load the assistant profiles", { error: err.message });
+    });
+  // Load the product catalog for the shopping assistant; /catalog and /shop/chat answer 503 without it
+  loadCatalog()
+    .catch((err) => {
+      logger.error("Failed to load the product catalog", { error: err.message });
+    });
+  // Attempt to load the knowledge base when the server starts
+  loadKnowledgeBase()
     .catch((err) => {
-      console.error("Failed initial PDF load:", err);
+      logger.error("Failed initial knowledge base load", { error: err });
     });
 });
\ No newline at end of file
@@ -0,0 +1,118 @@
+/**
+ * Token-budget-aware chat history: recent turns are sent verbatim, older turns
+ * are folded into a running summary instead of being dropped or overflowing the context window.
+ */
+
+/**
+ * Roughly estimates how many tokens a text uses (about four characters per token for English).
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+function messagesTokens(messages) {
+  // A few tokens of overhead per message for the role and separators
+  return messages.reduce((total, message) => total + estimateTokens(message.content) + 4, 0);
+}
+
+/**
+ * Assembles the history to send to the model for a session: the running summary (if any), and as many of
+ * the most recent turns as fit in the budget once the summary is counted.
+ * @param {import('./stores.js').Session|null} session
+ * @param {object} [options]
+ * @param {number} [options.budgetTokens=3000] - Maximum tokens of history to send.
+ * @returns {{summary: string, messages: {role: string, content: string}[]}} The summary, for `withSummary`,
+ *   and the messages to place between the system prompt and the new user message.
+ */
+export function buildHistory(session, { budgetTokens = 3000 } = {}) {
+  if (!session) return { summary: "", messages: [] };
+
+  let remaining = budgetTokens - (session.summary ? messagesTokens([{ content: summaryText(session.summary) }]) : 0);
+  const recent = [];
+  for (let i = session.messages.length - 1; i >= 0; i--) {
+    const { role, content } = session.messages[i];
+    const cost = messagesTokens([{ content }]);
+    if (cost > remaining) break;
+    recent.unshift({ role, content });
+    remaining -= cost;
+  }
+
+  return { summary: session.summary || "", messages: recent };
+}
+
+function summaryText(summary) {
+  return `Summary of the earlier conversation:\n${summary}`;
+}
+
+/**
+ * Appends a session's running summary to the system message. Providers expect a single system message
+ * at the start of the conversation, so the summary is not sent as a message of its own.
+ * @param {{role: "system", content: string}} systemMessage
+ * @param {string} summary - From `buildHistory`; the system message is returned as is when empty.
+ * @returns {{role: "system", content: string}}
+ */
+export function withSummary(systemMessage, summary) {
+  if (!summary) return systemMessage;
+  return { ...systemMessage, content: `${systemMessage.content}\n\n${summaryText(summary)}` };
+}
+
+/**
+ * Folds the oldest turns of a session into its running summary once its history exceeds the budget.
+ * Leaves the newest turns untouched so the next request still sees them verbatim.
+ * @param {import('./stores.js').Session} session - Modified in place.
+ * @param {(previousSummary: string, messages: {role: string, content: string}[]) => Promise<string>} summarize
+ *   Produces the new summary from the previous one and the turns being folded in.
+ * @param {object} [options]
+ * @param {number} [options.budgetTokens=3000] - History budget, as passed to `buildHistory`.
+ * @param {number} [options.keepRecent=4] - Minimum number of recent messages never summarized.
+ * @returns {Promise<boolean>} True if the session was compacted.
+ */
+export async function compactSession(session, summarize, { budgetTokens = 3000, keepRecent = 4 } = {}) {
+  const total = estimateTokens(session.summary) + messagesTokens(session.messages);
+  if (total <= budgetTokens || session.messages.length <= keepRecent) return false;
+
+  // Summarize from the oldest turn until what remains fits comfortably in half the budget
+  const target = budgetTokens / 2;
+  let foldCount = 0;
+  let remainingTokens = messagesTokens(session.messages);
+  while (foldCount < session.messages.length - keepRecent && remainingTokens > target) {
+    remainingTokens -= messagesTokens([session.messages[foldCount]]);
+    foldCount++;
+  }
+  // Fold whole turns, so the kept history starts with a question rather than an orphan answer:
+  // fold up to the next question if that leaves `keepRecent` messages, else stop at the previous one
+  const startsTurn = i => i >= session.messages.length || session.messages[i].role === "user";
+  let end = foldCount;
+  while (end < session.messages.length - keepRecent && !startsTurn(end)) end++;
+  if (!startsTurn(end)) {
+    end = foldCount;
+    while (end > 0 && !startsTurn(end)) end--;
+  }
+  foldCount = end;
+  if (foldCount === 0) return false;
+
+  const folded = session.messages.slice(0, foldCount).map(({ role, content }) => ({ role, content }));
+  session.summary = await summarize(session.summary, folded);
+  session.messages = session.messages.slice(foldCount);
+  return true;
+}
+
+/**
+ * Forgets the most recent turns of a session, e.g. before an answer is regenerated or an earlier question is edited.
+ * Turns already folded into the summary cannot be taken back and stay in it.
+ * @param {import('./stores.js').Session} session - Modified in place.
+ * @param {number} turns - How many question/answer pairs to drop, newest first.
+ * @returns {number} How many turns were dropped.
+ */
+export function rewindSession(session, turns) {
+  let dropped = 0;
+  while (dropped < turns && session.messages.length >= 2) {
+    const [question, answer] = session.messages.slice(-2);
+    if (question.role !== "user" || answer.role !== "assistant") break;
+    session.messages.splice(-2);
+    dropped++;
+  }
+  return dropped;
+}
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildHistory, withSummary, compactSession, rewindSession } from "./history.js";
+import { createSession } from "./stores.js";
+
+function sessionWith(turns, text = "x".repeat(100)) {
+  const session = createSession("s");
+  for (let i = 1; i <= turns; i++) {
+    session.messages.push({ role: "user", content: `Q${i} ${text}` }, { role: "assistant", content: `A${i} ${text}` });
+  }
+  return session;
+}
+
+const summarizeAll = async (previous, messages) => [previous, ...messages.map(m => m.content.split(" ")[0])].filter(Boolean).join(",");
+
+test("buildHistory keeps the newest turns that fit the budget", () => {
+  const { summary, messages } = buildHistory(sessionWith(5), { budgetTokens: 130 });
+  assert.equal(summary, "");
+  assert.deepEqual(messages.map(m => m.content.split(" ")[0]), ["Q4", "A4", "Q5", "A5"]);
+  assert.deepEqual(buildHistory(null), { summary: "", messages: [] });
+});
+
+test("withSummary appends the summary to the system message", () => {
+  const system = { role: "system", content: "Be helpful." };
+  assert.equal(withSummary(system, ""), system);
+  assert.equal(withSummary(system, "Asked about vacation.").content, "Be helpful.\n\nSummary of the earlier conversation:\nAsked about vacation.");
+});
+
+test("compactSession folds whole turns into the summary", async () => {
+  // With a budget of 200 tokens, folding stops after an odd number of messages without the turn alignment
+  for (const budgetTokens of [150, 200, 250, 300]) {
+    const session = sessionWith(6);
+    assert.equal(await compactSession(session, summarizeAll, { budgetTokens }), true);
+    assert.equal(session.messages[0].role, "user", `budget ${budgetTokens}`);
+    assert.equal(session.messages.length % 2, 0);
+    assert.ok(session.messages.length >= 4);
+    assert.equal(session.summary.split(",").length + session.messages.length, 12);
+  }
+});
+
+test("compactSession leaves a session within its budget alone", async () => {
+  const session = sessionWith(2);
+  assert.equal(await compactSession(session, summarizeAll, { budgetTokens: 3000 }), false);
+  assert.equal(session.messages.length, 4);
+});
+
+test("rewindSession drops the newest question and answer pairs", () => {
+  const session = sessionWith(3);
+  assert.equal(rewindSession(session, 2), 2);
+  assert.deepEqual(session.messages.map(m => m.content.split(" ")[0]), ["Q1", "A1"]);
+  assert.equal(rewindSession(session, 5), 1);
+});
@@ -0,0 +1,28 @@
+import path from "path";
+import { MemorySessionStore, FileSessionStore } from "./stores.js";
+
+export { MemorySessionStore, FileSessionStore, createSession } from "./stores.js";
+export { buildHistory, withSummary, compactSession, estimateTokens, rewindSession } from "./history.js";
+
+/**
+ * Creates the session store selected by the environment.
+ *   SESSION_STORE        - "memory" (default) or "file"
+ *   SESSION_DIR          - directory for the file store
+ *   SESSION_TTL_MINUTES  - idle sessions are evicted after this long; 0 disables eviction
+ * @param {string} defaultDir - Directory used by the file store when SESSION_DIR is not set.
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @returns {MemorySessionStore|FileSessionStore}
+ */
+export function createSessionStore(defaultDir, env = process.env) {
+  const ttlMs = Number(env.SESSION_TTL_MINUTES ?? 24 * 60) * 60 * 1000;
+  const type = (env.SESSION_STORE || "memory").toLowerCase();
+
+  switch (type) {
+    case "memory":
+      return new MemorySessionStore({ ttlMs });
+    case "file":
+      return new FileSessionStore({ dir: path.resolve(env.SESSION_DIR || defaultDir), ttlMs });
+    default:
+      throw new Error(`Unknown SESSION_STORE "${env.SESSION_STORE}". Use "memory" or "file".`);
+  }
+}
@@ -0,0 +1,233 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * A chat session as kept by the session stores.
+ * @typedef {object} Session
+ * @property {string} id - The client-supplied session id.
+ * @property {string} summary - Running summary of turns that no longer fit in the history budget.
+ * @property {{role: string, content: string, timestamp: string}[]} messages - Turns not yet folded into the summary.
+ * @property {string} createdAt - ISO timestamp.
+ * @property {string} updatedAt - ISO timestamp of the last write; drives TTL eviction.
+ */
+
+/**
+ * Creates an empty session.
+ * @param {string} id - The session id.
+ * @returns {Session}
+ */
+export function createSession(id) {
+  const now = new Date().toISOString();
+  return { id, summary: "", messages: [], createdAt: now, updatedAt: now };
+}
+
+function isExpired(session, ttlMs, now = Date.now()) {
+  return ttlMs > 0 && now - Date.parse(session.updatedAt) > ttlMs;
+}
+
+/**
+ * Runs tasks one at a time per key, in the order they were queued.
+ */
+class KeyedQueue {
+  constructor() {
+    this.tails = new Map(); // key -> promise settled when the key's last queued task is done
+  }
+
+  /**
+   * @template T
+   * @param {string} key
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>} The task's result.
+   */
+  run(key, task) {
+    const result = (this.tails.get(key) || Promise.resolve()).then(task);
+    const tail = result.catch(() => {});
+    this.tails.set(key, tail);
+    tail.then(() => {
+      if (this.tails.get(key) === tail) this.tails.delete(key);
+    });
+    return result;
+  }
+}
+
+/**
+ * Read-modify-write of a session, queued behind the other updates and deletions of the same session.
+ * @param {MemorySessionStore|FileSessionStore} store
+ * @param {string} id
+ * @param {(session: Session, existed: boolean) => boolean|void|Promise<boolean|void>} change - Modifies the session
+ *   (a new one if it does not exist); returning false leaves the store untouched.
+ * @returns {Promise<Session|null>} The saved session, or null when nothing was saved.
+ */
+function updateSession(store, id, change) {
+  return store.queue.run(id, async () => {
+    const existing = await store.get(id);
+    const session = existing || createSession(id);
+    if ((await change(session, Boolean(existing))) === false) return null;
+    await store.set(session);
+    return session;
+  });
+}
+
+/**
+ * Keeps sessions in process memory. Fast, but lost on restart.
+ */
+export class MemorySessionStore {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.ttlMs=0] - Sessions idle for longer than this are evicted; 0 keeps them forever.
+   */
+  constructor({ ttlMs = 0 } = {}) {
+    this.ttlMs = ttlMs;
+    this.sessions = new Map();
+    this.queue = new KeyedQueue();
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Session|null>} The session, or null if it does not exist or has expired.
+   */
+  async get(id) {
+    const session = this.sessions.get(id);
+    if (!session) return null;
+    if (isExpired(session, this.ttlMs)) {
+      this.sessions.delete(id);
+      return null;
+    }
+    return structuredClone(session);
+  }
+
+  /**
+   * @param {Session} session - The session to store; its `updatedAt` is refreshed.
+   */
+  async set(session) {
+    session.updatedAt = new Date().toISOString();
+    this.sessions.set(session.id, structuredClone(session));
+  }
+
+  /**
+   * Changes a session without losing concurrent changes: updates of the same session run one after the other.
+   * Use it instead of `get` and `set` whenever the session is modified.
+   * @param {string} id
+   * @param {(session: Session, existed: boolean) => boolean|void|Promise<boolean|void>} change - Modifies the session
+   *   in place (a new, empty one if it does not exist); returning false skips saving it.
+   * @returns {Promise<Session|null>} The saved session, or null when `change` returned false.
+   */
+  update(id, change) {
+    return updateSession(this, id, change);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>} True if the session existed.
+   */
+  async delete(id) {
+    return this.queue.run(id, async () => this.sessions.delete(id));
+  }
+
+  /**
+   * Evicts expired sessions.
+   * @returns {Promise<number>} How many sessions were evicted.
+   */
+  async prune() {
+    let evicted = 0;
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (isExpired(session, this.ttlMs, now)) {
+        this.sessions.delete(id);
+        evicted++;
+      }
+    }
+    return evicted;
+  }
+}
+
+/**
+ * Keeps each session in its own JSON file so conversations survive restarts.
+ */
+export class FileSessionStore {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Directory for the session files.
+   * @param {number} [options.ttlMs=0] - Sessions idle for longer than this are evicted; 0 keeps them forever.
+   */
+  constructor({ dir, ttlMs = 0 }) {
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+    // Updates are only serialized within this process: several servers must not share the directory
+    this.queue = new KeyedQueue();
+  }
+
+  // Session ids come from clients, so they are hashed rather than used as file names
+  _filePath(id) {
+    const name = crypto.createHash("sha256").update(id).digest("hex");
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  async get(id) {
+    let session;
+    try {
+      session = JSON.parse(await fs.readFile(this._filePath(id), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+    if (isExpired(session, this.ttlMs)) {
+      await this._unlink(id);
+      return null;
+    }
+    return session;
+  }
+
+  async set(session) {
+    session.updatedAt = new Date().toISOString();
+    await fs.mkdir(this.dir, { recursive: true });
+    // Write then rename so a crash never leaves a half-written session behind
+    const filePath = this._filePath(session.id);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(session));
+    await fs.rename(tempPath, filePath);
+  }
+
+  update(id, change) {
+    return updateSession(this, id, change);
+  }
+
+  async delete(id) {
+    return this.queue.run(id, () => this._unlink(id));
+  }
+
+  async _unlink(id) {
+    try {
+      await fs.unlink(this._filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  }
+
+  async prune() {
+    if (this.ttlMs <= 0) return 0;
+
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === "ENOENT") return 0;
+      throw error;
+    }
+
+    let evicted = 0;
+    const now = Date.now();
+    for (const file of files.filter(f => f.endsWith(".json"))) {
+      const filePath = path.join(this.dir, file);
+      const { mtimeMs } = await fs.stat(filePath);
+      if (now - mtimeMs > this.ttlMs) {
+        await fs.rm(filePath, { force: true });
+        evicted++;
+      }
+    }
+    return evicted;
+  }
+}
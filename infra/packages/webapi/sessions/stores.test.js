@@ -0,0 +1,102 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { FileSessionStore, MemorySessionStore } from "./stores.js";
+
+const temporaryDirs = [];
+after(() => Promise.all(temporaryDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+async function temporaryDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sessions-test-"));
+  temporaryDirs.push(dir);
+  return dir;
+}
+
+const HOUR = 60 * 60 * 1000;
+
+async function fileStore(options = {}) {
+  return new FileSessionStore({ dir: await temporaryDir(), ...options });
+}
+
+// Makes a stored session look idle since `ms` ago
+async function age(store, id, ms) {
+  const updatedAt = new Date(Date.now() - ms);
+  if (store instanceof MemorySessionStore) {
+    store.sessions.get(id).updatedAt = updatedAt.toISOString();
+    return;
+  }
+  const filePath = store._filePath(id);
+  const session = JSON.parse(await fs.readFile(filePath, "utf8"));
+  await fs.writeFile(filePath, JSON.stringify({ ...session, updatedAt: updatedAt.toISOString() }));
+  await fs.utimes(filePath, updatedAt, updatedAt);
+}
+
+for (const [name, createStore] of [["memory", async options => new MemorySessionStore(options)], ["file", fileStore]]) {
+  test(`${name} store: sessions idle for longer than the TTL expire`, async () => {
+    const store = await createStore({ ttlMs: HOUR });
+    await store.update("fresh", session => { session.summary = "fresh"; });
+    await store.update("stale", session => { session.summary = "stale"; });
+    await age(store, "stale", 2 * HOUR);
+
+    assert.equal((await store.get("fresh")).summary, "fresh");
+    assert.equal(await store.get("stale"), null);
+    assert.equal(await store.delete("stale"), false);
+  });
+
+  test(`${name} store: prune evicts expired sessions only`, async () => {
+    const store = await createStore({ ttlMs: HOUR });
+    for (const id of ["a", "b", "c"]) await store.update(id, () => {});
+    await age(store, "a", 2 * HOUR);
+    await age(store, "b", 3 * HOUR);
+
+    assert.equal(await store.prune(), 2);
+    assert.ok(await store.get("c"));
+    assert.equal(await store.prune(), 0);
+  });
+
+  test(`${name} store: without a TTL sessions never expire`, async () => {
+    const store = await createStore();
+    await store.update("old", () => {});
+    await age(store, "old", 1000 * HOUR);
+    assert.ok(await store.get("old"));
+    assert.equal(await store.prune(), 0);
+  });
+
+  test(`${name} store: concurrent updates of a session run in order and none is lost`, async () => {
+    const store = await createStore();
+    const order = [];
+    await Promise.all(Array.from({ length: 5 }, (_, i) => store.update("s", async session => {
+      // Later updates finish their own work sooner; the queue must still apply them in call order
+      await new Promise(resolve => setTimeout(resolve, (5 - i) * 5));
+      order.push(i);
+      session.messages.push({ role: "user", content: String(i) });
+    })));
+
+    assert.deepEqual(order, [0, 1, 2, 3, 4]);
+    assert.deepEqual((await store.get("s")).messages.map(message => message.content), ["0", "1", "2", "3", "4"]);
+  });
+
+  test(`${name} store: a failed or skipped update leaves the session as it was and the queue running`, async () => {
+    const store = await createStore();
+    await store.update("s", session => { session.summary = "kept"; });
+    await assert.rejects(store.update("s", () => { throw new Error("boom"); }), /boom/);
+    assert.equal(await store.update("s", session => { session.summary = "skipped"; return false; }), null);
+    assert.equal((await store.get("s")).summary, "kept");
+    assert.equal(await store.update("new", () => false), null);
+    assert.equal(await store.get("new"), null);
+  });
+
+  test(`${name} store: a deletion queued behind an update runs after it`, async () => {
+    const store = await createStore();
+    const updated = store.update("s", async session => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      session.summary = "written";
+    });
+    const deleted = store.delete("s");
+    assert.equal((await updated).summary, "written");
+    assert.equal(await deleted, true);
+    assert.equal(await store.get("s"), null);
+  });
+}
@@ -0,0 +1,118 @@
+import { ToolMessage } from "@langchain/core/messages";
+import { withSpan } from "../observability/tracing.js";
+
+/**
+ * Lets the model call tools until it produces an answer, for at most `maxIterations` rounds.
+ *
+ * Each round the model either answers or asks for tool calls; requested tools are run, their results
+ * are appended as tool messages and the model is asked again. If the model still wants tools after the
+ * last round, it is asked once more without tools so the user always gets an answer.
+ * @param {import('@langchain/core/language_models/chat_models').BaseChatModel} model - The chat model.
+ * @param {object[]} messages - The conversation so far (system prompt, history, user message).
+ * @param {import('./registry.js').ToolRegistry} registry - The tools the model may call.
+ * @param {object} [options]
+ * @param {string[]} [options.toolNames] - Restrict the model to these tools. Calls to any other tool are not run;
+ *   the model gets an error result instead.
+ * @param {number} [options.maxIterations=3] - Maximum number of tool-calling rounds.
+ * @param {(token: string) => void} [options.onToken] - When set, the answer is streamed and each token is passed here.
+ * @param {(step: object) => void} [options.onStep] - Called after each tool invocation.
+ * @param {object} [options.context] - Request-scoped values passed to tool handlers.
+ * @param {(step: object) => string|Promise<string>} [options.formatToolResult] - Turns a tool step into the message content
+ *   sent back to the model, e.g. to sanitize it. Defaults to the result, or the error prefixed with "Error:".
+ * @param {AbortSignal} [options.signal] - Cancels the model calls and stops the loop; also passed to tool handlers as `context.signal`.
+ * @returns {Promise<{reply: string, steps: object[], usage: {input_tokens: number, output_tokens: number, total_tokens: number}}>}
+ *   The answer, every tool invocation with its result, and the tokens reported by the model across all rounds.
+ */
+export async function runToolLoop(model, messages, registry, {
+  toolNames,
+  maxIterations = 3,
+  onToken,
+  onStep,
+  context,
+  formatToolResult = defaultToolResult,
+  signal,
+} = {}) {
+  const tools = registry.definitions(toolNames);
+  const toolModel = tools.length > 0 ? model.bindTools(tools) : model;
+  // Tools stay declared (the history contains tool calls) but may no longer be called
+  const answerModel = tools.length > 0 ? model.bindTools(tools, { tool_choice: "none" }) : model;
+  const conversation = [...messages];
+  const steps = [];
+  const usage = { input_tokens: 0, output_tokens: 0, total_tokens: 0 };
+
+  for (let iteration = 0; iteration <= maxIterations; iteration++) {
+    // After the last tool round, force a plain answer
+    const current = iteration < maxIterations ? toolModel : answerModel;
+    const response = await withSpan("model.call", { "model.iteration": iteration, "model.streaming": Boolean(onToken) }, async span => {
+      const result = await callModel(current, conversation, onToken, signal);
+      span?.setAttribute("model.tool_calls", result.tool_calls?.length || 0);
+      span?.setAttribute("model.total_tokens", result.usage_metadata?.total_tokens || 0);
+      return result;
+    });
+    addUsage(usage, response.usage_metadata);
+    const toolCalls = iteration < maxIterations ? response.tool_calls || [] : [];
+
+    if (toolCalls.length === 0) {
+      return { reply: contentToString(response.content), steps, usage };
+    }
+
+    conversation.push(response);
+    for (const call of toolCalls) {
+      signal?.throwIfAborted();
+      const step = await withSpan("tool.call", { "tool.name": call.name }, async span => {
+        const result = toolNames && !toolNames.includes(call.name)
+          ? notAllowedStep(call)
+          : await registry.invoke(call.name, call.args, { ...context, signal }, { allowed: toolNames });
+        span?.setAttribute("tool.outcome", result.error ? "error" : "success");
+        return result;
+      });
+      steps.push(step);
+      onStep?.(step);
+      conversation.push(new ToolMessage({
+        tool_call_id: call.id,
+        content: await formatToolResult(step),
+      }));
+    }
+  }
+
+  // Unreachable: the final iteration never requests tools
+  return { reply: "", steps, usage };
+}
+
+// Providers that don't report usage (or not when streaming) simply add nothing
+function addUsage(total, usage) {
+  if (!usage) return;
+  for (const key of Object.keys(total)) total[key] += usage[key] || 0;
+}
+
+// Models may ask for tools they were not given, e.g. one named in the history or the prompt
+function notAllowedStep(call) {
+  return { tool: call.name, source: null, arguments: call.args, result: null, error: `Tool not allowed: ${call.name}`, durationMs: 0 };
+}
+
+function defaultToolResult(step) {
+  return step.error ? `Error: ${step.error}` : step.result;
+}
+
+async function callModel(model, messages, onToken, signal) {
+  if (!onToken) {
+    return model.invoke(messages, { signal });
+  }
+
+  // Stream, forwarding text as it arrives, and merge the chunks so tool calls can be read at the end
+  let aggregate = null;
+  for await (const chunk of await model.stream(messages, { signal })) {
+    const token = contentToString(chunk.content);
+    if (token) onToken(token);
+    aggregate = aggregate ? aggregate.concat(chunk) : chunk;
+  }
+  return aggregate || { content: "", tool_calls: [] };
+}
+
+function contentToString(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content.map(part => (typeof part === "string" ? part : part.text || "")).join("");
+  }
+  return "";
+}
@@ -0,0 +1,254 @@
+import fs from "fs/promises";
+import path from "path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { SSEClientTransport } from "@modelcontextprotocol/sdk/client/sse.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+
+const CLIENT_INFO = { name: "contoso-webapi", version: "1.0.0" };
+const DEFAULT_TIMEOUT_MS = 15000;
+const MAX_RECONNECT_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Reads an MCP configuration in the same shape as `.aitk/mcp.json`:
+ *
+ *   {
+ *     "servers": {
+ *       "<name>": {
+ *         "type": "stdio" | "sse" | "http",
+ *         "command": "node", "args": [...], "env": {...}, "cwd": "...",   // stdio; cwd is relative to the config file
+ *         "url": "http://localhost:3002/sse",                             // sse / http
+ *         "allowTools": ["cpu_*"], "denyTools": ["get_uptime"],          // optional
+ *         "timeoutMs": 15000                                               // optional
+ *       }
+ *     }
+ *   }
+ * @param {string} configPath - Path of the JSON file.
+ * @returns {Promise<Record<string, object>>} Server configurations by name; empty if the file does not exist.
+ */
+export async function loadMcpConfig(configPath) {
+  let text;
+  try {
+    text = await fs.readFile(configPath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw error;
+  }
+
+  const servers = JSON.parse(text).servers || {};
+  for (const config of Object.values(servers)) {
+    if (config.type === "stdio") {
+      config.cwd = path.resolve(path.dirname(configPath), config.cwd || ".");
+    }
+  }
+  return servers;
+}
+
+// Matches a tool name against a list of names, where "*" matches any characters
+function matchesAny(name, patterns) {
+  return patterns.some(pattern => {
+    const regex = new RegExp("^" + pattern.split("*").map(escapeRegExp).join(".*") + "$");
+    return regex.test(name);
+  });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Whether a server's allow/deny lists let a tool through. Deny wins over allow.
+ * @param {string} name - The tool name.
+ * @param {object} config - The server configuration.
+ * @returns {boolean}
+ */
+export function isToolAllowed(name, config) {
+  if (config.denyTools && matchesAny(name, config.denyTools)) return false;
+  if (config.allowTools) return matchesAny(name, config.allowTools);
+  return true;
+}
+
+/**
+ * Converts an MCP tool result to the text sent back to the chat model.
+ * @param {object} result - The result of `client.callTool`.
+ * @returns {string}
+ */
+function resultToText(result) {
+  if (result.structuredContent) {
+    return JSON.stringify(result.structuredContent);
+  }
+  return (result.content || [])
+    .map(part => {
+      if (part.type === "text") return part.text;
+      if (part.type === "resource" && part.resource?.text) return part.resource.text;
+      return `[${part.type} content omitted]`;
+    })
+    .join("\n");
+}
+
+/**
+ * Connects to the MCP servers in a configuration and keeps their tools registered in a ToolRegistry.
+ *
+ * A server that cannot be reached, or that disconnects, is logged, its tools are removed
+ * from the registry and reconnection is retried with exponential backoff. Chat keeps working
+ * with whatever tools are available.
+ */
+export class McpConnector {
+  /**
+   * @param {import('./registry.js').ToolRegistry} registry - Registry the discovered tools are added to.
+   * @param {Record<string, object>} servers - Server configurations by name, as returned by `loadMcpConfig`.
+   * @param {object} [options]
+   * @param {{info: Function, warn: Function}} [options.logger=console] - Where connection changes are logged.
+   */
+  constructor(registry, servers, { logger = console } = {}) {
+    this.registry = registry;
+    this.logger = logger;
+    this.servers = new Map(Object.entries(servers).map(([name, config]) => [name, {
+      name,
+      config,
+      client: null,
+      status: "disconnected",
+      error: null,
+      tools: [],
+      reconnectDelayMs: 1000,
+      reconnectTimer: null,
+    }]));
+    this.closed = false;
+  }
+
+  /**
+   * Connects to every configured server. Never rejects.
+   */
+  async connectAll() {
+    await Promise.all([...this.servers.values()].map(server => this._connect(server)));
+  }
+
+  /**
+   * The connection status of each server, for diagnostics.
+   * @returns {{name: string, type: string, status: string, error: string|null, tools: string[]}[]}
+   */
+  status() {
+    return [...this.servers.values()].map(server => ({
+      name: server.name,
+      type: server.config.type,
+      status: server.status,
+      error: server.error,
+      tools: server.tools,
+    }));
+  }
+
+  /**
+   * Disconnects from every server and stops reconnecting.
+   */
+  async close() {
+    this.closed = true;
+    await Promise.all([...this.servers.values()].map(async server => {
+      clearTimeout(server.reconnectTimer);
+      await server.client?.close().catch(() => {});
+    }));
+  }
+
+  _createTransport(config) {
+    switch (config.type) {
+      case "stdio":
+        return new StdioClientTransport({
+          command: config.command,
+          args: config.args || [],
+          env: config.env ? { ...process.env, ...config.env } : undefined,
+          cwd: config.cwd,
+          stderr: "ignore",
+        });
+      case "sse":
+        return new SSEClientTransport(new URL(config.url));
+      case "http":
+        return new StreamableHTTPClientTransport(new URL(config.url));
+      default:
+        throw new Error(`Unsupported MCP transport type "${config.type}"`);
+    }
+  }
+
+  async _connect(server) {
+    const { name, config } = server;
+    const timeout = config.timeoutMs || DEFAULT_TIMEOUT_MS;
+    server.status = "connecting";
+
+    const client = new Client(CLIENT_INFO);
+    try {
+      await withTimeout(client.connect(this._createTransport(config), { timeout }), timeout, `connecting to ${name}`);
+      const { tools } = await client.listTools(undefined, { timeout });
+
+      server.client = client;
+      server.status = "connected";
+      server.error = null;
+      server.reconnectDelayMs = 1000;
+      client.onclose = () => this._handleDisconnect(server, new Error("connection closed"));
+
+      this._registerTools(server, tools.filter(tool => isToolAllowed(tool.name, config)));
+      this.logger.info(`MCP server "${name}" connected. Tools: ${server.tools.join(", ") || "(none)"}`);
+    } catch (error) {
+      await client.close().catch(() => {});
+      this._handleDisconnect(server, error);
+    }
+  }
+
+  _registerTools(server, tools) {
+    const source = `mcp:${server.name}`;
+    const timeout = server.config.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.registry.unregisterSource(source);
+    server.tools = [];
+
+    for (const tool of tools) {
+      // Keep the tool's own name unless another server or the agent already uses it
+      const exposedName = this.registry.tools.has(tool.name)
+        ? `${server.name}__${tool.name}`.replace(/[^a-zA-Z0-9_-]/g, "_").slice(0, 64)
+        : tool.name;
+
+      this.registry.register(
+        {
+          name: exposedName,
+          description: tool.description || `${tool.name} (from MCP server ${server.name})`,
+          parameters: { type: "object", properties: {}, ...tool.inputSchema },
+        },
+        async (args, context) => {
+          if (server.status !== "connected") {
+            throw new Error(`MCP server "${server.name}" is not connected`);
+          }
+          const result = await server.client.callTool({ name: tool.name, arguments: args }, undefined, { timeout, signal: context?.signal });
+          const text = resultToText(result);
+          if (result.isError) throw new Error(text || "Tool reported an error");
+          return text;
+        },
+        source,
+      );
+      server.tools.push(exposedName);
+    }
+  }
+
+  _handleDisconnect(server, error) {
+    if (server.status === "disconnected" && server.reconnectTimer) return;
+
+    this.registry.unregisterSource(`mcp:${server.name}`);
+    server.client = null;
+    server.tools = [];
+    server.status = "disconnected";
+    server.error = error.message;
+    if (this.closed) return;
+
+    this.logger.warn(`MCP server "${server.name}" unavailable (${error.message}); retrying in ${server.reconnectDelayMs / 1000}s.`);
+    clearTimeout(server.reconnectTimer);
+    server.reconnectTimer = setTimeout(() => {
+      server.reconnectTimer = null;
+      this._connect(server);
+    }, server.reconnectDelayMs);
+    server.reconnectTimer.unref();
+    server.reconnectDelayMs = Math.min(server.reconnectDelayMs * 2, MAX_RECONNECT_DELAY_MS);
+  }
+}
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms ${what}`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,119 @@
+import fs from "fs/promises";
+import path from "path";
+import YAML from "yaml";
+
+/**
+ * Reads the tool definitions an agent file references.
+ * The agent file lists tool files under `tools:` (paths relative to the agent file), each shaped like
+ * `infra/packages/agent/tavily.yaml`: { type: function, name, description, parameters }.
+ * @param {string} agentPath - Path of the agent YAML file (e.g. my-agent.yaml).
+ * @returns {Promise<{name: string, description: string, parameters: object}[]>}
+ */
+export async function loadAgentToolDefinitions(agentPath) {
+  const agent = YAML.parse(await fs.readFile(agentPath, "utf8")) || {};
+  const definitions = [];
+
+  for (const toolFile of agent.tools || []) {
+    const definition = YAML.parse(await fs.readFile(path.resolve(path.dirname(agentPath), toolFile), "utf8"));
+    if (definition?.type !== "function" || !definition.name) {
+      throw new Error(`${toolFile} is not a function tool definition`);
+    }
+    definitions.push({
+      name: definition.name,
+      description: definition.description || "",
+      parameters: definition.parameters || { type: "object", properties: {} },
+    });
+  }
+
+  return definitions;
+}
+
+/**
+ * The tools the chat model may call, with the functions that run them.
+ */
+export class ToolRegistry {
+  constructor() {
+    this.tools = new Map(); // name -> { definition, handler, source }
+  }
+
+  get size() {
+    return this.tools.size;
+  }
+
+  /**
+   * Registers a tool.
+   * @param {{name: string, description: string, parameters: object}} definition - JSON Schema function definition.
+   * @param {(args: object, context: object) => Promise<string|object>} handler - Runs the tool; its result is sent back to the model.
+   * @param {string} [source="local"] - Where the tool comes from, reported with each step.
+   */
+  register(definition, handler, source = "local") {
+    this.tools.set(definition.name, { definition, handler, source });
+  }
+
+  /**
+   * Removes every tool registered from a source.
+   * @param {string} source - The source passed to `register`.
+   */
+  unregisterSource(source) {
+    for (const [name, tool] of this.tools) {
+      if (tool.source === source) this.tools.delete(name);
+    }
+  }
+
+  /**
+   * The tools in the OpenAI function-calling format expected by `bindTools`.
+   * @param {string[]} [names] - Only include these tools; all tools when omitted.
+   * @returns {object[]}
+   */
+  definitions(names) {
+    return [...this.tools.values()]
+      .filter(({ definition }) => !names || names.includes(definition.name))
+      .map(({ definition }) => ({
+        type: "function",
+        function: {
+          name: definition.name,
+          description: definition.description,
+          parameters: definition.parameters,
+        },
+      }));
+  }
+
+  /**
+   * Runs a tool call requested by the model. Never throws: failures are returned so they can be reported to the model.
+   * @param {string} name - The tool name.
+   * @param {object} args - The arguments chosen by the model.
+   * @param {object} [context] - Request-scoped values passed to the handler.
+   * @param {object} [options]
+   * @param {string[]} [options.allowed] - The tools the caller may run (e.g. a profile's `tools`); all tools when omitted.
+   * @returns {Promise<{tool: string, source: string|null, arguments: object, result: string|null, error: string|null, durationMs: number}>}
+   */
+  async invoke(name, args, context = {}, { allowed } = {}) {
+    const step = { tool: name, source: null, arguments: args, result: null, error: null, durationMs: 0 };
+    const tool = this.tools.get(name);
+    if (!tool) {
+      step.error = `Unknown tool: ${name}`;
+      return step;
+    }
+    if (allowed && !allowed.includes(name)) {
+      step.error = `Tool not allowed: ${name}`;
+      return step;
+    }
+    step.source = tool.source;
+
+    const missing = (tool.definition.parameters?.required || []).filter(key => args?.[key] === undefined);
+    if (missing.length) {
+      step.error = `Missing required argument(s): ${missing.join(", ")}`;
+      return step;
+    }
+
+    const startedAt = performance.now();
+    try {
+      const result = await tool.handler(args, context);
+      step.result = typeof result === "string" ? result : JSON.stringify(result);
+    } catch (err) {
+      step.error = err.message;
+    }
+    step.durationMs = Math.round(performance.now() - startedAt);
+    return step;
+  }
+}
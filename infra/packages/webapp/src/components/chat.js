@@ -1,25 +1,97 @@
 import { LitElement, html } from 'lit';
-import { loadMessages, saveMessages, clearMessages } from '../utils/chatStore.js';
+import { unsafeHTML } from 'lit/directives/unsafe-html.js';
+import {
+  loadConversations,
+  saveConversations,
+  createConversation,
+  titleFromMessages,
+  isDefaultTitle,
+  exportConversation,
+  importConversation,
+  STORE_VERSION
+} from '../utils/chatStore.js';
+import { readEventStream } from '../utils/eventStream.js';
+import { ChatRequestError, describeChatError } from '../utils/chatErrors.js';
+import { renderMarkdown } from '../utils/markdown.js';
+import { ACCEPTED_ATTACHMENTS, MAX_ATTACHMENTS, validateAttachment, describeAttachment } from '../utils/attachments.js';
+import './sidebar.js';
 import './chat.css';
 
+const API_BASE_URL = 'http://localhost:3001';
+
+// How each answer was produced, shown next to its timestamp
+const MODE_LABELS = {
+  handbook: '📚 Handbook',
+  web: '🌐 Web',
+  general: '💬 General'
+};
+
+// Labels used until the API's profiles are loaded, or when it has none: those of the HR handbook assistant
+const DEFAULT_UI = {
+  ragLabel: 'Use Employee Handbook',
+  placeholder: 'Ask about company policies, benefits, etc...',
+  retrieving: 'Searching employee handbook...'
+};
+
+/**
+ * The chat UI. Requests to the API carry the credentials it is given:
+ *   - `api-key` attribute / `apiKey` property: sent as the X-API-Key header (defaults to VITE_API_KEY)
+ *   - `getAccessToken` property: an async function returning a JWT, sent as `Authorization: Bearer`;
+ *     it is called before every request so the host page can refresh the token
+ * An `auth-required` event is dispatched when the API rejects the credentials.
+ */
 export class ChatInterface extends LitElement {
   static get properties() {
     return {
+      conversations: { type: Array },
+      activeId: { type: String },
       messages: { type: Array },
       inputMessage: { type: String },
       isLoading: { type: Boolean },
       isRetrieving: { type: Boolean },
-      ragEnabled: { type: Boolean }
+      ragEnabled: { type: Boolean },
+      streamingReply: { type: String },
+      streamingSteps: { type: Array },
+      openCitation: { type: String },
+      editingIndex: { type: Number },
+      editText: { type: String },
+      attachments: { type: Array },
+      attachmentError: { type: String },
+      dragActive: { type: Boolean },
+      profiles: { type: Array },
+      defaultProfileId: { type: String },
+      apiKey: { type: String, attribute: 'api-key' },
+      getAccessToken: { attribute: false }
     };
   }
 
   constructor() {
     super();
-    this.messages = [];
+    this.conversations = [];
+    this.activeId = '';
+    this.messages = []; // Messages of the active conversation
     this.inputMessage = '';
     this.isLoading = false;
     this.isRetrieving = false;
     this.ragEnabled = true; // Enable by default
+    this.streamingReply = ''; // Partial answer while tokens are arriving
+    this.streamingSteps = []; // Tool calls made so far for the pending answer
+    this.openCitation = ''; // "<messageIndex>:<sourceId>" of the expanded citation, if any
+    this.pendingConversationId = ''; // Conversation waiting for a reply
+    this.abortController = null; // Cancels the pending request
+    this.stopRequested = false; // The user pressed Stop: keep the partial answer
+    this.editingIndex = -1; // Index of the user message being edited, if any
+    this.editText = '';
+    this.attachments = []; // Files attached to the message being typed: { file, name, type, size, kind, thumbnail? }
+    this.attachmentError = '';
+    this.dragActive = false;
+    this.profiles = []; // Assistant profiles offered by the API (GET /profiles)
+    this.defaultProfileId = '';
+    // The files sent with each question, so it can be regenerated or edited with them. Only thumbnails are
+    // saved with the conversation: after a reload, a question is asked again without its files.
+    this.attachmentFiles = new WeakMap();
+    this.apiKey = import.meta.env.VITE_API_KEY || '';
+    this.getAccessToken = null;
   }
 
   // Render into light DOM so external CSS applies
@@ -29,78 +101,473 @@ export class ChatInterface extends LitElement {
 
   connectedCallback() {
     super.connectedCallback();
-    // Load chat history from localStorage when component is added to the DOM
-    this.messages = loadMessages();
+    // Load conversations from localStorage when component is added to the DOM
+    const state = loadConversations();
+    this.conversations = state.conversations;
+    this.activeId = state.activeId;
+    this.messages = this._activeConversation.messages;
+    this._loadProfiles();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    // Don't leave the server generating an answer nobody will see
+    this.abortController?.abort();
   }
 
   updated(changedProps) {
-    // Save chat history to localStorage whenever messages change
-    if (changedProps.has('messages')) {
-      saveMessages(this.messages);
+    // Save conversations to localStorage whenever they change
+    if (changedProps.has('conversations') || changedProps.has('activeId')) {
+      saveConversations({ version: STORE_VERSION, activeId: this.activeId, conversations: this.conversations });
     }
-  } 
+  }
+
+  get _activeConversation() {
+    return this.conversations.find(c => c.id === this.activeId);
+  }
+
+  // The profile the active conversation talks to; undefined until the profiles are loaded
+  get _profile() {
+    return this._profileOf(this._activeConversation);
+  }
+
+  _profileOf(conversation) {
+    const id = conversation?.profile || this.defaultProfileId;
+    return this.profiles.find(profile => profile.id === id);
+  }
+
+  get _ui() {
+    return this._profile?.ui || DEFAULT_UI;
+  }
 
   render() {
     return html`
-    <div class="chat-container">
+    <div class="chat-layout">
+    <chat-sidebar
+      .conversations=${this.conversations}
+      .activeId=${this.activeId}
+      @conversation-create=${this._createConversation}
+      @conversation-select=${e => this._selectConversation(e.detail.id)}
+      @conversation-rename=${e => this._updateConversation(e.detail.id, { title: e.detail.title })}
+      @conversation-pin=${e => this._updateConversation(e.detail.id, { pinned: e.detail.pinned })}
+      @conversation-delete=${e => this._deleteConversation(e.detail.id)}
+      @conversation-export=${e => this._exportConversation(e.detail.id, e.detail.format)}
+      @conversation-import=${e => this._importConversation(e.detail.text)}
+    ></chat-sidebar>
+    <div class="chat-container ${this.dragActive ? 'drag-active' : ''}"
+      @dragover=${this._handleDragOver}
+      @dragleave=${this._handleDragLeave}
+      @drop=${this._handleDrop}>
       <div class="chat-header">
+        ${this.profiles.length > 1 ? html`
+          <select class="profile-picker" aria-label="Assistant" title=${this._profile?.description || ''}
+            @focus=${this._loadProfiles}
+            @change=${e => this._selectProfile(e.target.value)}>
+            ${this.profiles.map(profile => html`
+              <option value=${profile.id} ?selected=${profile.id === this._profile?.id}>${profile.name}</option>
+            `)}
+          </select>
+        ` : ''}
         <button class="clear-cache-btn" @click=${this._clearCache}> 🧹Clear Chat</button>
-        <label class="rag-toggle">
-          <input type="checkbox" ?checked=${this.ragEnabled} @change=${this._toggleRag}>
-          Use Employee Handbook
-        </label>
+        ${this._profile?.knowledge.enabled === false ? '' : html`
+          <label class="rag-toggle">
+            <input type="checkbox" ?checked=${this.ragEnabled} @change=${this._toggleRag}>
+            ${this._ui.ragLabel}
+          </label>
+        `}
       </div>
-      <div class="chat-messages">
-        ${this.messages.map(message => html`
-          <div class="message ${message.role === 'user' ? 'user-message' : 'ai-message'}">
-            <div class="message-content">
-              <span class="message-sender">${message.role === 'user' ? 'You' : 'AI'}</span>
-              <p>${message.content}</p>
-              ${this.ragEnabled && message.sources && message.sources.length > 0 ? html`
+      <div class="chat-messages" @click=${this._handleMessageClick}>
+        ${this.messages.map((message, index) => html`
+          <div class="message ${message.role === 'user' ? 'user-message' : 'ai-message'} ${message.error ? 'error-message' : ''}">
+            <div class="message-content" data-index=${index}>
+              ${this._renderMeta(message)}
+              ${this._renderAttachments(message.attachments)}
+              ${this.editingIndex === index ? this._renderEditor() : this._renderContent(message, index)}
+              ${this._renderOpenCitation(message, index)}
+              ${this._renderSteps(message.steps)}
+              ${message.sources && message.sources.length > 0 ? html`
                 <details class="sources">
                   <summary>📚 Sources</summary>
                   <div class="sources-content">
-                    ${message.sources.map(source => html`<p>${source}</p>`)}
+                    ${message.sources.map(source => this._renderSource(source))}
                   </div>
                 </details>
               ` : ''}
+              ${this._renderActions(message, index)}
             </div>
           </div>
         `)}
-        ${this.isRetrieving ? html`
+        ${this._isPendingHere && this.isRetrieving ? html`
           <div class="message system-message">
-            <p>📚 Searching employee handbook...</p>
+            <p>📚 ${this._ui.retrieving}</p>
           </div>
         ` : ''}
-        ${this.isLoading && !this.isRetrieving ? html`
+        ${this._isPendingHere && !this.isRetrieving ? html`
           <div class="message ai-message">
             <div class="message-content">
               <span class="message-sender">AI</span>
-              <p>Thinking...</p>
+              ${this.streamingSteps.map(step => html`
+                <p class="tool-step-live">🛠️ ${this._stepLabel(step)}</p>
+              `)}
+              ${this.streamingReply
+                ? html`<div class="markdown-body">${unsafeHTML(renderMarkdown(this.streamingReply))}</div>`
+                : html`<p>Thinking...</p>`}
             </div>
           </div>
         ` : ''}
       </div>
+      ${this._renderPendingAttachments()}
       <div class="chat-input">
+        <input class="attachment-input" type="file" multiple accept=${ACCEPTED_ATTACHMENTS} hidden
+          @change=${this._handleFilePick}>
+        <button class="attach-btn" title="Attach images or documents"
+          ?disabled=${this.attachments.length >= MAX_ATTACHMENTS}
+          @click=${() => this.querySelector('.attachment-input').click()}>📎</button>
         <input 
           type="text" 
-          placeholder="Ask about company policies, benefits, etc..." 
+          placeholder=${this._ui.placeholder}
           .value=${this.inputMessage}
           @input=${this._handleInput}
           @keyup=${this._handleKeyUp}
+          @paste=${this._handlePaste}
         />
-        <button @click=${this._sendMessage} ?disabled=${this.isLoading || !this.inputMessage.trim()}>
-          Send
-        </button>
+        ${this._isPendingHere ? html`
+          <button class="stop-btn" @click=${this._stopGeneration}>Stop</button>
+        ` : html`
+          <button @click=${this._sendMessage} ?disabled=${this.isLoading || !this._canSend}>
+            Send
+          </button>
+        `}
       </div>
     </div>
+    </div>
   `;
   }
 
-  // Clear chat history from localStorage and UI
+  // Grounded answers name the knowledge their profile searched, e.g. "📚 Product catalog"
+  _modeLabel(message) {
+    const profile = message.mode === 'handbook' && this.profiles.find(p => p.id === message.profile);
+    if (profile) {
+      const label = profile.knowledge.label;
+      return `📚 ${label.charAt(0).toUpperCase()}${label.slice(1)}`;
+    }
+    return MODE_LABELS[message.mode] || message.mode;
+  }
+
+  // Questions are shown as typed; answers are rendered as Markdown with [n] citations that match a source as buttons
+  _renderContent(message, index) {
+    if (message.role === 'user') return html`<p class="user-text">${message.content}</p>`;
+
+    const citations = new Map(
+      (message.sources || [])
+        .filter(source => typeof source === 'object')
+        .map(source => [String(source.id), {
+          label: this._sourceLabel(source),
+          open: this.openCitation === `${index}:${source.id}`
+        }])
+    );
+    return html`
+      <div class="markdown-body">${unsafeHTML(renderMarkdown(message.content, citations))}</div>
+      ${message.stopped ? html`<p class="message-note">Stopped</p>` : ''}
+    `;
+  }
+
+  // Sender, time and (for answers) the mode that produced the message
+  _renderMeta(message) {
+    const time = message.timestamp ? new Date(message.timestamp) : null;
+    const sameDay = time && time.toDateString() === new Date().toDateString();
+    return html`
+      <div class="message-meta">
+        <span class="message-sender">${message.role === 'user' ? 'You' : 'AI'}</span>
+        ${message.mode ? html`<span class="message-mode">${this._modeLabel(message)}</span>` : ''}
+        ${time ? html`
+          <time datetime=${message.timestamp} title=${time.toLocaleString()}>
+            ${sameDay ? time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : time.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}
+          </time>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  // Thumbnails of the images and names of the documents sent with a question
+  _renderAttachments(attachments) {
+    if (!attachments || attachments.length === 0) return '';
+    return html`
+      <div class="message-attachments">
+        ${attachments.map(attachment => attachment.thumbnail
+          ? html`<img class="attachment-thumbnail" src=${attachment.thumbnail} alt=${attachment.name} title=${attachment.name}>`
+          : html`<span class="attachment-chip" title=${attachment.name}>${attachment.kind === 'image' ? '🖼️' : '📄'} ${attachment.name}</span>`)}
+      </div>
+    `;
+  }
+
+  // The files attached to the message being typed, each with a button to remove it
+  _renderPendingAttachments() {
+    if (this.attachments.length === 0 && !this.attachmentError) return '';
+    return html`
+      <div class="pending-attachments">
+        ${this.attachments.map((attachment, i) => html`
+          <span class="attachment-chip">
+            ${attachment.thumbnail
+              ? html`<img class="attachment-preview" src=${attachment.thumbnail} alt="">`
+              : attachment.kind === 'image' ? '🖼️' : '📄'}
+            ${attachment.name}
+            <button class="attachment-remove" title="Remove" @click=${() => this._removeAttachment(i)}>×</button>
+          </span>
+        `)}
+        ${this.attachmentError ? html`<p class="attachment-error">${this.attachmentError}</p>` : ''}
+      </div>
+    `;
+  }
+
+  _renderEditor() {
+    return html`
+      <div class="message-editor">
+        <textarea .value=${this.editText} @input=${e => { this.editText = e.target.value; }}></textarea>
+        <div class="message-editor-actions">
+          <button @click=${this._submitEdit} ?disabled=${!this.editText.trim()}>Save &amp; send</button>
+          <button class="secondary" @click=${this._cancelEdit}>Cancel</button>
+        </div>
+      </div>
+    `;
+  }
+
+  // Copy is always available; actions that change the conversation wait until no answer is pending
+  _renderActions(message, index) {
+    if (this.editingIndex === index) return '';
+    const busy = this.isLoading;
+    const canRegenerate = message.role === 'assistant' && this.messages.slice(0, index).some(m => m.role === 'user');
+    return html`
+      <div class="message-actions">
+        <button class="message-action" title="Copy" @click=${() => this._copyText(message.content)}>📋</button>
+        ${canRegenerate ? html`
+          <button class="message-action" title="Regenerate" ?disabled=${busy} @click=${() => this._regenerate(index)}>🔄</button>
+        ` : ''}
+        ${message.role === 'user' ? html`
+          <button class="message-action" title="Edit and resend" ?disabled=${busy} @click=${() => this._startEdit(index)}>✏️</button>
+        ` : ''}
+        <button class="message-action" title="Delete" ?disabled=${busy} @click=${() => this._deleteMessage(index)}>🗑️</button>
+      </div>
+    `;
+  }
+
+  // Citation and code-copy buttons are part of the rendered Markdown, so their clicks are handled here
+  _handleMessageClick(e) {
+    const citation = e.target.closest('button.citation');
+    if (citation) {
+      const index = citation.closest('.message-content').dataset.index;
+      this._toggleCitation(`${index}:${citation.dataset.citation}`);
+      return;
+    }
+    const copy = e.target.closest('button.code-copy');
+    if (copy) {
+      const code = copy.closest('.code-block').querySelector('code').textContent;
+      this._copyText(code).then(() => {
+        copy.textContent = 'Copied';
+        setTimeout(() => { copy.textContent = 'Copy'; }, 1500);
+      });
+    }
+  }
+
+  async _copyText(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (error) {
+      console.warn('Failed to copy to the clipboard:', error);
+    }
+  }
+
+  // Show the excerpt behind the citation marker the user expanded in this message
+  _renderOpenCitation(message, index) {
+    if (!this.openCitation.startsWith(`${index}:`)) return '';
+    const id = this.openCitation.slice(this.openCitation.indexOf(':') + 1);
+    const source = (message.sources || []).find(s => typeof s === 'object' && String(s.id) === id);
+    if (!source) return '';
+    return html`
+      <blockquote class="citation-excerpt">
+        <strong>[${source.id}] ${this._sourceLabel(source)}</strong>
+        <p>${source.excerpt}</p>
+      </blockquote>
+    `;
+  }
+
+  // Show the tools the agent called to produce an answer
+  _renderSteps(steps) {
+    if (!steps || steps.length === 0) return '';
+    return html`
+      <details class="tool-steps">
+        <summary>🛠️ Steps (${steps.length})</summary>
+        <ol class="tool-steps-content">
+          ${steps.map(step => html`
+            <li>
+              <strong>${this._stepLabel(step)}</strong>
+              ${step.error
+                ? html`<p class="tool-step-error">Error: ${step.error}</p>`
+                : html`<p>${step.result}</p>`}
+            </li>
+          `)}
+        </ol>
+      </details>
+    `;
+  }
+
+  _stepLabel(step) {
+    const args = Object.entries(step.arguments || {})
+      .map(([key, value]) => `${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`)
+      .join(', ');
+    return `${step.tool}(${args})`;
+  }
+
+  // Render one entry of the sources list; older chats stored sources as plain strings
+  _renderSource(source) {
+    if (typeof source === 'string') return html`<p>${source}</p>`;
+    return html`
+      <p>
+        <strong>[${source.id}] ${this._sourceLabel(source)}</strong><br>
+        ${source.excerpt}
+      </p>
+    `;
+  }
+
+  _sourceLabel(source) {
+    if (source.type === 'web') return 'Web search';
+    return [source.document, source.page ? `Page ${source.page}` : '', source.heading].filter(Boolean).join(' — ');
+  }
+
+  _toggleCitation(key) {
+    this.openCitation = this.openCitation === key ? '' : key;
+  }
+
+  get _isPendingHere() {
+    return this.isLoading && this.pendingConversationId === this.activeId;
+  }
+
+  // Stop waiting for a conversation's reply; the server stops generating it too
+  _cancelPending(id) {
+    if (this.pendingConversationId === id) {
+      this.abortController?.abort();
+    }
+  }
+
+  // Clear the active conversation's messages and its server-side memory
   _clearCache() {
-    clearMessages();
-    this.messages = [];
+    const conversation = this._activeConversation;
+    this._cancelPending(conversation.id);
+    this._deleteServerSession(conversation.sessionId);
+    this._updateConversation(conversation.id, { messages: [] });
+    this.openCitation = '';
+  }
+
+  // New conversations keep talking to the assistant picked last
+  _createConversation() {
+    const conversation = createConversation();
+    if (this._activeConversation?.profile) conversation.profile = this._activeConversation.profile;
+    this.conversations = [conversation, ...this.conversations];
+    this._selectConversation(conversation.id);
+  }
+
+  _selectConversation(id) {
+    this.activeId = id;
+    this.messages = this._activeConversation.messages;
+    this.openCitation = '';
+    this._cancelEdit();
+  }
+
+  // Apply changes to a conversation; keeps `messages` in sync when it is the active one
+  _updateConversation(id, changes) {
+    this.conversations = this.conversations.map(c =>
+      c.id === id ? { ...c, ...changes, updatedAt: new Date().toISOString() } : c
+    );
+    if (id === this.activeId) {
+      this.messages = this._activeConversation.messages;
+    }
+  }
+
+  _appendMessage(id, message) {
+    const conversation = this.conversations.find(c => c.id === id);
+    if (!conversation) return; // Deleted while waiting for the reply
+    const messages = [...conversation.messages, message];
+    const changes = { messages };
+    if (isDefaultTitle(conversation.title)) {
+      changes.title = titleFromMessages(messages);
+    }
+    this._updateConversation(id, changes);
+  }
+
+  _deleteConversation(id) {
+    const conversation = this.conversations.find(c => c.id === id);
+    if (!conversation) return;
+    this._cancelPending(id);
+    this._deleteServerSession(conversation.sessionId);
+
+    const remaining = this.conversations.filter(c => c.id !== id);
+    this.conversations = remaining.length > 0 ? remaining : [createConversation()];
+    if (id === this.activeId) {
+      this._selectConversation(this.conversations[0].id);
+    }
+  }
+
+  _exportConversation(id, format) {
+    const conversation = this.conversations.find(c => c.id === id);
+    const content = exportConversation(conversation, format);
+    const type = format === 'json' ? 'application/json' : 'text/markdown';
+    const extension = format === 'json' ? 'json' : 'md';
+    const filename = `${conversation.title.replace(/[^\w\- ]+/g, '').trim() || 'chat'}.${extension}`;
+
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  _importConversation(text) {
+    try {
+      const conversation = importConversation(text);
+      this.conversations = [conversation, ...this.conversations];
+      this._selectConversation(conversation.id);
+    } catch (error) {
+      console.error('Failed to import conversation:', error);
+      alert(`Could not import this file: ${error.message}`);
+    }
+  }
+
+  // Forget the server-side memory of a conversation (best effort)
+  async _deleteServerSession(sessionId) {
+    try {
+      await fetch(`${API_BASE_URL}/sessions/${encodeURIComponent(sessionId)}`, {
+        method: 'DELETE',
+        headers: await this._authHeaders()
+      });
+    } catch (error) {
+      console.warn('Failed to delete server session:', error);
+    }
+  }
+
+  // Fetch the assistant profiles; also called when the picker is opened, so profiles edited on the server show up
+  async _loadProfiles() {
+    try {
+      const res = await fetch(`${API_BASE_URL}/profiles`, { headers: await this._authHeaders() });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      this.profiles = data.profiles || [];
+      this.defaultProfileId = data.default || '';
+    } catch (error) {
+      console.warn('Failed to load assistant profiles:', error);
+    }
+  }
+
+  // Talk to another assistant in the active conversation
+  _selectProfile(id) {
+    this._updateConversation(this.activeId, { profile: id });
+  }
+
+  // Credential headers for API requests: the access token if the host page provides one, else the API key
+  async _authHeaders() {
+    const token = this.getAccessToken ? await this.getAccessToken() : '';
+    if (token) return { 'Authorization': `Bearer ${token}` };
+    return this.apiKey ? { 'X-API-Key': this.apiKey } : {};
   }
 
   // Update inputMessage state as the user types
@@ -110,66 +577,302 @@ export class ChatInterface extends LitElement {
 
   // Send message on Enter key if not loading
   _handleKeyUp(e) {
-    if (e.key === 'Enter' && this.inputMessage.trim() && !this.isLoading) {
+    if (e.key === 'Enter' && this._canSend && !this.isLoading) {
       this._sendMessage();
     }
   }
 
-  // Handle sending a message and receiving a response
-  async _sendMessage() {
-    if (!this.inputMessage.trim() || this.isLoading) return;
-    
-    // Add user's message to the chat
-    const userMessage = {
-      role: 'user',
-      content: this.inputMessage
-    };
-    
-    this.messages = [...this.messages, userMessage];
-    const userQuery = this.inputMessage;
+  // A message needs some text or at least one attachment
+  get _canSend() {
+    return Boolean(this.inputMessage.trim() || this.attachments.length);
+  }
+
+  _handleFilePick(e) {
+    this._addAttachments([...e.target.files]);
+    e.target.value = ''; // Picking the same file again should add it again
+  }
+
+  // Pasted images (e.g. screenshots) are attached; pasted text is left to the input
+  _handlePaste(e) {
+    const files = [...(e.clipboardData?.files || [])];
+    if (files.length === 0) return;
+    e.preventDefault();
+    this._addAttachments(files);
+  }
+
+  _handleDragOver(e) {
+    if (!e.dataTransfer?.types.includes('Files')) return;
+    e.preventDefault();
+    this.dragActive = true;
+  }
+
+  _handleDragLeave(e) {
+    // Leaving a child element still counts as being over the chat
+    if (!e.currentTarget.contains(e.relatedTarget)) this.dragActive = false;
+  }
+
+  _handleDrop(e) {
+    if (!e.dataTransfer?.files.length) return;
+    e.preventDefault();
+    this.dragActive = false;
+    this._addAttachments([...e.dataTransfer.files]);
+  }
+
+  // Attach the files that pass the limits; the first problem found is shown under the input
+  async _addAttachments(files) {
+    const errors = [];
+    const accepted = [];
+    for (const file of files) {
+      const error = validateAttachment(file);
+      if (error) {
+        errors.push(error);
+      } else if (this.attachments.length + accepted.length >= MAX_ATTACHMENTS) {
+        errors.push(`Attach at most ${MAX_ATTACHMENTS} files to a message.`);
+        break;
+      } else {
+        accepted.push(file);
+      }
+    }
+    const described = await Promise.all(accepted.map(async file => ({ file, ...(await describeAttachment(file)) })));
+    this.attachments = [...this.attachments, ...described];
+    this.attachmentError = errors[0] || '';
+  }
+
+  _removeAttachment(index) {
+    this.attachments = this.attachments.filter((_, i) => i !== index);
+    this.attachmentError = '';
+  }
+
+  // Handle sending the typed message
+  _sendMessage() {
+    if (!this._canSend || this.isLoading) return;
+    const text = this.inputMessage.trim();
+    const attachments = this.attachments;
     this.inputMessage = '';
+    this.attachments = [];
+    this.attachmentError = '';
+    this._ask(this.activeId, text, { attachments });
+  }
+
+  // Ask a question and append the answer.
+  // `rewind` is how many answered turns the server should forget first (see _rewindCount);
+  // `appendUser: false` reuses a question that is already the last message.
+  // `attachments` are { file, ...description } entries; only the descriptions are stored with the question.
+  async _ask(conversationId, text, { rewind = 0, appendUser = true, attachments = [] } = {}) {
+    // Replies go to the conversation that asked, even if the user switches chats meanwhile
+    const conversation = this.conversations.find(c => c.id === conversationId);
+    const files = attachments.map(attachment => attachment.file).filter(Boolean);
+    if (appendUser) {
+      const question = { role: 'user', content: text, timestamp: new Date().toISOString() };
+      if (attachments.length) {
+        question.attachments = attachments.map(({ file, ...description }) => description);
+        this.attachmentFiles.set(question, files);
+      }
+      this._appendMessage(conversation.id, question);
+    }
     this.isLoading = true;
+    this.stopRequested = false;
+    this.pendingConversationId = conversation.id;
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+    // Profiles without knowledge sources never search, whatever the toggle says
+    const useRAG = this.ragEnabled && this._profileOf(conversation)?.knowledge.enabled !== false;
+    const { profile } = conversation;
     
     try {
-      const aiResponse = await this._apiCall(userQuery);
+      const aiResponse = await this._streamCall(text, conversation.sessionId, signal, { useRAG, rewind, files, profile });
       console.log("AI response:", aiResponse);
-      this.messages = [
-        ...this.messages,
-        {
-          role: 'assistant',
-          content: aiResponse.reply,      // Use the reply string
-          sources: aiResponse.sources || []
-        }
-      ];
+      const blocked = (aiResponse.guardrails || []).some(v => v.stage === 'input' && v.outcome === 'block');
+      this._appendMessage(conversation.id, {
+        role: 'assistant',
+        content: aiResponse.reply,      // Use the reply string
+        sources: aiResponse.sources || [],
+        steps: aiResponse.steps || [],
+        mode: this._answerMode(aiResponse.steps, useRAG),
+        ...(profile ? { profile } : {}),
+        timestamp: new Date().toISOString(),
+        ...(blocked ? { blocked: true } : {})
+      });
     } catch (error) {
-      // Handle errors gracefully
+      if (signal.aborted) {
+        // Keep what had arrived when the user pressed Stop; other cancellations have nothing to report.
+        // The server saves nothing for a cancelled answer, hence `stopped` (see _rewindCount).
+        if (this.stopRequested && this.streamingReply) {
+          this._appendMessage(conversation.id, {
+            role: 'assistant',
+            content: this.streamingReply,
+            steps: this.streamingSteps,
+            mode: this._answerMode(this.streamingSteps, useRAG),
+            ...(profile ? { profile } : {}),
+            timestamp: new Date().toISOString(),
+            stopped: true
+          });
+        }
+        return;
+      }
+      // Show what went wrong, based on the error code sent by the server
       console.error('Error calling model:', error);
-      this.messages = [
-        ...this.messages,
-        { role: 'assistant', content: 'Sorry, I encountered an error. Please try again.' }
-      ];
+      const { code, text } = describeChatError(error);
+      if (code === 'unauthorized') {
+        // Let the host page sign the user in again
+        this.dispatchEvent(new CustomEvent('auth-required', { bubbles: true, composed: true }));
+      } else if (code === 'unknown_profile') {
+        // The profile was removed on the server: offer the ones that are left
+        this._loadProfiles();
+      }
+      this._appendMessage(conversation.id, {
+        role: 'assistant',
+        content: text,
+        error: code,
+        timestamp: new Date().toISOString()
+      });
     } finally {
+      this.abortController = null;
+      this.pendingConversationId = '';
       this.isLoading = false;
+      this.isRetrieving = false;
+      this.streamingReply = '';
+      this.streamingSteps = [];
     }
   }
+
+  // Web search wins over the handbook: a tool result means the answer did not come from the documents alone
+  _answerMode(steps = [], useRAG) {
+    if (steps.some(step => /search|tavily|web/i.test(step.tool || ''))) return 'web';
+    return useRAG ? 'handbook' : 'general';
+  }
+
+  // Answers the server remembered: errors, blocked questions and stopped answers were never saved to the session
+  _rewindCount(messages) {
+    return messages.filter(m => m.role === 'assistant' && !m.error && !m.blocked && !m.stopped).length;
+  }
+
+  _stopGeneration() {
+    this.stopRequested = true;
+    this.abortController?.abort();
+  }
+
+  // Ask the question before this answer again, replacing the answer and everything after it
+  _regenerate(index) {
+    if (this.isLoading) return;
+    const conversation = this._activeConversation;
+    const questionIndex = conversation.messages.slice(0, index).map(m => m.role).lastIndexOf('user');
+    if (questionIndex === -1) return;
+    const question = conversation.messages[questionIndex];
+    const rewind = this._rewindCount(conversation.messages.slice(questionIndex));
+    this._updateConversation(conversation.id, { messages: conversation.messages.slice(0, questionIndex + 1) });
+    this.openCitation = '';
+    const files = this.attachmentFiles.get(question) || [];
+    this._ask(conversation.id, question.content, { rewind, appendUser: false, attachments: files.map(file => ({ file })) });
+  }
+
+  _startEdit(index) {
+    this.editingIndex = index;
+    this.editText = this.messages[index].content;
+  }
+
+  _cancelEdit() {
+    this.editingIndex = -1;
+    this.editText = '';
+  }
+
+  // Replace a question with its edited text and ask it again; the answers after it are dropped
+  _submitEdit() {
+    const index = this.editingIndex;
+    const text = this.editText.trim();
+    this._cancelEdit();
+    if (!text || this.isLoading) return;
+    const conversation = this._activeConversation;
+    const original = conversation.messages[index];
+    // The edited question keeps its attachments (their files, if this page still has them)
+    const files = this.attachmentFiles.get(original) || [];
+    const attachments = (original.attachments || []).map((description, i) => ({ ...description, file: files[i] }));
+    const rewind = this._rewindCount(conversation.messages.slice(index));
+    this._updateConversation(conversation.id, { messages: conversation.messages.slice(0, index) });
+    this.openCitation = '';
+    this._ask(conversation.id, text, { rewind, attachments });
+  }
+
+  // Remove a message from this browser's copy of the conversation; the server's memory is left as is
+  _deleteMessage(index) {
+    if (this.isLoading) return;
+    const conversation = this._activeConversation;
+    this._updateConversation(conversation.id, { messages: conversation.messages.filter((_, i) => i !== index) });
+    if (this.editingIndex === index) this._cancelEdit();
+    this.openCitation = '';
+  }
+
   // Handle RAG toggle change
   _toggleRag(e) {
     this.ragEnabled = e.target.checked;
   }
 
+  // A JSON body, or multipart/form-data when files are attached (the browser sets its Content-Type).
+  // `rewind` and `profile` are only sent when set.
+  _chatRequestBody(fields, files) {
+    const { rewind, profile, ...rest } = fields;
+    const payload = { ...rest, ...(rewind ? { rewind } : {}), ...(profile ? { profile } : {}) };
+    if (files.length === 0) {
+      return { headers: { "Content-Type": "application/json" }, body: JSON.stringify(payload) };
+    }
+    const form = new FormData();
+    for (const [key, value] of Object.entries(payload)) form.append(key, String(value));
+    for (const file of files) form.append('attachments', file, file.name);
+    return { headers: {}, body: form };
+  }
+
+  // Parse a JSON /chat response, turning error responses into a ChatRequestError
+  async _readJsonReply(res) {
+    const data = await res.json().catch(() => null);
+    if (!res.ok) {
+      throw ChatRequestError.fromBody(data);
+    }
+    return data;
+  }
 
-  // Simulate an AI response (placeholder for future integration)
-  async _apiCall(message) {
-    const res = await fetch("http://localhost:3001/chat", {
+  // Stream the AI response token by token, rendering the partial answer and tool steps as they arrive.
+  // Resolves with the same { reply, sources, steps, guardrails } shape as a JSON /chat response once the answer is complete.
+  async _streamCall(message, sessionId, signal, { useRAG = this.ragEnabled, rewind = 0, files = [], profile } = {}) {
+    const { headers, body } = this._chatRequestBody({ message, sessionId, useRAG, stream: true, rewind, profile }, files);
+    const res = await fetch(`${API_BASE_URL}/chat`, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ 
-        message,
-        useRAG: this.ragEnabled 
-      }),
+      headers: {
+        ...headers,
+        "Accept": "text/event-stream",
+        ...(await this._authHeaders())
+      },
+      body,
+      signal
     });
-    const data = await res.json();
-    return data;
+
+    // Fall back to the JSON contract if the server did not open an event stream
+    if (!(res.headers.get('Content-Type') || '').includes('text/event-stream')) {
+      return this._readJsonReply(res);
+    }
+
+    let sources = [];
+    for await (const { event, data } of readEventStream(res)) {
+      switch (event) {
+        case 'status':
+          this.isRetrieving = data.stage === 'retrieving';
+          break;
+        case 'sources':
+          sources = data.sources || [];
+          this.isRetrieving = false;
+          break;
+        case 'tool':
+          this.streamingSteps = [...this.streamingSteps, data];
+          break;
+        case 'token':
+          this.streamingReply += data.token;
+          break;
+        case 'done':
+          return { reply: data.reply, sources: data.sources || sources, steps: data.steps || [], guardrails: data.guardrails || [] };
+        case 'error':
+          throw ChatRequestError.fromBody(data);
+      }
+    }
+    throw new Error('Stream ended before the reply was complete');
   }
 
 
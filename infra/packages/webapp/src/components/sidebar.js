@@ -0,0 +1,126 @@
+import { LitElement, html } from 'lit';
+import { sortConversations, searchConversations } from '../utils/chatStore.js';
+import './sidebar.css';
+
+// Lists conversations and lets the user create, rename, search, pin, delete, import and export them.
+// Owns no data: every action is reported to the parent as a `conversation-*` event.
+export class ChatSidebar extends LitElement {
+  static get properties() {
+    return {
+      conversations: { type: Array },
+      activeId: { type: String },
+      searchQuery: { type: String },
+      editingId: { type: String }
+    };
+  }
+
+  constructor() {
+    super();
+    this.conversations = [];
+    this.activeId = '';
+    this.searchQuery = '';
+    this.editingId = ''; // Conversation whose title is being renamed
+  }
+
+  // Render into light DOM so external CSS applies
+  createRenderRoot() {
+    return this;
+  }
+
+  render() {
+    const visible = sortConversations(searchConversations(this.conversations, this.searchQuery));
+    return html`
+      <aside class="chat-sidebar">
+        <div class="sidebar-actions">
+          <button class="new-chat-btn" @click=${() => this._emit('conversation-create')}>＋ New chat</button>
+          <label class="import-btn" title="Import a conversation from JSON">
+            Import
+            <input type="file" accept="application/json,.json" hidden @change=${this._import}>
+          </label>
+        </div>
+        <input
+          class="sidebar-search"
+          type="search"
+          placeholder="Search chats..."
+          .value=${this.searchQuery}
+          @input=${e => { this.searchQuery = e.target.value; }}
+        />
+        <ul class="conversation-list">
+          ${visible.map(conversation => this._renderConversation(conversation))}
+          ${visible.length === 0 ? html`<li class="conversation-empty">No matching chats</li>` : ''}
+        </ul>
+      </aside>
+    `;
+  }
+
+  _renderConversation(conversation) {
+    const isActive = conversation.id === this.activeId;
+    return html`
+      <li class="conversation ${isActive ? 'active' : ''}" @click=${() => this._emit('conversation-select', { id: conversation.id })}>
+        ${this.editingId === conversation.id ? html`
+          <input
+            class="rename-input"
+            .value=${conversation.title}
+            @click=${e => e.stopPropagation()}
+            @keyup=${e => this._handleRenameKey(e, conversation)}
+            @blur=${e => this._commitRename(conversation, e.target.value)}
+          />
+        ` : html`
+          <span class="conversation-title" title=${conversation.title}>
+            ${conversation.pinned ? '📌 ' : ''}${conversation.title}
+          </span>
+        `}
+        <span class="conversation-actions" @click=${e => e.stopPropagation()}>
+          <button title=${conversation.pinned ? 'Unpin' : 'Pin'}
+            @click=${() => this._emit('conversation-pin', { id: conversation.id, pinned: !conversation.pinned })}>📌</button>
+          <button title="Rename" @click=${() => this._startRename(conversation)}>✏️</button>
+          <button title="Export as Markdown" @click=${() => this._emit('conversation-export', { id: conversation.id, format: 'markdown' })}>MD</button>
+          <button title="Export as JSON" @click=${() => this._emit('conversation-export', { id: conversation.id, format: 'json' })}>{ }</button>
+          <button title="Delete" @click=${() => this._delete(conversation)}>🗑️</button>
+        </span>
+      </li>
+    `;
+  }
+
+  async _startRename(conversation) {
+    this.editingId = conversation.id;
+    await this.updateComplete;
+    const input = this.querySelector('.rename-input');
+    input?.focus();
+    input?.select();
+  }
+
+  _handleRenameKey(e, conversation) {
+    if (e.key === 'Enter') this._commitRename(conversation, e.target.value);
+    if (e.key === 'Escape') this.editingId = '';
+  }
+
+  _commitRename(conversation, value) {
+    if (this.editingId !== conversation.id) return;
+    this.editingId = '';
+    const title = value.trim();
+    if (title && title !== conversation.title) {
+      this._emit('conversation-rename', { id: conversation.id, title });
+    }
+  }
+
+  _delete(conversation) {
+    if (confirm(`Delete "${conversation.title}"?`)) {
+      this._emit('conversation-delete', { id: conversation.id });
+    }
+  }
+
+  async _import(e) {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow importing the same file again
+    if (file) {
+      this._emit('conversation-import', { text: await file.text() });
+    }
+  }
+
+  _emit(name, detail = {}) {
+    this.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true }));
+  }
+}
+
+customElements.define('chat-sidebar', ChatSidebar);
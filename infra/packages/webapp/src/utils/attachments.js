@@ -0,0 +1,62 @@
+// Files that can be attached to a message. The API checks the same limits (see CHAT_ATTACHMENT_* in the webapi);
+// checking them here too lets the user fix a file before anything is sent.
+export const MAX_ATTACHMENTS = Number(import.meta.env.VITE_MAX_ATTACHMENTS) || 4;
+export const MAX_ATTACHMENT_BYTES = Number(import.meta.env.VITE_MAX_ATTACHMENT_BYTES) || 5 * 1024 * 1024;
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const DOCUMENT_EXTENSIONS = ['.pdf', '.md', '.markdown', '.txt', '.html', '.htm', '.docx'];
+
+// For the file picker's `accept` attribute
+export const ACCEPTED_ATTACHMENTS = [...IMAGE_TYPES, ...DOCUMENT_EXTENSIONS].join(',');
+
+// Longest side of the thumbnails kept with the conversation, in pixels
+const THUMBNAIL_SIZE = 160;
+
+/**
+ * Checks a file against the attachment limits.
+ * @param {File} file
+ * @returns {string|null} Why the file cannot be attached, or null if it can.
+ */
+export function validateAttachment(file) {
+  const extension = file.name.includes('.') ? file.name.slice(file.name.lastIndexOf('.')).toLowerCase() : '';
+  if (!IMAGE_TYPES.includes(file.type) && !DOCUMENT_EXTENSIONS.includes(extension)) {
+    return `${file.name} is not a supported file type. Attach PNG, JPEG, GIF or WebP images, or PDF, Markdown, text, HTML or DOCX documents.`;
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    return `${file.name} is larger than ${Math.round(MAX_ATTACHMENT_BYTES / 1024 / 1024)} MB.`;
+  }
+  return null;
+}
+
+/**
+ * Describes an attached file for the message history. Images get a small JPEG thumbnail as a data: URL,
+ * so the conversation can show it without keeping the whole image in localStorage.
+ * @param {File} file
+ * @returns {Promise<{name: string, type: string, size: number, kind: 'image'|'document', thumbnail?: string}>}
+ */
+export async function describeAttachment(file) {
+  const attachment = { name: file.name, type: file.type, size: file.size, kind: IMAGE_TYPES.includes(file.type) ? 'image' : 'document' };
+  if (attachment.kind === 'image') {
+    try {
+      attachment.thumbnail = await createThumbnail(file);
+    } catch (error) {
+      console.warn(`Failed to create a thumbnail for ${file.name}:`, error);
+    }
+  }
+  return attachment;
+}
+
+async function createThumbnail(file) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency: draw on white so transparent screenshots don't turn black
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL('image/jpeg', 0.8);
+}
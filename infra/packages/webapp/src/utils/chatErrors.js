@@ -0,0 +1,57 @@
+// What to tell the user for each error code returned by the /chat endpoint
+const ERROR_MESSAGES = {
+  timeout: 'The model took too long to answer. Please try again.',
+  rate_limited: 'The assistant is receiving too many requests right now. Please try again shortly.',
+  model_unavailable: 'The model is unavailable at the moment. Please try again in a little while.',
+  circuit_open: 'The model is temporarily unavailable after repeated failures. Please try again in a minute.',
+  auth_failed: 'The server could not sign in to the model provider. Please contact your administrator.',
+  bad_request: 'The model could not process this request. Try rephrasing your message.',
+  content_filtered: 'Your message was blocked by the content filter. Please rephrase it.',
+  unauthorized: 'You are not signed in, or your credentials have expired. Please sign in again.',
+  forbidden: 'You are not allowed to do this.',
+  quota_exceeded: 'You have used your daily allowance for the assistant. It resets at midnight UTC.',
+  attachment_rejected: 'One of the attached files could not be used. Check its type and size and try again.',
+  unknown_profile: 'This assistant is no longer available. Pick another assistant and try again.',
+  network_error: 'Could not reach the server. Check your connection and that the API is running.',
+  model_error: 'Sorry, I encountered an error. Please try again.'
+};
+
+/**
+ * A failed chat request, with the error code sent by the server (or `network_error`).
+ */
+export class ChatRequestError extends Error {
+  constructor(code, message, retryAfterSeconds) {
+    super(message || code);
+    this.name = 'ChatRequestError';
+    this.code = ERROR_MESSAGES[code] ? code : 'model_error';
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+
+  /**
+   * Builds the error from a { error, message, retryAfterSeconds } payload.
+   * @param {object} body
+   * @returns {ChatRequestError}
+   */
+  static fromBody(body) {
+    return new ChatRequestError(body?.error, body?.message, body?.retryAfterSeconds);
+  }
+}
+
+/**
+ * The message shown in the chat for a failed request.
+ * @param {Error} error - A ChatRequestError, or any error thrown while sending (e.g. a network failure).
+ * @returns {{code: string, text: string}}
+ */
+export function describeChatError(error) {
+  const code = error instanceof ChatRequestError
+    ? error.code
+    : error instanceof TypeError ? 'network_error' : 'model_error';
+  let text = ERROR_MESSAGES[code];
+  if (code === 'rate_limited' && error.retryAfterSeconds) {
+    text = `The assistant is receiving too many requests right now. Please try again in ${error.retryAfterSeconds} seconds.`;
+  }
+  if (code === 'attachment_rejected' && error.message !== code) {
+    text = error.message; // Names the file and the limit it breaks
+  }
+  return { code, text };
+}
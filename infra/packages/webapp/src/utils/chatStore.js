@@ -1,26 +1,149 @@
-const STORAGE_KEY = 'chatMessages';
+// Conversations are stored under a single versioned key:
+// { version, activeId, conversations: [{ id, title, sessionId, pinned, createdAt, updatedAt, messages, profile? }] }
+// where `profile` is the id of the assistant profile the conversation talks to (the server's default when unset)
+const STORAGE_KEY = 'chatConversations';
+export const STORE_VERSION = 1;
 
-export function loadMessages() {
+// Key used before conversations existed: a bare array of messages
+const LEGACY_STORAGE_KEY = 'chatMessages';
+
+const DEFAULT_TITLE = 'New chat';
+
+function generateId() {
+  return crypto.randomUUID();
+}
+
+// Create a conversation with its own server session ID
+export function createConversation(title = DEFAULT_TITLE, messages = []) {
+  const now = new Date().toISOString();
+  return {
+    id: generateId(),
+    title,
+    sessionId: generateId(),
+    pinned: false,
+    createdAt: now,
+    updatedAt: now,
+    messages
+  };
+}
+
+// Load all conversations, migrating the legacy single-chat data on first run
+export function loadConversations() {
   const saved = localStorage.getItem(STORAGE_KEY);
   if (saved) {
     try {
-      return JSON.parse(saved);
+      const state = JSON.parse(saved);
+      if (state.version === STORE_VERSION && Array.isArray(state.conversations)) {
+        return ensureActive(state);
+      }
+    } catch (e) {
+      console.error('Failed to read conversations, starting fresh:', e);
+    }
+  }
+
+  const state = { version: STORE_VERSION, activeId: null, conversations: [] };
+  const legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (legacy) {
+    try {
+      const messages = JSON.parse(legacy);
+      if (Array.isArray(messages) && messages.length > 0) {
+        state.conversations.push(createConversation(titleFromMessages(messages), messages));
+      }
     } catch (e) {
-      return [];
+      // Unreadable legacy data is dropped
     }
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
   }
-  return [];
+  const migrated = ensureActive(state);
+  saveConversations(migrated);
+  return migrated;
 }
 
-export function saveMessages(messages) {
+export function saveConversations(state) {
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(messages));
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
   } catch (e) {
     // Optionally handle quota errors or private mode
-    console.error('Failed to save messages:', e);
+    console.error('Failed to save conversations:', e);
+  }
+}
+
+// Make sure there is always at least one conversation and a valid active one
+function ensureActive(state) {
+  if (state.conversations.length === 0) {
+    state.conversations.push(createConversation());
+  }
+  if (!state.conversations.some(c => c.id === state.activeId)) {
+    state.activeId = state.conversations[0].id;
+  }
+  return state;
+}
+
+// Derive a conversation title from its first user message
+export function titleFromMessages(messages) {
+  const first = messages.find(m => m.role === 'user');
+  if (!first) return DEFAULT_TITLE;
+  const text = first.content.trim().replace(/\s+/g, ' ');
+  return text.length > 40 ? `${text.slice(0, 40)}…` : text || DEFAULT_TITLE;
+}
+
+export function isDefaultTitle(title) {
+  return title === DEFAULT_TITLE;
+}
+
+// Pinned conversations first, then most recently updated
+export function sortConversations(conversations) {
+  return [...conversations].sort((a, b) =>
+    (b.pinned - a.pinned) || b.updatedAt.localeCompare(a.updatedAt)
+  );
+}
+
+// Case-insensitive search over titles and message text
+export function searchConversations(conversations, query) {
+  const q = query.trim().toLowerCase();
+  if (!q) return conversations;
+  return conversations.filter(c =>
+    c.title.toLowerCase().includes(q) ||
+    c.messages.some(m => typeof m.content === 'string' && m.content.toLowerCase().includes(q))
+  );
+}
+
+// Serialize a conversation for download as 'markdown' or 'json'
+export function exportConversation(conversation, format) {
+  if (format === 'json') {
+    const { id, sessionId, ...exported } = conversation;
+    return JSON.stringify({ version: STORE_VERSION, ...exported }, null, 2);
+  }
+
+  const lines = [`# ${conversation.title}`, ''];
+  for (const message of conversation.messages) {
+    lines.push(`## ${message.role === 'user' ? 'You' : 'AI'}`, '', message.content, '');
+    if (message.attachments?.length) {
+      lines.push(`Attachments: ${message.attachments.map(a => a.name).join(', ')}`, '');
+    }
+    const sources = (message.sources || []).filter(s => typeof s === 'object');
+    if (sources.length > 0) {
+      lines.push('Sources:');
+      for (const source of sources) {
+        const location = [source.document, source.page ? `page ${source.page}` : '', source.heading].filter(Boolean).join(', ');
+        lines.push(`- [${source.id}] ${location || 'Web search'}`);
+      }
+      lines.push('');
+    }
   }
+  return lines.join('\n');
 }
 
-export function clearMessages() {
-  localStorage.removeItem(STORAGE_KEY);
-}
\ No newline at end of file
+// Parse a conversation exported as JSON. It gets fresh IDs so it never collides with an existing chat.
+export function importConversation(text) {
+  const data = JSON.parse(text);
+  if (!data || !Array.isArray(data.messages)) {
+    throw new Error('Not a conversation export: missing "messages"');
+  }
+  const messages = data.messages
+    .filter(m => m && (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string');
+  const conversation = createConversation(data.title || titleFromMessages(messages), messages);
+  conversation.pinned = Boolean(data.pinned);
+  if (typeof data.profile === 'string' && data.profile) conversation.profile = data.profile;
+  return conversation;
+}
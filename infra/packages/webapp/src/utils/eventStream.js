@@ -0,0 +1,44 @@
+// Parses a fetch() response body encoded as Server-Sent Events.
+// Yields { event, data } objects, with `data` already JSON-decoded.
+export async function* readEventStream(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const parsed = parseEvent(rawEvent);
+      if (parsed) yield parsed;
+    }
+  }
+
+  // Flush a trailing event that was not followed by a blank line
+  const parsed = parseEvent(buffer);
+  if (parsed) yield parsed;
+}
+
+function parseEvent(rawEvent) {
+  let event = 'message';
+  const dataLines = [];
+  for (const line of rawEvent.split('\n')) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  }
+  if (dataLines.length === 0) return null;
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+  } catch (e) {
+    return { event, data: dataLines.join('\n') };
+  }
+}
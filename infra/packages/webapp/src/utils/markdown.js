@@ -0,0 +1,82 @@
+import { Marked } from 'marked';
+import DOMPurify from 'dompurify';
+import hljs from 'highlight.js/lib/core';
+import bash from 'highlight.js/lib/languages/bash';
+import css from 'highlight.js/lib/languages/css';
+import javascript from 'highlight.js/lib/languages/javascript';
+import json from 'highlight.js/lib/languages/json';
+import python from 'highlight.js/lib/languages/python';
+import sql from 'highlight.js/lib/languages/sql';
+import typescript from 'highlight.js/lib/languages/typescript';
+import xml from 'highlight.js/lib/languages/xml';
+import yaml from 'highlight.js/lib/languages/yaml';
+
+// Only the languages the assistant is likely to answer with, to keep the bundle small
+hljs.registerLanguage('bash', bash);
+hljs.registerLanguage('css', css);
+hljs.registerLanguage('javascript', javascript);
+hljs.registerLanguage('json', json);
+hljs.registerLanguage('python', python);
+hljs.registerLanguage('sql', sql);
+hljs.registerLanguage('typescript', typescript);
+hljs.registerLanguage('xml', xml);
+hljs.registerLanguage('yaml', yaml);
+
+// Links in answers open in a new tab and don't give the page access to this window
+DOMPurify.addHook('afterSanitizeAttributes', node => {
+  if (node.tagName === 'A' && node.getAttribute('href')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Fenced code gets a header with its language and a copy button (handled by the chat component)
+function renderCode({ text, lang }) {
+  const language = (lang || '').trim().split(/\s+/)[0].toLowerCase();
+  const highlighted = language && hljs.getLanguage(language)
+    ? hljs.highlight(text, { language }).value
+    : escapeHtml(text);
+  return `<div class="code-block">
+<div class="code-block-header"><span>${escapeHtml(language || 'text')}</span><button type="button" class="code-copy">Copy</button></div>
+<pre><code class="hljs${language ? ` language-${escapeHtml(language)}` : ''}">${highlighted}</code></pre>
+</div>`;
+}
+
+// [n] markers that match a source become buttons; other brackets stay as written
+function citationExtension(citations) {
+  return {
+    name: 'citation',
+    level: 'inline',
+    start(src) {
+      return src.indexOf('[');
+    },
+    tokenizer(src) {
+      const match = /^\[([\w-]+)\]/.exec(src);
+      if (match && citations.has(match[1])) {
+        return { type: 'citation', raw: match[0], id: match[1] };
+      }
+      return undefined;
+    },
+    renderer({ id }) {
+      const { label, open } = citations.get(id);
+      return `<button type="button" class="citation${open ? ' open' : ''}" data-citation="${escapeHtml(id)}" title="${escapeHtml(label)}">${escapeHtml(id)}</button>`;
+    }
+  };
+}
+
+/**
+ * Renders a Markdown answer to sanitized HTML, with highlighted code blocks and clickable citations.
+ * @param {string} text - The Markdown source.
+ * @param {Map<string, {label: string, open: boolean}>} [citations] - Citable source ids, with their tooltip and
+ *   whether their excerpt is expanded.
+ * @returns {string} HTML safe to insert with `unsafeHTML`.
+ */
+export function renderMarkdown(text, citations = new Map()) {
+  const marked = new Marked({ gfm: true, breaks: true });
+  marked.use({ renderer: { code: renderCode }, extensions: [citationExtension(citations)] });
+  return DOMPurify.sanitize(marked.parse(text || ''));
+}
@@ -1,57 +1,377 @@
-import ModelClient, { isUnexpected } from "@azure-rest/ai-inference";
-import { AzureKeyCredential } from "@azure/core-auth";
-import fs from "fs";
-
-const token = process.env["GITHUB_TOKEN"];
-const endpoint = "https://models.github.ai/inference";
-const modelName = "meta/Llama-4-Maverick-17B-128E-Instruct-FP8";
-
-export async function main() {
-  // Read image and encode as base64
-  const imagePath = "contoso_layout_sketch.jpg";
-  const imageBuffer = fs.readFileSync(imagePath);
-  const imageBase64 = imageBuffer.toString("base64");
-
-  const client = ModelClient(
-    endpoint,
-    new AzureKeyCredential(token),
-  );
-
-  const response = await client.path("/chat/completions").post({
-    body: {
-      messages: [
-        { role: "system", content: "You are a helpful assistant." },
-        {
-          role: "user",
-          content: [
-            {
-              type: "text",
-              text: "write HTML and CSS code for a web page based on the following hand-drawn sketch"
-            },
-            {
-              type: "image_url",
-              image_url: {
-                url: `data:image/jpeg;base64,${imageBase64}`
-              }
-            }
-          ]
-        }
+import "dotenv/config";
+import fs from "fs/promises";
+import path from "path";
+import readline from "readline/promises";
+import { parseArgs } from "util";
+import { createChatModel, describeProvider, loadProviderConfig } from "./infra/packages/webapi/providers/index.js";
+
+// Turns a hand-drawn sketch of a web page into index.html and style.css, then refines them on request.
+//
+//   node sample.js contoso_layout_sketch.jpg --out site
+//   node sample.js --out site --refine "make the cards two columns"
+//   node sample.js --out site --interactive          # keep asking for refinements
+//   node sample.js --out site --list                 # show the iterations
+//   node sample.js --out site --rollback 2           # restore iteration 2
+//
+// Every generation, refinement and rollback is kept as a numbered iteration in <out>/iterations/NNN,
+// so two versions can be compared with e.g. `diff site/iterations/001/index.html site/iterations/002/index.html`.
+// The current version is also written to <out>/index.html and <out>/style.css.
+//
+// Run `node sample.js --help` for the options.
+//
+// GitHub Models (GITHUB_TOKEN) by default; MODEL_PROVIDER and MODEL_NAME switch to another provider or model,
+// which must accept images.
+
+const IMAGE_TYPES = { ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png", ".gif": "image/gif", ".webp": "image/webp" };
+
+const SYSTEM_PROMPT = `You are a front-end developer who turns page sketches into clean, responsive, accessible HTML and CSS.
+Reply with JSON only, in this shape: {"html": "<complete index.html>", "css": "<complete style.css>"}
+- The HTML is a complete document (<!DOCTYPE html>, <html>, <head>, <body>) that links the stylesheet with <link rel="stylesheet" href="style.css">.
+- Put all styles in "css"; do not use <style> elements or inline styles.
+- Do not reference images or scripts that do not exist; use text or emoji as placeholders.`;
+
+const USAGE = `Usage: node sample.js [sketch image] [options]
+
+Options:
+  --out <dir>             where the site is written (default: site)
+  --refine <instruction>  change the current site; may be given several times, applied in order
+  --interactive, -i       ask for refinements until an empty line
+  --list                  list the iterations
+  --rollback <n>          make iteration n the current version again (recorded as a new iteration)
+  --max-attempts <n>      model calls per iteration when the reply is not valid HTML (default: 3)
+  --max-tokens <n>        longest reply (default: 4096)
+  --help, -h              show this help`;
+
+/** A command line that cannot be run; reported with the usage text. */
+class UsageError extends Error {}
+
+/**
+ * Parses the command line.
+ * @param {string[]} args
+ * @returns {{options: object, positionals: string[]}}
+ * @throws {UsageError} On an unknown option, a missing value or a count that is not a positive integer.
+ */
+function parseCommandLine(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        out: { type: "string", default: "site" },
+        refine: { type: "string", multiple: true, default: [] },
+        interactive: { type: "boolean", short: "i", default: false },
+        list: { type: "boolean", default: false },
+        rollback: { type: "string" },
+        "max-attempts": { type: "string", default: "3" },
+        "max-tokens": { type: "string", default: "4096" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values: options, positionals } = parsed;
+  for (const name of ["rollback", "max-attempts", "max-tokens"]) {
+    if (options[name] !== undefined && !/^[1-9]\d*$/.test(options[name])) {
+      throw new UsageError(`--${name} must be a positive integer, not "${options[name]}".`);
+    }
+  }
+  return { options, positionals };
+}
+
+// Set from the command line by main()
+let options;
+let positionals;
+let outDir;
+let iterationsDir;
+
+/**
+ * Checks that generated HTML is a complete, well-nested document that links style.css.
+ * Not a full HTML validator: it catches the truncated or mangled markup models tend to produce.
+ * @param {string} html
+ * @returns {string[]} The problems found; empty if the markup looks sound.
+ */
+function validateHtml(html) {
+  const problems = [];
+  if (!/^\s*<!DOCTYPE html>/i.test(html)) problems.push("The document does not start with <!DOCTYPE html>.");
+  for (const tag of ["html", "head", "body", "title"]) {
+    if (!new RegExp(`<${tag}[\\s>]`, "i").test(html)) problems.push(`There is no <${tag}> element.`);
+  }
+  if (!/<link[^>]+href=["']style\.css["']/i.test(html)) problems.push('style.css is not linked with <link rel="stylesheet" href="style.css">.');
+
+  // Elements that never have a closing tag, and those whose closing tag may be left out
+  const VOID = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+  const OPTIONAL_END = new Set(["li", "p", "td", "th", "tr", "option", "dt", "dd", "thead", "tbody", "tfoot"]);
+  const open = [];
+  const markup = html.replace(/<!--[\s\S]*?-->/g, "").replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/gi, "");
+  for (const [, closing, rawName, rest] of markup.matchAll(/<(\/?)([a-zA-Z][\w-]*)([^>]*)>/g)) {
+    const name = rawName.toLowerCase();
+    if (VOID.has(name) || rest.trim().endsWith("/")) continue;
+    if (!closing) {
+      open.push(name);
+      continue;
+    }
+    while (open.length && open[open.length - 1] !== name && OPTIONAL_END.has(open[open.length - 1])) open.pop();
+    if (open[open.length - 1] === name) {
+      open.pop();
+    } else {
+      problems.push(`</${name}> does not match the open <${open[open.length - 1] || "nothing"}>.`);
+      return problems;
+    }
+  }
+  const unclosed = open.filter(name => !OPTIONAL_END.has(name));
+  if (unclosed.length) problems.push(`Elements are never closed: ${unclosed.map(name => `<${name}>`).join(", ")}.`);
+  return problems;
+}
+
+/**
+ * Checks that the braces of a stylesheet balance (a truncated reply usually breaks them).
+ * @param {string} css
+ * @returns {string[]} The problems found.
+ */
+function validateCss(css) {
+  let depth = 0;
+  for (const char of css.replace(/\/\*[\s\S]*?\*\//g, "").replace(/(["'])(?:\\.|(?!\1).)*\1/g, "")) {
+    if (char === "{") depth++;
+    if (char === "}" && --depth < 0) return ["The stylesheet has a } without a matching {."];
+  }
+  return depth === 0 ? [] : ["The stylesheet has a { that is never closed."];
+}
+
+function contentToString(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) return content.map(part => (typeof part === "string" ? part : part.text || "")).join("");
+  return "";
+}
+
+/**
+ * Reads { html, css } from the model's reply: the JSON object asked for, or failing that, ```html and ```css blocks.
+ * @param {string} text
+ * @returns {{html: string, css: string}}
+ * @throws {Error} When neither is found.
+ */
+function parseSite(text) {
+  const json = /\{[\s\S]*\}/.exec(text);
+  if (json) {
+    try {
+      const site = JSON.parse(json[0]);
+      if (typeof site.html === "string" && typeof site.css === "string") return { html: site.html, css: site.css };
+    } catch {
+      // Fall through to the code blocks
+    }
+  }
+  const html = /```html\s*\n([\s\S]*?)```/i.exec(text);
+  const css = /```css\s*\n([\s\S]*?)```/i.exec(text);
+  if (html && css) return { html: html[1], css: css[1] };
+  throw new Error('the reply is not the JSON object {"html": ..., "css": ...}');
+}
+
+/**
+ * Asks the model for the site, sending back the problems with each invalid reply until it is valid.
+ * @param {import('@langchain/core/language_models/chat_models').BaseChatModel} model
+ * @param {object[]} messages - The conversation so far; the model's replies and the feedback are appended.
+ * @param {number} maxAttempts
+ * @returns {Promise<{html: string, css: string, attempts: number}>}
+ */
+async function generateSite(model, messages, maxAttempts) {
+  let problems = [];
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const response = await model.invoke(messages);
+    const reply = contentToString(response.content);
+    try {
+      const site = parseSite(reply);
+      problems = [...validateHtml(site.html), ...validateCss(site.css)];
+      if (problems.length === 0) return { ...site, attempts: attempt };
+    } catch (error) {
+      problems = [`Could not read your reply: ${error.message}.`];
+    }
+    console.error(`Attempt ${attempt} of ${maxAttempts} was rejected: ${problems.join(" ")}`);
+    messages.push(
+      { role: "assistant", content: reply },
+      { role: "user", content: `That reply has problems:\n- ${problems.join("\n- ")}\nReply again with the complete corrected JSON object.` },
+    );
+  }
+  throw new Error(`No valid HTML after ${maxAttempts} attempts: ${problems.join(" ")}`);
+}
+
+async function readImage(imagePath) {
+  const type = IMAGE_TYPES[path.extname(imagePath).toLowerCase()];
+  if (!type) throw new Error(`${imagePath} is not a JPEG, PNG, GIF or WebP image.`);
+  const data = await fs.readFile(imagePath);
+  return { type: "image_url", image_url: { url: `data:${type};base64,${data.toString("base64")}` } };
+}
+
+// Iterations, oldest first, from their meta.json files
+async function listIterations() {
+  let names;
+  try {
+    names = (await fs.readdir(iterationsDir)).filter(name => /^\d+$/.test(name)).sort();
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  return Promise.all(names.map(async name => JSON.parse(await fs.readFile(path.join(iterationsDir, name, "meta.json"), "utf8"))));
+}
+
+async function readIteration(number) {
+  const dir = path.join(iterationsDir, String(number).padStart(3, "0"));
+  const [html, css] = await Promise.all([fs.readFile(path.join(dir, "index.html"), "utf8"), fs.readFile(path.join(dir, "style.css"), "utf8")]);
+  return { html, css };
+}
+
+/**
+ * Keeps a new iteration and makes it the current version of the site.
+ * @param {{html: string, css: string}} site
+ * @param {object} meta - What produced it (the instruction, the sketch, the model...).
+ * @returns {Promise<object>} The stored metadata, including its number.
+ */
+async function saveIteration(site, meta) {
+  const previous = await listIterations();
+  const number = previous.length ? previous[previous.length - 1].iteration + 1 : 1;
+  const dir = path.join(iterationsDir, String(number).padStart(3, "0"));
+  const stored = { iteration: number, createdAt: new Date().toISOString(), ...meta };
+
+  await fs.mkdir(dir, { recursive: true });
+  await Promise.all([
+    fs.writeFile(path.join(dir, "index.html"), site.html),
+    fs.writeFile(path.join(dir, "style.css"), site.css),
+    fs.writeFile(path.join(dir, "meta.json"), JSON.stringify(stored, null, 2)),
+    fs.writeFile(path.join(outDir, "index.html"), site.html),
+    fs.writeFile(path.join(outDir, "style.css"), site.css),
+  ]);
+  console.log(`Iteration ${number} written to ${path.relative(process.cwd(), outDir) || "."}/ (${path.relative(process.cwd(), dir)})`);
+  return stored;
+}
+
+/**
+ * Generates the first version of the site from a sketch.
+ */
+async function generate(model, imagePath, modelName, maxAttempts) {
+  const messages = [
+    { role: "system", content: SYSTEM_PROMPT },
+    {
+      role: "user",
+      content: [
+        { type: "text", text: "Write the HTML and CSS for a web page based on this hand-drawn sketch." },
+        await readImage(imagePath),
       ],
-      temperature: 1.0,
-      top_p: 1.0,
-      max_tokens: 1000,
-      model: modelName
+    },
+  ];
+  const site = await generateSite(model, messages, maxAttempts);
+  return saveIteration(site, { kind: "generate", image: path.resolve(imagePath), model: modelName, attempts: site.attempts });
+}
+
+/**
+ * Changes the current version of the site as instructed, showing the model the sketch again if it is still there.
+ */
+async function refine(model, instruction, modelName, maxAttempts) {
+  const iterations = await listIterations();
+  if (iterations.length === 0) throw new Error(`There is no site in ${outDir} to refine yet. Generate one from a sketch first.`);
+  const current = iterations[iterations.length - 1];
+  const site = await readIteration(current.iteration);
+  const image = iterations.map(iteration => iteration.image).filter(Boolean).pop();
+
+  const content = [{
+    type: "text",
+    text: `Here is the current site.\n\nindex.html:\n\`\`\`html\n${site.html}\n\`\`\`\n\nstyle.css:\n\`\`\`css\n${site.css}\n\`\`\`\n\n`
+      + `Change it as follows, keeping everything else as it is: ${instruction}`,
+  }];
+  if (image) {
+    try {
+      content.push(await readImage(image));
+      content[0].text += "\n\nThe original sketch is attached for reference.";
+    } catch (error) {
+      console.error(`The sketch is not sent with the refinement: ${error.message}`);
     }
-  });
+  }
+
+  const messages = [{ role: "system", content: SYSTEM_PROMPT }, { role: "user", content }];
+  const refined = await generateSite(model, messages, maxAttempts);
+  return saveIteration(refined, { kind: "refine", instruction, parent: current.iteration, image, model: modelName, attempts: refined.attempts });
+}
 
-  if (isUnexpected(response)) {
-    console.error("Full error response:", response.body);
-    throw new Error(response.body?.error?.message || JSON.stringify(response.body));
+async function rollback(number) {
+  const iterations = await listIterations();
+  if (!iterations.some(iteration => iteration.iteration === number)) {
+    throw new Error(`There is no iteration ${number}; see --list.`);
+  }
+  const { image } = iterations.find(iteration => iteration.iteration === number);
+  return saveIteration(await readIteration(number), { kind: "rollback", parent: number, image });
+}
+
+function describeIteration(iteration) {
+  const what = {
+    generate: `generated from ${path.basename(iteration.image || "")}`,
+    refine: `refined from ${iteration.parent}: "${iteration.instruction}"`,
+    rollback: `rolled back to ${iteration.parent}`,
+  }[iteration.kind];
+  return `${String(iteration.iteration).padStart(3, " ")}  ${iteration.createdAt}  ${what}`;
+}
+
+async function main() {
+  ({ options, positionals } = parseCommandLine(process.argv.slice(2)));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  outDir = path.resolve(options.out);
+  iterationsDir = path.join(outDir, "iterations");
+
+  if (options.list) {
+    const iterations = await listIterations();
+    console.log(iterations.length ? iterations.map(describeIteration).join("\n") : `No iterations in ${outDir} yet.`);
+    return;
+  }
+  if (options.rollback) {
+    await rollback(Number(options.rollback));
+    return;
   }
 
-  console.log(response.body.choices[0].message.content);
+  const [imagePath] = positionals;
+  const instructions = [...options.refine];
+  if (!imagePath && instructions.length === 0 && !options.interactive) {
+    throw new UsageError("Give the path of a sketch image, --refine, --interactive, --list or --rollback.");
+  }
+
+  const config = loadProviderConfig(process.env, {
+    provider: "github",
+    model: "meta/Llama-4-Maverick-17B-128E-Instruct-FP8",
+    parameters: { temperature: 0.7, topP: 1.0, maxTokens: Number(options["max-tokens"]) },
+  });
+  const model = createChatModel(config);
+  const modelName = describeProvider(config);
+  const maxAttempts = Number(options["max-attempts"]);
+
+  if (imagePath) await generate(model, imagePath, modelName, maxAttempts);
+  for (const instruction of instructions) await refine(model, instruction, modelName, maxAttempts);
+
+  if (options.interactive) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    let closed = false;
+    rl.on("close", () => {
+      closed = true;
+    });
+    try {
+      while (!closed) {
+        // Ctrl+D or the end of piped input ends the session like an empty line
+        const instruction = (await rl.question("Refinement (empty line to stop): ").catch(() => "")).trim();
+        if (!instruction) break;
+        try {
+          await refine(model, instruction, modelName, maxAttempts);
+        } catch (error) {
+          // Keep the session going: the current version is unchanged
+          console.error(error.message);
+        }
+      }
+    } finally {
+      rl.close();
+    }
+  }
 }
 
 main().catch((err) => {
-  console.error("The sample encountered an error:", err);
-});
\ No newline at end of file
+  if (err instanceof UsageError) console.error(`${err.message}\n\n${USAGE}`);
+  else console.error("The sample encountered an error:", err.message);
+  process.exit(1);
+});